@@ -11,6 +11,7 @@ import {
 import { getRandomEmoji, DiscordRequest } from './utils.js';
 import { getShuffledOptions, getResult } from './game.js';
 import { 
+  loadConfiguredChannels,
   configureChannel, 
   getConfiguredChannel, 
   removeChannelConfig, 
@@ -72,7 +73,7 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
         const targetChannelId = channelOption.value;
         
         // Configure the channel
-        configureChannel(guild_id, targetChannelId);
+        await configureChannel(guild_id, targetChannelId);
         
         return res.send({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -85,7 +86,7 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
 
     // "stop-leafs-updates" command
     if (name === 'stop-leafs-updates') {
-      const success = removeChannelConfig(guild_id);
+      const success = await removeChannelConfig(guild_id);
       
       return res.send({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -128,7 +129,8 @@ app.post('/interactions', verifyKeyMiddleware(process.env.PUBLIC_KEY), async fun
   return res.status(400).json({ error: 'unknown interaction type' });
 });
 
-// Start the game update checker (check every minute)
+// Restore configured channels, then start the game update checker (check every minute)
+await loadConfiguredChannels();
 startGameUpdateChecker(60000);
 
 app.listen(PORT, () => {
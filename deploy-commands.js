@@ -1,37 +1,9 @@
 import 'dotenv/config';
 import { REST, Routes } from 'discord.js';
+import { commands as commandBuilders } from './src/commands.js';
 
-// Create commands array
-const commands = [
-  {
-    name: 'test',
-    description: 'Basic command to test if the bot is working'
-  },
-  {
-    name: 'setup-leafs-updates',
-    description: 'Configure which channel to post Maple Leafs game updates to',
-    options: [
-      {
-        name: 'channel',
-        description: 'The channel where game updates will be posted',
-        type: 7, // CHANNEL type
-        required: true
-      }
-    ]
-  },
-  {
-    name: 'stop-leafs-updates',
-    description: 'Stop posting Maple Leafs game updates in this server'
-  },
-  {
-    name: 'next-leafs-game',
-    description: 'Get information about the next Toronto Maple Leafs game'
-  },
-  {
-    name: 'test-nhl-api',
-    description: 'Test NHL API connection and functionality'
-  }
-];
+// Create commands array (same definitions index.js registers per guild)
+const commands = commandBuilders.map(builder => builder.toJSON());
 
 // Construct and prepare an instance of the REST module
 const rest = new REST().setToken(process.env.DISCORD_TOKEN);
@@ -1,15 +1,116 @@
 import 'dotenv/config';
-import { Client, GatewayIntentBits, Partials, Events, Collection, SlashCommandBuilder, EmbedBuilder, REST, Routes } from 'discord.js';
+import { Client, GatewayIntentBits, Partials, Events, Collection, EmbedBuilder, PermissionFlagsBits, REST, Routes, ThreadAutoArchiveDuration } from 'discord.js';
 import { createServer } from 'http';
 import { 
-  getCurrentLeafsGame, 
-  getNextLeafsGame, 
+  getCurrentGamesForTeams,
+  getNextGamesForTeams,
+  getNextGame, 
   getGameStatus, 
+  getGameBoxscore,
+  getGameRightRail,
   formatGameData, 
   getTeamLogos,
   testNHLAPI,
-  getGameFeed
+  getApiHealth,
+  getStatsApiHealth,
+  getGameFeed,
+  getTeamMonthSchedule,
+  getUpcomingGames,
+  getStandings,
+  getPlayerLanding,
+  getTeamRoster,
+  getDailyScoreboard,
+  ensurePlayerIndex,
+  searchPlayers,
+  normalizeTeamAbbrev,
+  getTeamName,
+  LEAFS_TEAM_ID
 } from './nhl-api.js';
+import {
+  loadConfiguredChannels,
+  configureChannel,
+  getConfiguredChannel,
+  getGuildTeam,
+  removeChannelConfig,
+  getSubscriptions,
+  getSubscriptionsForTeams,
+  getFollowedTeams
+} from './src/storage/channels.js';
+import { commands } from './src/commands.js';
+import { replyWithPages } from './src/embeds/pagination.js';
+import { buildSchedulePages, resolveSeasonMonth } from './src/embeds/schedule.js';
+import { buildStandingsEmbed } from './src/embeds/standings.js';
+import { buildTeamStatsEmbed } from './src/embeds/teamStats.js';
+import { getTeamSeasonStats } from './src/api/teamStats.js';
+import { buildPlayerEmbed } from './src/embeds/player.js';
+import { buildRosterPages } from './src/embeds/roster.js';
+import { buildScoresEmbed } from './src/embeds/scores.js';
+import { discordTimestamp, formatInTimeZone } from './src/embeds/time.js';
+import { buildGameSummary, buildGameSummaryFields } from './src/embeds/gameSummary.js';
+import { buildPreviewEmbed, isPreviewDue } from './src/embeds/preview.js';
+import { buildScoreboard, buildScoreboardEmbed } from './src/embeds/scoreboard.js';
+import { buildPeriodSummary, buildPeriodSummaryFields } from './src/embeds/periodSummary.js';
+import { getRolePing } from './src/notifications/rolePings.js';
+import { getNextPollDelay, formatDelay, POLL_INTERVALS, PUCK_DROP_GRACE_MS } from './src/tracking/pollScheduler.js';
+import { getSavedGameTrackers, saveGameTracker, pruneGameTrackers } from './src/storage/gameTrackers.js';
+import {
+  formatThreadName,
+  getGameThread,
+  recordGameThread,
+  scheduleThreadArchive,
+  findThreadsToArchive,
+  getNextThreadArchiveTime,
+  GAME_THREAD_ARCHIVE_DELAY_MS
+} from './src/tracking/gameThreads.js';
+import {
+  getGuildSettings,
+  updateGuildSettings,
+  isValidTimeZone,
+  isValidLocale,
+  isNotificationEnabled,
+  setNotificationEnabled,
+  shouldPostEvent,
+  NOTIFICATION_TYPES
+} from './src/storage/guildSettings.js';
+import {
+  t,
+  formatPeriod,
+  localizedName,
+  getLocalizedTeamName,
+  DEFAULT_LANGUAGE
+} from './src/i18n/messages.js';
+import { hasPostedPreview, markPreviewPosted, prunePreviews } from './src/storage/previews.js';
+import {
+  createGameTracker,
+  diffGoals,
+  recordPostedGoal,
+  confirmOverturnedGoals,
+  getGoalCredits,
+  getTranslatedCredits,
+  getEventTeamAbbrev,
+  shouldProcessScheduledGame,
+  getUnfinishedTrackedGames
+} from './src/tracking/gameTracker.js';
+import {
+  getPenaltyDetails,
+  findNewPenalties,
+  recordPostedPenalty,
+  findEndedPowerPlays,
+  getCurrentGameSeconds,
+  getGameSeconds,
+  formatGameSeconds,
+  formatInfraction
+} from './src/tracking/penalties.js';
+import {
+  isShootoutPlay,
+  getShootoutPlays,
+  getShootoutAttempt,
+  getShootoutTally,
+  formatShootoutTally,
+  findNewShootoutAttempts,
+  markShootoutAttemptPosted
+} from './src/tracking/shootout.js';
+import { detectGameEvents } from './src/tracking/gameEvents.js';
 
 // Create a new Discord client
 const client = new Client({
@@ -21,74 +122,26 @@ const client = new Client({
   partials: [Partials.Channel]
 });
 
-// Store channels configured for game updates
-const configuredChannels = new Collection();
 // Store active games being tracked
 const activeGames = new Collection();
 
-// Command setup
-const commands = [
-  new SlashCommandBuilder()
-    .setName('test')
-    .setDescription('Basic command to test if the bot is working'),
-    
-  new SlashCommandBuilder()
-    .setName('setup-leafs-updates')
-    .setDescription('Configure which channel to post Maple Leafs game updates to')
-    .addChannelOption(option => 
-      option.setName('channel')
-        .setDescription('The channel where game updates will be posted')
-        .setRequired(true)),
-        
-  new SlashCommandBuilder()
-    .setName('stop-leafs-updates')
-    .setDescription('Stop posting Maple Leafs game updates in this server'),
-    
-  new SlashCommandBuilder()
-    .setName('next-leafs-game')
-    .setDescription('Get information about the next Toronto Maple Leafs game')
-  ,
-  new SlashCommandBuilder()
-    .setName('test-nhl-api')
-    .setDescription('Test NHL API connection and functionality'),
-    
-  new SlashCommandBuilder()
-    .setName('test-goal')
-    .setDescription('Simulate a goal notification for testing (dev/testing only)')
-    .addStringOption(option =>
-      option.setName('team')
-        .setDescription('Team abbreviation that scored (default: TOR)')
-        .setRequired(false))
-    .addStringOption(option =>
-      option.setName('scorer')
-        .setDescription('Scorer name (default: Auston Matthews)')
-        .setRequired(false))
-    .addIntegerOption(option =>
-      option.setName('period')
-        .setDescription('Period number (default: 1)')
-        .setRequired(false)
-        .setMinValue(1)
-        .setMaxValue(5))
-    .addStringOption(option =>
-      option.setName('time')
-        .setDescription('Time in period (default: 10:00)')
-        .setRequired(false))
-    .addStringOption(option =>
-      option.setName('strength')
-        .setDescription('Goal strength (default: EV)')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Even Strength', value: 'EV' },
-          { name: 'Power Play', value: 'PP' },
-          { name: 'Short Handed', value: 'SH' },
-          { name: 'Empty Net', value: 'EN' },
-          { name: 'Penalty Shot', value: 'PS' }
-        ))
-    .addBooleanOption(option =>
-      option.setName('force')
-        .setDescription('Force execution in production (default: false)')
-        .setRequired(false))
-];
+// Poll scheduler state (see runGameUpdateCycle)
+let pollTimer = null;
+let pollInProgress = false;
+const scheduledGames = new Map(); // gameId -> { startTime, previewLeadMinutes }
+
+// Which /leafs-settings toggle controls each kind of game update
+const UPDATE_NOTIFICATION_TYPES = {
+  GAME_START: 'gameStart',
+  PERIOD_END: 'periods',
+  OVERTIME_START: 'periods',
+  DELAY: 'delays',
+  POSTPONED: 'delays',
+  GAME_END: 'final'
+};
+
+// Updates posted in the game's threads rather than the channel itself
+const THREAD_UPDATE_TYPES = ['PERIOD_END', 'OVERTIME_START'];
 
 // Add memory monitoring function
 function logMemoryUsage() {
@@ -108,13 +161,34 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // When the client is ready, run this code (only once)
-client.once(Events.ClientReady, readyClient => {
+client.once(Events.ClientReady, async readyClient => {
   console.log(`✅ Ready! Logged in as ${readyClient.user.tag}`);
   console.log(`📊 Bot is in ${readyClient.guilds.cache.size} servers`);
   console.log(`🕐 Bot started at: ${new Date().toISOString()}`);
   
-  // Start checking for game updates every minute
-  startGameUpdateChecker(60000);
+  // Restore configured update channels from persistent storage
+  try {
+    const count = await loadConfiguredChannels();
+    console.log(`💾 Loaded ${count} configured update channel(s) from storage`);
+    
+    // Resume tracking games that were in progress before the restart
+    await pruneGameTrackers();
+    for (const [gameId, tracker] of getSavedGameTrackers()) {
+      activeGames.set(gameId, tracker);
+    }
+    console.log(`💾 Restored ${activeGames.size} game tracker(s) from storage`);
+  } catch (error) {
+    console.error('❌ Failed to load configured channels from storage:', error);
+    console.error('⚠️ Storage is read-only until the bot restarts with a readable state file; settings changes will not be saved');
+  }
+  
+  // Start checking for game updates; polls speed up during live play and sleep between games
+  startGameUpdateChecker();
+  
+  // Load current rosters in the background so /player autocomplete has names to offer
+  ensurePlayerIndex()
+    .then(count => console.log(`👥 Indexed ${count} rostered player(s) for /player`))
+    .catch(error => console.error('❌ Failed to build player index:', error));
   
   // Log uptime and memory usage every hour
   setInterval(() => {
@@ -206,17 +280,80 @@ function withTimeout(promise, timeoutMs = 25000) {
   ]);
 }
 
+/**
+ * Resolve the optional `team` option, falling back to the team the guild follows
+ * @param {ChatInputCommandInteraction} interaction - Command interaction
+ * @returns {{team: string|null, teamOption: string|null}} Normalized team (null if the option was invalid)
+ */
+function getTeamOption(interaction) {
+  const teamOption = interaction.options.getString('team');
+  const team = teamOption
+    ? normalizeTeamAbbrev(teamOption)
+    : getGuildTeam(interaction.guild.id) || LEAFS_TEAM_ID;
+  return { team, teamOption };
+}
+
+/**
+ * Reply text for a `team` option that isn't an NHL abbreviation
+ * @param {string} teamOption - Value the user entered
+ * @param {string} language - Guild language
+ * @returns {string} Message content
+ */
+function invalidTeamMessage(teamOption, language) {
+  return t(language, 'reply.invalidTeam', { team: teamOption });
+}
+
+/**
+ * Label a player for an autocomplete choice (Discord caps names at 100 characters)
+ * @param {Object} player - Entry from searchPlayers()
+ * @returns {string} e.g. 'Auston Matthews (TOR #34, C)'
+ */
+function playerChoiceName(player) {
+  const number = player.sweaterNumber ? ` #${player.sweaterNumber}` : '';
+  return `${player.name} (${player.team}${number}, ${player.position})`.slice(0, 100);
+}
+
+/**
+ * Answer autocomplete requests (currently only /player names)
+ * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+ */
+async function handleAutocomplete(interaction) {
+  if (interaction.commandName !== 'player') {
+    await interaction.respond([]);
+    return;
+  }
+
+  // Refresh in the background; Discord only waits 3 seconds for choices
+  ensurePlayerIndex().catch(error => console.error('❌ Failed to refresh player index:', error));
+
+  const query = interaction.options.getFocused();
+  await interaction.respond(
+    searchPlayers(query, 25).map(player => ({ name: playerChoiceName(player), value: String(player.id) }))
+  );
+}
+
 // Handle slash commands
 client.on(Events.InteractionCreate, async interaction => {
+  if (interaction.isAutocomplete()) {
+    try {
+      await handleAutocomplete(interaction);
+    } catch (error) {
+      console.error('Error handling autocomplete:', error);
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const { commandName } = interaction;
+  // Replies use the server's language; /setup-leafs-updates switches it before confirming
+  let language = interaction.guildId ? getGuildSettings(interaction.guildId).language : DEFAULT_LANGUAGE;
 
   try {
     // Test command
     if (commandName === 'test') {
       await interaction.reply({
-        content: `Hello! The bot is working properly! 🏒`,
+        content: t(language, 'reply.test'),
         ephemeral: false
       });
     }
@@ -228,43 +365,388 @@ client.on(Events.InteractionCreate, async interaction => {
       // Check if the channel is a text channel
       if (!channel.isTextBased()) {
         return interaction.reply({
-          content: `⚠️ ${channel} is not a text channel. Please select a text channel.`,
+          content: t(language, 'setup.notTextChannel', { channel }),
+          ephemeral: true
+        });
+      }
+      
+      const teamOption = interaction.options.getString('team');
+      const team = teamOption ? normalizeTeamAbbrev(teamOption) : LEAFS_TEAM_ID;
+      if (!team) {
+        return interaction.reply({
+          content: invalidTeamMessage(teamOption, language),
+          ephemeral: true
+        });
+      }
+      
+      const timeZone = interaction.options.getString('timezone');
+      if (timeZone && !isValidTimeZone(timeZone)) {
+        return interaction.reply({
+          content: t(language, 'setup.invalidTimeZone', { timeZone }),
+          ephemeral: true
+        });
+      }
+      const locale = interaction.options.getString('locale');
+      if (locale && !isValidLocale(locale)) {
+        return interaction.reply({
+          content: t(language, 'setup.invalidLocale', { locale }),
           ephemeral: true
         });
       }
+      const languageOption = interaction.options.getString('language');
+      const previewLeadMinutes = interaction.options.getInteger('preview_minutes');
+      const goalRole = interaction.options.getRole('goal_role');
+      const gameStartRole = interaction.options.getRole('game_start_role');
+      const pingOpponentGoals = interaction.options.getBoolean('ping_opponent_goals');
+      const clearRoles = interaction.options.getBoolean('clear_roles');
+      const liveScoreboard = interaction.options.getBoolean('live_scoreboard');
+      const gameThreads = interaction.options.getBoolean('game_threads');
+    
+    // Configure the channel (persisted so it survives restarts)
+    await configureChannel(interaction.guild.id, channel.id, team);
+    
+    // Server-wide settings are only changed when the option is given
+    const settingsChanges = {};
+    if (timeZone) settingsChanges.timeZone = timeZone;
+    if (locale) settingsChanges.locale = locale;
+    if (languageOption) settingsChanges.language = languageOption;
+    if (previewLeadMinutes !== null) settingsChanges.previewLeadMinutes = previewLeadMinutes;
+    if (clearRoles) {
+      settingsChanges.goalRoleId = null;
+      settingsChanges.gameStartRoleId = null;
+    }
+    if (goalRole) settingsChanges.goalRoleId = goalRole.id;
+    if (gameStartRole) settingsChanges.gameStartRoleId = gameStartRole.id;
+    if (pingOpponentGoals !== null) settingsChanges.pingOpponentGoals = pingOpponentGoals;
+    if (liveScoreboard !== null) settingsChanges.liveScoreboard = liveScoreboard;
+    if (gameThreads !== null) settingsChanges.gameThreads = gameThreads;
+    const settings = Object.keys(settingsChanges).length > 0
+      ? await updateGuildSettings(interaction.guild.id, settingsChanges)
+      : getGuildSettings(interaction.guild.id);
+    
+    // The checker may be asleep until another team's next game; check the new team now
+    wakeGameUpdateChecker();
+    
+    language = settings.language;
+    const previewNote = settings.previewLeadMinutes > 0
+      ? t(language, 'setup.previews', { minutes: settings.previewLeadMinutes, timeZone: settings.timeZone, locale: settings.locale })
+      : t(language, 'setup.previewsOff');
     
-    // Configure the channel
-    configuredChannels.set(interaction.guild.id, channel.id);
+    const pingNotes = [];
+    if (settings.liveScoreboard) {
+      pingNotes.push(t(language, 'setup.liveScoreboard'));
+    }
+    if (settings.gameThreads) {
+      pingNotes.push(t(language, 'setup.gameThreads'));
+    }
+    if (settings.goalRoleId) {
+      const role = `<@&${settings.goalRoleId}>`;
+      pingNotes.push(settings.pingOpponentGoals
+        ? t(language, 'setup.goalRoleEveryGoal', { role })
+        : t(language, 'setup.goalRoleTeamGoals', { role, team: getTeamName(team) }));
+    }
+    if (settings.gameStartRoleId) {
+      pingNotes.push(t(language, 'setup.gameStartRole', { role: `<@&${settings.gameStartRoleId}>` }));
+    }
+    // Discord drops mentions of roles that aren't mentionable unless the bot can mention everyone
+    const canMentionAll = interaction.guild.members.me?.permissions.has(PermissionFlagsBits.MentionEveryone);
+    for (const role of [goalRole, gameStartRole]) {
+      if (role && !role.mentionable && !canMentionAll) {
+        pingNotes.push(t(language, 'setup.roleNotMentionable', { role: role.name }));
+      }
+    }
     
     await interaction.reply({
-      content: `✅ Maple Leafs game updates will now be posted to ${channel}! You'll receive updates for goals, period changes, and game results.`,
+      content: [
+        t(language, 'setup.confirmed', { team: getTeamName(team), channel }),
+        previewNote,
+        ...pingNotes
+      ].join('\n'),
+      // Confirm the roles without pinging them
+      allowedMentions: { parse: [] },
       ephemeral: false
     });
   }
   
   // Stop Leafs updates command
   else if (commandName === 'stop-leafs-updates') {
-    const removed = configuredChannels.delete(interaction.guild.id);
+    const channel = interaction.options.getChannel('channel');
+    const removed = await removeChannelConfig(interaction.guild.id, channel?.id);
     
     await interaction.reply({
       content: removed 
-        ? `✅ Maple Leafs game updates have been stopped for this server.` 
-        : `⚠️ This server was not configured for Maple Leafs game updates.`,
+        ? t(language, channel ? 'stop.stoppedChannel' : 'stop.stoppedServer', { channel }) 
+        : t(language, channel ? 'stop.notConfiguredChannel' : 'stop.notConfiguredServer', { channel }),
       ephemeral: false
     });
   }
   
+  // Notification settings command
+  else if (commandName === 'leafs-settings') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return interaction.reply({
+        content: t(language, 'settings.needManageGuild'),
+        ephemeral: true
+      });
+    }
+    
+    const event = interaction.options.getString('event');
+    const enabled = interaction.options.getBoolean('enabled');
+    if ((event === null) !== (enabled === null)) {
+      return interaction.reply({
+        content: t(language, 'settings.pickBoth'),
+        ephemeral: true
+      });
+    }
+    
+    const settings = event
+      ? await setNotificationEnabled(interaction.guild.id, event, enabled)
+      : getGuildSettings(interaction.guild.id);
+    
+    const eventName = type => t(language, `notifications.${type}`, {}, NOTIFICATION_TYPES[type]);
+    const embed = new EmbedBuilder()
+      .setTitle(t(language, 'settings.title'))
+      .setColor(0x00205B)
+      .setDescription(
+        Object.keys(NOTIFICATION_TYPES)
+          .map(type => `${settings.notifications[type] ? '✅' : '❌'} ${eventName(type)}`)
+          .join('\n')
+      )
+      .setFooter({ text: t(language, 'settings.footer') });
+    
+    await interaction.reply({
+      content: event ? t(language, enabled ? 'settings.enabled' : 'settings.disabled', { event: eventName(event) }) : undefined,
+      embeds: [embed],
+      ephemeral: true
+    });
+  }
+  
   // Next Leafs game command
   else if (commandName === 'next-leafs-game') {
+    const { team, teamOption } = getTeamOption(interaction);
+    if (!team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
     await interaction.deferReply();
     
     try {
-      const embed = await withTimeout(getNextGameEmbed(), 25000);
+      const embed = await withTimeout(getNextGameEmbed(team, getGuildSettings(interaction.guild.id)), 25000);
       await interaction.editReply({ embeds: [embed] });
     } catch (error) {
       console.error('Error handling next-leafs-game command:', error);
       await interaction.editReply({
-        content: `Sorry, there was an error getting the next game information. Please try again later.\nError: ${error.message}`
+        content: t(language, 'error.nextGame', { error: error.message })
+      });
+    }
+  }
+  
+  // Schedule command
+  else if (commandName === 'schedule') {
+    const { team, teamOption } = getTeamOption(interaction);
+    if (!team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const month = interaction.options.getInteger('month');
+      const count = interaction.options.getInteger('games') || 10;
+      const teamName = getTeamName(team);
+      const { timeZone, locale } = getGuildSettings(interaction.guild.id);
+      
+      let games;
+      let title;
+      if (month) {
+        const seasonMonth = resolveSeasonMonth(month);
+        games = await withTimeout(getTeamMonthSchedule(team, seasonMonth), 25000);
+        const monthName = formatInTimeZone(`${seasonMonth}-15T12:00:00Z`, { timeZone: 'UTC', locale }, { month: 'long', year: 'numeric' });
+        title = t(language, 'schedule.monthTitle', { team: teamName, month: monthName });
+      } else {
+        games = await withTimeout(getUpcomingGames(team, count), 25000);
+        title = t(language, count === 1 ? 'schedule.nextGame' : 'schedule.nextGames', { team: teamName, count });
+      }
+      
+      if (!games) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.schedule')
+        });
+        return;
+      }
+      
+      await replyWithPages(interaction, buildSchedulePages(games, team, title, { timeZone, locale, language }), { language });
+    } catch (error) {
+      console.error('Error handling schedule command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.schedule', { error: error.message })
+      });
+    }
+  }
+  
+  // Standings command
+  else if (commandName === 'standings') {
+    const { team, teamOption } = getTeamOption(interaction);
+    if (!team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const view = interaction.options.getString('view') || 'division';
+      const standings = await withTimeout(getStandings(), 25000);
+      
+      if (!standings) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.standings')
+        });
+        return;
+      }
+      
+      await interaction.editReply({ embeds: [buildStandingsEmbed(standings, view, team, language)] });
+    } catch (error) {
+      console.error('Error handling standings command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.standings', { error: error.message })
+      });
+    }
+  }
+  
+  // Team season stats command
+  else if (commandName === 'team-stats') {
+    const { team, teamOption } = getTeamOption(interaction);
+    if (!team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const stats = await withTimeout(getTeamSeasonStats(team), 25000);
+      
+      if (!stats) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.teamStats', { team: getTeamName(team) })
+        });
+        return;
+      }
+      
+      await interaction.editReply({ embeds: [buildTeamStatsEmbed(stats, language)] });
+    } catch (error) {
+      console.error('Error handling team-stats command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.teamStats', { error: error.message })
+      });
+    }
+  }
+  
+  // Today's scores command (league-wide unless a team is given)
+  else if (commandName === 'score') {
+    const teamOption = interaction.options.getString('team');
+    const team = teamOption ? normalizeTeamAbbrev(teamOption) : null;
+    if (teamOption && !team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const scoreboard = await withTimeout(getDailyScoreboard('now', team), 25000);
+      
+      if (!scoreboard) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.scores')
+        });
+        return;
+      }
+      
+      const { timeZone, locale } = getGuildSettings(interaction.guild.id);
+      await interaction.editReply({ embeds: [buildScoresEmbed(scoreboard, { team, timeZone, locale, language })] });
+    } catch (error) {
+      console.error('Error handling score command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.scores', { error: error.message })
+      });
+    }
+  }
+  
+  // Team roster command
+  else if (commandName === 'roster') {
+    const { team, teamOption } = getTeamOption(interaction);
+    if (!team) {
+      return interaction.reply({
+        content: invalidTeamMessage(teamOption, language),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const roster = await withTimeout(getTeamRoster(team), 25000);
+      
+      if (!roster) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.roster', { team: getTeamName(team) })
+        });
+        return;
+      }
+      
+      await replyWithPages(interaction, buildRosterPages(roster, team, new Date(), language), { language });
+    } catch (error) {
+      console.error('Error handling roster command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.roster', { error: error.message })
+      });
+    }
+  }
+  
+  // Player lookup command
+  else if (commandName === 'player') {
+    // Autocomplete fills in the player ID; fall back to a name search if they typed their own
+    const nameOption = interaction.options.getString('name');
+    const playerId = /^\d+$/.test(nameOption) ? nameOption : searchPlayers(nameOption, 1)[0]?.id;
+    if (!playerId) {
+      return interaction.reply({
+        content: t(language, 'player.noMatch', { name: nameOption }),
+        ephemeral: true
+      });
+    }
+    
+    await interaction.deferReply();
+    
+    try {
+      const player = await withTimeout(getPlayerLanding(playerId), 25000);
+      
+      if (!player) {
+        await interaction.editReply({
+          content: t(language, 'unavailable.player')
+        });
+        return;
+      }
+      
+      const { locale } = getGuildSettings(interaction.guild.id);
+      await interaction.editReply({ embeds: [buildPlayerEmbed(player, { locale, language })] });
+    } catch (error) {
+      console.error('Error handling player command:', error);
+      await interaction.editReply({
+        content: t(language, 'error.player', { error: error.message })
       });
     }
   }
@@ -275,42 +757,49 @@ client.on(Events.InteractionCreate, async interaction => {
     
     try {
       console.log('Running NHL API test...');
-      const testResults = await withTimeout(testNHLAPI(), 25000);
+      const team = getGuildTeam(interaction.guild.id) || LEAFS_TEAM_ID;
+      const testResults = await withTimeout(testNHLAPI(team), 25000);
       
       // Create embed with test results
       const embed = new EmbedBuilder()
-        .setTitle('NHL API Test Results')
+        .setTitle(t(language, 'apiTest.title'))
         .setColor(testResults?.overallStatus ? 0x00FF00 : 0xFF0000)
         .addFields(
-          { name: 'Overall Status', value: testResults?.overallStatus ? '✅ PASS' : '❌ FAIL', inline: true },
-          { name: 'API Connection', value: testResults?.apiConnection ? '✅ Connected' : '❌ Failed', inline: true },
-          { name: 'Schedule Endpoint', value: testResults?.scheduleEndpoint ? '✅ Working' : '❌ Failed', inline: true },
-          { name: 'Data Structure', value: testResults?.dataStructure ? '✅ Valid' : '❌ Invalid', inline: true }
+          { name: t(language, 'apiTest.overall'), value: t(language, testResults?.overallStatus ? 'apiTest.pass' : 'apiTest.fail'), inline: true },
+          { name: t(language, 'apiTest.connection'), value: t(language, testResults?.apiConnection ? 'apiTest.connected' : 'apiTest.failed'), inline: true },
+          { name: t(language, 'apiTest.schedule'), value: t(language, testResults?.scheduleEndpoint ? 'apiTest.working' : 'apiTest.failed'), inline: true },
+          { name: t(language, 'apiTest.dataStructure'), value: t(language, testResults?.dataStructure ? 'apiTest.valid' : 'apiTest.invalid'), inline: true }
         )
         .setTimestamp();
 
       // Add details if available
       if (testResults.details.gamesFound !== undefined) {
         embed.addFields({
-          name: 'Games Found',
-          value: testResults.details.gamesFound !== undefined && testResults.details.gamesFound !== null ? String(testResults.details.gamesFound) + ' games in current week' : 'TBD',
+          name: t(language, 'apiTest.gamesFound'),
+          value: testResults.details.gamesFound !== undefined && testResults.details.gamesFound !== null ? t(language, 'apiTest.gamesInWeek', { count: testResults.details.gamesFound }) : t(language, 'common.tbd'),
           inline: true
         });
       }
 
       if (testResults.details.sampleGame) {
         const game = testResults.details.sampleGame;
+        const unknown = t(language, 'common.unknown');
         embed.addFields({
-          name: 'Sample Game',
-          value: `${typeof game.awayTeam === 'string' && game.awayTeam.trim() ? game.awayTeam : 'Unknown'} @ ${typeof game.homeTeam === 'string' && game.homeTeam.trim() ? game.homeTeam : 'Unknown'}\nState: ${typeof game.gameState === 'string' && game.gameState.trim() ? game.gameState : 'Unknown'}\nID: ${game.id !== undefined && game.id !== null ? game.id : 'Unknown'}`,
+          name: t(language, 'apiTest.sampleGame'),
+          value: t(language, 'apiTest.sampleGameValue', {
+            away: typeof game.awayTeam === 'string' && game.awayTeam.trim() ? game.awayTeam : unknown,
+            home: typeof game.homeTeam === 'string' && game.homeTeam.trim() ? game.homeTeam : unknown,
+            state: typeof game.gameState === 'string' && game.gameState.trim() ? game.gameState : unknown,
+            id: game.id !== undefined && game.id !== null ? game.id : unknown
+          }),
           inline: false
         });
       }
 
       if (testResults.details.standingsTest !== undefined) {
         embed.addFields({
-          name: 'Secondary Endpoint Test',
-          value: testResults.details.standingsTest ? '✅ Standings API working' : '⚠️ Standings API failed (non-critical)',
+          name: t(language, 'apiTest.secondary'),
+          value: t(language, testResults.details.standingsTest ? 'apiTest.standingsWorking' : 'apiTest.standingsFailed'),
           inline: true
         });
       }
@@ -318,16 +807,31 @@ client.on(Events.InteractionCreate, async interaction => {
       // Add errors if any
       if (testResults.errors.length > 0) {
         embed.addFields({
-          name: 'Errors',
+          name: t(language, 'apiTest.errors'),
           value: Array.isArray(testResults.errors) && testResults.errors.length > 0 ? testResults.errors.filter(e => typeof e === 'string' && e.trim()).join('\n') || 'Unknown error' : 'Unknown error',
           inline: false
         });
       }
 
+      const circuit = testResults.details.circuit;
+      if (circuit) {
+        const circuitStatus = {
+          closed: t(language, 'apiTest.circuitClosed'),
+          'half-open': t(language, 'apiTest.circuitHalfOpen'),
+          open: t(language, 'apiTest.circuitOpen', { time: discordTimestamp(circuit.retryAt, 'T') })
+        }[circuit.state];
+        const lastFailure = circuit.lastError ? `\n${t(language, 'apiTest.lastFailure', { error: circuit.lastError })}` : '';
+        embed.addFields({
+          name: t(language, 'apiTest.circuit'),
+          value: `${circuitStatus}${lastFailure}`.slice(0, 1024),
+          inline: false
+        });
+      }
+
       if (testResults.details.note) {
         embed.addFields({
-          name: 'Note',
-          value: typeof testResults.details.note === 'string' && testResults.details.note.trim() ? testResults.details.note : 'No note',
+          name: t(language, 'apiTest.note'),
+          value: typeof testResults.details.note === 'string' && testResults.details.note.trim() ? testResults.details.note : t(language, 'apiTest.noNote'),
           inline: false
         });
       }
@@ -336,7 +840,7 @@ client.on(Events.InteractionCreate, async interaction => {
     } catch (error) {
       console.error('Error running NHL API test:', error);
       await interaction.editReply({
-        content: `❌ Failed to run NHL API test: ${error.message}`
+        content: t(language, 'apiTest.runFailed', { error: error.message })
       });
     }
   }
@@ -349,16 +853,16 @@ client.on(Events.InteractionCreate, async interaction => {
     
     if (!isDev && !force) {
       return interaction.reply({
-        content: '⚠️ This command is only available in development/testing environments. Use `force: true` to override in production.',
+        content: t(language, 'testGoal.devOnly'),
         ephemeral: true
       });
     }
     
     // Check if there's a configured channel for this guild
-    const channelId = configuredChannels.get(interaction.guild.id);
+    const channelId = getConfiguredChannel(interaction.guild.id);
     if (!channelId) {
       return interaction.reply({
-        content: '⚠️ No channel configured for game updates. Please run `/setup-leafs-updates` first.',
+        content: t(language, 'testGoal.noChannel'),
         ephemeral: true
       });
     }
@@ -376,8 +880,8 @@ client.on(Events.InteractionCreate, async interaction => {
       // For TOR, make them the home team; otherwise, make the scoring team away
       const isToronto = team === 'TOR';
       
-      // Create simulated goal embed
-      const simulatedGoalEmbed = createGoalEmbed({
+      // Simulated goal data (rendered in each server's language when sent)
+      const simulatedGoal = {
         scorer: `${scorer} #34`,
         assists: 'William Nylander #88, Mitchell Marner #16',
         strength: strength,
@@ -393,10 +897,18 @@ client.on(Events.InteractionCreate, async interaction => {
           homeTeamLogo: `https://assets.nhle.com/logos/nhl/svg/${isToronto ? 'TOR' : 'OPP'}_light.svg`,
           awayTeamLogo: `https://assets.nhle.com/logos/nhl/svg/${isToronto ? 'OPP' : team}_light.svg`
         }
-      });
+      };
       
-      // Send to configured channel (same path as real goals)
-      await sendGoalToChannels(simulatedGoalEmbed);
+      // Send to this server's configured channel only (same path as real goals), without role pings
+      const messages = await sendGoalToChannels(simulatedGoal, {
+        scoringTeam: team,
+        guildId: interaction.guild.id,
+        channelId,
+        pingRoles: false
+      });
+      if (messages.length === 0) {
+        return interaction.editReply({ content: t(language, 'testGoal.notSent', { channelId }) });
+      }
       
       // Log the simulated payload
       console.log('🧪 Test goal simulated:', {
@@ -410,12 +922,19 @@ client.on(Events.InteractionCreate, async interaction => {
       });
       
       await interaction.editReply({
-        content: `✅ Test goal notification sent to <#${channelId}>!\n\n**Simulated Data:**\n- Team: ${team}\n- Scorer: ${scorer}\n- Period: ${period > 3 ? 'OT' : `P${period}`}\n- Time: ${time}\n- Strength: ${strength}`
+        content: t(language, 'testGoal.sent', {
+          channelId,
+          team,
+          scorer,
+          period: formatPeriod(period > 3 ? 'OT' : `P${period}`, language),
+          time,
+          strength
+        })
       });
     } catch (error) {
       console.error('Error handling test-goal command:', error);
       await interaction.editReply({
-        content: `❌ Failed to send test goal: ${error.message}`
+        content: t(language, 'testGoal.failed', { error: error.message })
       });
     }
   }
@@ -423,7 +942,7 @@ client.on(Events.InteractionCreate, async interaction => {
   // Handle unknown commands
   else {
     await interaction.reply({
-      content: `Unknown command: ${commandName}`,
+      content: t(language, 'reply.unknownCommand', { command: commandName }),
       ephemeral: true
     });
   }
@@ -435,12 +954,12 @@ client.on(Events.InteractionCreate, async interaction => {
     try {
       if (!interaction.replied && !interaction.deferred) {
         await interaction.reply({
-          content: 'Sorry, there was an error processing your command. Please try again.',
+          content: t(language, 'reply.commandError'),
           ephemeral: true
         });
       } else if (interaction.deferred) {
         await interaction.editReply({
-          content: 'Sorry, there was an error processing your command. Please try again.'
+          content: t(language, 'reply.commandError')
         });
       }
     } catch (responseError) {
@@ -477,67 +996,250 @@ async function registerCommandsInGuild(guild) {
 }
 
 /**
- * Start the game update checker at an interval
- * @param {number} intervalMs - Interval in milliseconds
+ * Start the game update checker (the first poll runs right away)
  */
-function startGameUpdateChecker(intervalMs = 60000) {
-  // Check every minute by default
-  setInterval(checkForGameUpdates, intervalMs);
-  console.log(`Started game update checker with interval of ${intervalMs}ms`);
+function startGameUpdateChecker() {
+  console.log('Started game update checker');
+  scheduleNextPoll(0);
 }
 
 /**
- * Check for game updates and post to configured channels
+ * Run the next poll after a delay, replacing any poll already scheduled
+ * @param {number} delayMs - Delay in milliseconds
  */
-async function checkForGameUpdates() {
+function scheduleNextPoll(delayMs) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(runGameUpdateCycle, delayMs);
+  if (delayMs > POLL_INTERVALS.pregame) {
+    console.log(`💤 Next game check in ${formatDelay(delayMs)}`);
+  }
+}
+
+/**
+ * Poll right away instead of waiting for the scheduled poll (e.g. after a channel is set up)
+ */
+function wakeGameUpdateChecker() {
+  if (!pollInProgress) scheduleNextPoll(0);
+}
+
+/**
+ * Check live games and previews, then schedule the next poll based on what was seen.
+ * Polls never overlap, so however long the rate-limited API calls take, the
+ * next poll only starts once this one has finished.
+ */
+async function runGameUpdateCycle() {
+  pollInProgress = true;
+  let delay = POLL_INTERVALS.pregame;
   try {
-    // Get current Leafs game
-    const currentGame = await getCurrentLeafsGame();
+    const liveGames = await checkForGameUpdates();
     
-    // If no game in progress, don't do anything
-    if (!currentGame) {
-      return;
+    const now = Date.now();
+    for (const game of await checkForGamePreviews()) {
+      scheduledGames.set(game.gameId, game);
     }
-    
-    const gameId = currentGame.id || currentGame.gamePk;
-    
-    // Start tracking game if not already
-    if (!activeGames.has(gameId)) {
-      activeGames.set(gameId, {
-        lastUpdate: Date.now(),
-        lastPeriod: '',
-        lastHomeScore: 0,
-        lastAwayScore: 0,
-        lastTimeRemaining: '',
-        lastScoringIdx: -1,  // Track last processed scoring event
-        scoreChanges: []
-      });
-      console.log(`🏒 Started tracking game ${gameId}`);
+    // Remember recent start times so a late puck drop is still picked up
+    for (const [gameId, game] of scheduledGames) {
+      if (now - game.startTime > PUCK_DROP_GRACE_MS) scheduledGames.delete(gameId);
     }
     
-    // Get detailed game status (landing endpoint)
-    const gameStatus = await getGameStatus(gameId);
-    if (!gameStatus) return;
+    await archiveGameThreads(now);
     
-    // Get play-by-play data for goal detection
-    const gameFeed = await getGameFeed(gameId);
-    if (!gameFeed) {
-      console.log(`⚠️ No play-by-play data available for game ${gameId}`);
-      return;
+    delay = getNextPollDelay({
+      liveGames,
+      upcomingGames: [...scheduledGames.values()],
+      apiHealthy: getApiHealth().consecutiveFailures === 0,
+      now
+    });
+    // Don't sleep through a game thread's archive time
+    const nextArchiveAt = getNextThreadArchiveTime(activeGames);
+    if (nextArchiveAt !== null) delay = Math.min(delay, Math.max(0, nextArchiveAt - now));
+  } catch (error) {
+    console.error('Error running game update checks:', error);
+  } finally {
+    pollInProgress = false;
+  }
+  scheduleNextPoll(delay);
+}
+
+/**
+ * Check every live game involving a followed team and post to the channels following it
+ * @returns {Promise<Array<{gameState: string, inIntermission: boolean, isFinal: boolean}>>} State of each live game
+ */
+async function checkForGameUpdates() {
+  const checkedGameIds = new Set();
+  const liveGames = [];
+  
+  // Forget games that finished (or stopped updating) long ago
+  try {
+    for (const gameId of await pruneGameTrackers()) {
+      activeGames.delete(gameId);
     }
-    
-    const formattedGame = formatGameData(currentGame);
-    const gameTracker = activeGames.get(gameId);
-    
-    // Extract current score and game state from landing endpoint
-    const homeScore = gameStatus.homeTeam?.score ?? 0;
-    const awayScore = gameStatus.awayTeam?.score ?? 0;
-    const currentPeriod = gameStatus.periodDescriptor?.number ?? gameStatus.period ?? 1;
-    const periodType = gameStatus.periodDescriptor?.periodType ?? 'REG';
-    const timeRemaining = gameStatus.clock?.timeRemaining ?? '';
-    const gameState = gameStatus.gameState ?? '';
-    
-    // Format period display
+  } catch (error) {
+    console.error('Error pruning saved game trackers:', error);
+  }
+  
+  // Each game has its own tracker and only posts to channels following one of its teams.
+  // If the details couldn't be fetched, trust the schedule that the game is still on
+  const processGame = async currentGame => {
+    const gameId = String(currentGame.id || currentGame.gamePk);
+    checkedGameIds.add(gameId);
+    liveGames.push(await processGameUpdates(currentGame) ||
+      { gameState: currentGame.gameState, inIntermission: false, isFinal: false });
+  };
+  
+  // One league-wide schedule request covers every followed team, including
+  // split-squad days when a team plays two games at once
+  let currentGames = [];
+  try {
+    currentGames = await getCurrentGamesForTeams(getFollowedTeams(), { includeFinished: true });
+  } catch (error) {
+    console.error('Error checking the schedule for game updates:', error);
+  }
+  for (const currentGame of currentGames) {
+    try {
+      // Finished games are only processed to post the final of a game we were tracking
+      const gameId = String(currentGame.id || currentGame.gamePk);
+      if (!shouldProcessScheduledGame(currentGame, activeGames.get(gameId))) continue;
+      
+      await processGame(currentGame);
+    } catch (error) {
+      console.error(`Error checking game ${currentGame.id} for updates:`, error);
+    }
+  }
+  
+  // Games still waiting on their final that the schedule no longer lists as current
+  for (const currentGame of getUnfinishedTrackedGames(activeGames, checkedGameIds)) {
+    const teams = [currentGame.awayTeam?.abbrev, currentGame.homeTeam?.abbrev].filter(Boolean);
+    if (getSubscriptionsForTeams(teams).length === 0) continue;
+    await processGame(currentGame);
+  }
+  
+  return liveGames;
+}
+
+/**
+ * Post pre-game previews to channels whose preview window has opened
+ * @returns {Promise<Array<{gameId: string, startTime: number, previewLeadMinutes: number}>>} Each followed
+ *   team's next game, with the longest lead time of the channels still waiting on its preview
+ */
+async function checkForGamePreviews() {
+  try {
+    await prunePreviews();
+  } catch (error) {
+    console.error('Error pruning saved previews:', error);
+  }
+  
+  const now = new Date();
+  const upcomingGames = [];
+  const teams = getFollowedTeams();
+  // One league-wide schedule request for every followed team
+  let nextGames = new Map();
+  try {
+    nextGames = await getNextGamesForTeams(teams);
+  } catch (error) {
+    console.error('Error checking the schedule for game previews:', error);
+  }
+  for (const team of teams) {
+    try {
+      const game = nextGames.get(team);
+      if (!game) continue;
+      
+      const gameId = String(game.id);
+      const waiting = getSubscriptionsForTeams([team]).filter(({ guildId, channelId }) =>
+        isNotificationEnabled(guildId, 'previews') && !hasPostedPreview(gameId, channelId)
+      );
+      upcomingGames.push({
+        gameId,
+        startTime: new Date(game.startTimeUTC).getTime(),
+        previewLeadMinutes: Math.max(0, ...waiting.map(({ guildId }) => getGuildSettings(guildId).previewLeadMinutes))
+      });
+      
+      const due = waiting.filter(({ guildId }) =>
+        isPreviewDue(game, getGuildSettings(guildId).previewLeadMinutes, now)
+      );
+      if (due.length === 0) continue;
+      
+      // Fetch the extra preview data once per game, not once per channel
+      const landing = await getGameStatus(gameId);
+      const rightRail = await getGameRightRail(gameId);
+      const standings = await getStandings();
+      
+      for (const { guildId, channelId } of due) {
+        try {
+          const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+          if (!channel) continue;
+          
+          const { timeZone, locale, language } = getGuildSettings(guildId);
+          const embed = buildPreviewEmbed(game, { team, timeZone, locale, language, landing, rightRail, standings });
+          await channel.send({ embeds: [embed] });
+          await markPreviewPosted(gameId, channelId, game.startTimeUTC);
+          console.log(`📰 Preview for game ${gameId} sent to guild ${guildId}, channel ${channelId}`);
+        } catch (error) {
+          console.error(`Error sending preview to guild ${guildId}, channel ${channelId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking for ${team} game preview:`, error);
+    }
+  }
+  
+  return upcomingGames;
+}
+
+/**
+ * Check a single live game for updates and post to the channels following either team
+ * @param {Object} currentGame - Game object from the club schedule
+ * @returns {Promise<{gameState: string, inIntermission: boolean, isFinal: boolean}|null>} Game state for
+ *   the poll scheduler, or null if the NHL API didn't return it this time
+ */
+async function processGameUpdates(currentGame) {
+  try {
+    const gameId = String(currentGame.id || currentGame.gamePk);
+    const gameTeams = [currentGame.awayTeam?.abbrev, currentGame.homeTeam?.abbrev].filter(Boolean);
+    
+    // Start tracking game if not already (trackers restored on boot are reused)
+    if (!activeGames.has(gameId)) {
+      activeGames.set(gameId, createGameTracker());
+      console.log(`🏒 Started tracking game ${gameId}`);
+    }
+    
+    // The schedule can keep reporting a game as live after we've posted the final
+    if (activeGames.get(gameId).isFinal) return { gameState: 'FINAL', inIntermission: false, isFinal: true };
+    // A postponed game stays on the schedule until its start window passes
+    if (activeGames.get(gameId).postponed) return { gameState: currentGame.gameState, inIntermission: false, isFinal: true };
+    
+    // Get detailed game status (landing endpoint)
+    const gameStatus = await getGameStatus(gameId);
+    if (!gameStatus) return null;
+    
+    // Get play-by-play data for goal detection
+    const gameFeed = await getGameFeed(gameId);
+    if (!gameFeed) {
+      console.log(`⚠️ No play-by-play data available for game ${gameId}`);
+      return null;
+    }
+    
+    const formattedGame = formatGameData(currentGame);
+    const gameTracker = activeGames.get(gameId);
+    // Remember the schedule entry so the game keeps being polled until its final is posted
+    gameTracker.game = currentGame;
+    
+    // Open game-day threads before anything is posted into them
+    if (gameStatus.gameState === 'LIVE' || gameStatus.gameState === 'CRIT') {
+      if (await ensureGameThreads(gameTracker, currentGame, gameTeams)) {
+        await saveGameTracker(gameId, gameTracker);
+      }
+    }
+    
+    // Extract current score and game state from landing endpoint
+    const homeScore = gameStatus.homeTeam?.score ?? 0;
+    const awayScore = gameStatus.awayTeam?.score ?? 0;
+    const currentPeriod = gameStatus.periodDescriptor?.number ?? gameStatus.period ?? 1;
+    const periodType = gameStatus.periodDescriptor?.periodType ?? 'REG';
+    const timeRemaining = gameStatus.clock?.timeRemaining ?? '';
+    const gameState = gameStatus.gameState ?? '';
+    
+    // Format period display
     let currentPeriodOrdinal = '';
     if (periodType === 'OT') {
       currentPeriodOrdinal = 'OT';
@@ -556,227 +1258,687 @@ async function checkForGameUpdates() {
       formattedGame.status = gameState === 'OFF' || gameState === 'FINAL' ? 'Final' : formattedGame.status;
     }
     
-    // Parse scoring plays from play-by-play data
+    // Parse scoring plays from play-by-play data (shootout goals are handled as attempts below)
     const plays = gameFeed.plays || [];
-    const scoringPlays = plays.filter(p => p.typeDescKey === 'goal');
+    const scoringPlays = plays.filter(p => p.typeDescKey === 'goal' && !isShootoutPlay(p));
+    const shootoutPlays = getShootoutPlays(plays);
+    
+    const { newGoals, changedGoals, missingGoalIds } = diffGoals(gameTracker, scoringPlays);
     
-    console.log(`📊 Game ${gameId}: Found ${scoringPlays.length} total goals, last processed index: ${gameTracker.lastScoringIdx}`);
+    console.log(`📊 Game ${gameId}: Found ${scoringPlays.length} total goals, ${newGoals.length} new`);
     
     // Process new scoring plays
-    for (let i = gameTracker.lastScoringIdx + 1; i < scoringPlays.length; i++) {
-      const goalEvent = scoringPlays[i];
-      
-      console.log(`🚨 New goal detected at index ${i}:`, {
+    for (const goalEvent of newGoals) {
+      console.log(`🚨 New goal detected (event ${goalEvent.eventId}):`, {
         eventId: goalEvent.eventId,
         period: goalEvent.periodDescriptor?.number,
         time: goalEvent.timeInPeriod,
-        team: goalEvent.details?.eventOwnerTeamId
+        team: getEventTeamAbbrev(goalEvent, currentGame)
       });
       
-      // Extract goal details with safe fallbacks
-      const details = goalEvent.details || {};
-      const scoringPlayer = details.scoringPlayer || {};
-      const scoringPlayerName = `${scoringPlayer.firstName?.default || ''} ${scoringPlayer.lastName?.default || ''}`.trim();
-      const scoringPlayerNumber = scoringPlayer.sweaterNumber ? `#${scoringPlayer.sweaterNumber}` : '';
-      const scorer = scoringPlayerName 
-        ? `${scoringPlayerName} ${scoringPlayerNumber}`.trim()
-        : 'Unknown';
-      
-      // Build assists string
-      const assistPlayers = details.assists || [];
-      const assists = assistPlayers.length > 0
-        ? assistPlayers.map(a => {
-            const name = `${a.firstName?.default || ''} ${a.lastName?.default || ''}`.trim();
-            const num = a.sweaterNumber ? `#${a.sweaterNumber}` : '';
-            return name ? `${name} ${num}`.trim() : '';
-          }).filter(a => a).join(', ')
-        : 'Unassisted';
-      
-      // Determine strength
-      let strength = 'EV'; // Even strength default
-      
-      // Check for explicit strength field first (most reliable)
-      if (details.strength) {
-        strength = details.strength.toUpperCase();
-      } 
-      // Check for penalty shot
-      else if (details.shotType === 'penalty-shot') {
-        strength = 'PS';
-      }
-      // Check for empty net (this can combine with other strengths)
-      else if (details.goalModifier === 'empty-net') {
-        strength = 'EN';
-      }
-      // Fallback: Try to parse from situation code if no explicit strength
-      else if (goalEvent.situationCode) {
-        // Situation code format analysis (best effort)
-        // Typically: first 2 digits indicate away/home strength
-        const situationCode = goalEvent.situationCode;
-        const awayCode = situationCode.charAt(0);
-        const homeCode = situationCode.charAt(1);
-        
-        // If codes differ, one team has numerical advantage
-        if (awayCode !== homeCode) {
-          const scoringTeamId = details.eventOwnerTeamId;
-          const isHomeTeam = scoringTeamId === (currentGame.homeTeam?.abbrev || '');
-          
-          // Lower code value typically means more players (1=5, 2=4, etc.)
-          if (isHomeTeam) {
-            strength = homeCode < awayCode ? 'PP' : 'SH';
-          } else {
-            strength = awayCode < homeCode ? 'PP' : 'SH';
-          }
-        }
-      }
-      
-      // Format period and time
-      const periodDesc = goalEvent.periodDescriptor || {};
-      let period = '';
-      if (periodDesc.periodType === 'OT') {
-        period = 'OT';
-      } else if (periodDesc.periodType === 'SO') {
-        period = 'SO';
-      } else {
-        period = `P${periodDesc.number || currentPeriod}`;
-      }
-      
-      const timeInPeriod = goalEvent.timeInPeriod || 'TBD';
+      const goalData = buildGoalData(goalEvent, currentGame, { currentPeriod, homeScore, awayScore });
       
-      // Get scores after this goal
-      const goalHomeScore = details.homeScore ?? homeScore;
-      const goalAwayScore = details.awayScore ?? awayScore;
+      // Send goal update to channels following either team
+      const messages = await sendGoalToChannels(goalData, { teams: gameTeams, scoringTeam: goalData.teamAbbrev, gameTracker });
       
-      // Get team abbreviations
-      const homeTeamAbbrev = currentGame.homeTeam?.abbrev || formattedGame?.homeTeam || 'Home';
-      const awayTeamAbbrev = currentGame.awayTeam?.abbrev || formattedGame?.awayTeam || 'Away';
-      const scoringTeamAbbrev = details.eventOwnerTeamId || '';
-      
-      // Shot type
-      const shotType = details.shotType || '';
-      
-      // Build goal embed
-      const logos = getTeamLogos(currentGame);
-      const goalEmbed = createGoalEmbed({
-        scorer,
-        assists,
-        strength,
-        period,
-        timeInPeriod,
-        homeScore: goalHomeScore,
-        awayScore: goalAwayScore,
-        homeTeam: homeTeamAbbrev,
-        awayTeam: awayTeamAbbrev,
-        teamAbbrev: scoringTeamAbbrev,
-        shotType,
-        logos
-      });
+      // Persist after every goal so a crash mid-loop doesn't re-post it
+      recordPostedGoal(gameTracker, goalEvent, goalData, messages);
+      await saveGameTracker(gameId, gameTracker);
+    }
+    
+    // Scorer/assist changes announced by the league: edit the original posts
+    for (const { play, posted, credits } of changedGoals) {
+      console.log(`✏️ Scoring change for goal ${play.eventId}: ${posted.goalData.scorer} (${posted.goalData.assists}) -> ${credits.scorer} (${credits.assists})`);
+      posted.goalData = { ...posted.goalData, ...credits, translations: getTranslatedCredits(play) };
+      await editGoalMessages(posted.messages, posted.goalData);
+      await saveGameTracker(gameId, gameTracker);
+    }
+    
+    // Goals that vanished from the feed (e.g. overturned by a coach's challenge)
+    for (const eventId of confirmOverturnedGoals(gameTracker, missingGoalIds)) {
+      const posted = gameTracker.postedGoals[eventId];
+      console.log(`❌ Goal ${eventId} no longer in the feed; marking overturned`);
+      await sendGoalOverturned(posted, { homeScore, awayScore });
+    }
+    if (missingGoalIds.length > 0) {
+      await saveGameTracker(gameId, gameTracker);
+    }
+    
+    // Penalties, and follow-ups when the power plays they created are over
+    const penaltyPlays = plays.filter(p => p.typeDescKey === 'penalty');
+    const gameSeconds = getCurrentGameSeconds(gameStatus);
+    for (const penaltyPlay of findNewPenalties(gameTracker, penaltyPlays)) {
+      const penalty = getPenaltyDetails(penaltyPlay, currentGame, { rosterSpots: gameFeed.rosterSpots, penaltyPlays });
+      console.log(`🚫 New penalty detected (event ${penalty.eventId}): ${penalty.teamAbbrev} ${penalty.player || 'bench'}, ${penalty.infraction} ${penalty.minutes} min`);
       
-      // Send goal update to all configured channels
-      await sendGoalToChannels(goalEmbed);
+      const display = { logos: getTeamLogos(currentGame), homeAbbrev: currentGame.homeTeam?.abbrev };
+      const messages = await sendPenaltyToChannels(penalty, display, gameTeams, gameTracker);
+      recordPostedPenalty(gameTracker, penalty, messages, gameSeconds);
+      await saveGameTracker(gameId, gameTracker);
     }
     
-    // Update last scoring index
-    if (scoringPlays.length > 0) {
-      gameTracker.lastScoringIdx = scoringPlays.length - 1;
+    const endedPowerPlays = findEndedPowerPlays(gameTracker, { scoringPlays, game: currentGame, gameSeconds });
+    for (const { posted, reason, goal, fullStrength } of endedPowerPlays) {
+      console.log(`⏱️ ${posted.penalty.powerPlay.team} power play from penalty ${posted.penalty.eventId} over (${reason})`);
+      await sendPowerPlayEnded(posted, reason, { goal, fullStrength });
+    }
+    if (endedPowerPlays.length > 0) {
+      await saveGameTracker(gameId, gameTracker);
     }
     
-    // Check for other updates (period changes, game end)
-    let update = null;
+    // Shootout attempts, each with the tally as it stood after that shot
+    for (const play of findNewShootoutAttempts(gameTracker, shootoutPlays)) {
+      const tally = getShootoutTally(shootoutPlays.slice(0, shootoutPlays.indexOf(play) + 1), currentGame);
+      console.log(`🥅 Shootout attempt (event ${play.eventId}): ${getEventTeamAbbrev(play, currentGame)} ${play.typeDescKey}, ${formatShootoutTally(tally)}`);
+      
+      await sendShootoutAttemptToChannels(play, { game: currentGame, rosterSpots: gameFeed.rosterSpots, shootoutPlays, tally }, gameTeams, gameTracker);
+      markShootoutAttemptPosted(gameTracker, play);
+      await saveGameTracker(gameId, gameTracker);
+    }
     
-    // Period change
-    if (currentPeriodOrdinal !== gameTracker.lastPeriod && gameTracker.lastPeriod !== '') {
-      update = {
-        type: 'PERIOD_UPDATE',
-        message: `Period update: Now ${currentPeriodOrdinal}`,
-        formattedGame,
-        logos: getTeamLogos(currentGame)
-      };
+    // Puck drop, intermissions, overtime, delays and postponements, as the landing endpoint reports them
+    const isFinalState = gameState === 'OFF' || gameState === 'FINAL';
+    const events = isFinalState ? [] : detectGameEvents(gameTracker, gameStatus, { startTime: currentGame.startTimeUTC });
+    const updates = events.map(event => ({
+      ...event,
+      game: currentGame,
+      formattedGame,
+      logos: getTeamLogos(currentGame)
+    }));
+    
+    // Intermission posts carry the period-by-period score and shots
+    if (updates.some(update => update.type === 'PERIOD_END')) {
+      const periodSummary = buildPeriodSummary(gameStatus, await getGameRightRail(gameId));
+      for (const update of updates) {
+        if (update.type === 'PERIOD_END') update.periodSummary = periodSummary;
+      }
     }
+    
     // Game ended
-    else if ((gameState === 'OFF' || gameState === 'FINAL') && gameTracker.lastTimeRemaining !== 'Final') {
-      update = {
+    if (isFinalState && !gameTracker.isFinal) {
+      // Three stars, team stats and top players for the final post
+      const boxscore = await getGameBoxscore(gameId);
+      
+      // The shootout winner's extra goal isn't a regular goal play; say how the game was decided
+      const decidedInShootout = periodType === 'SO' || gameStatus.gameOutcome?.lastPeriodType === 'SO';
+      
+      updates.push({
         type: 'GAME_END',
-        message: `Game Final: ${formattedGame.awayTeam} ${awayScore} - ${homeScore} ${formattedGame.homeTeam}`,
+        game: currentGame,
         formattedGame,
-        logos: getTeamLogos(currentGame)
-      };
+        logos: getTeamLogos(currentGame),
+        summary: buildGameSummary(gameStatus, boxscore),
+        shootout: decidedInShootout
+          ? {
+            tally: getShootoutTally(shootoutPlays, currentGame),
+            winner: homeScore > awayScore ? currentGame.homeTeam?.abbrev : currentGame.awayTeam?.abbrev
+          }
+          : null
+      });
       
       console.log(`🏁 Game ${gameId} ended. Stopping tracking.`);
-      // Stop tracking game
-      activeGames.delete(gameId);
+    }
+    
+    // Edit (or create at puck drop) the pinned scoreboards; finalized once the game is over
+    if (gameTracker.gameStarted || isFinalState) {
+      await updateLiveScoreboards(gameTracker, gameStatus, gameTeams);
     }
     
     // Update tracker
-    if (activeGames.has(gameId)) {
-      const tracker = activeGames.get(gameId);
-      tracker.lastHomeScore = homeScore;
-      tracker.lastAwayScore = awayScore;
-      tracker.lastPeriod = currentPeriodOrdinal;
-      tracker.lastTimeRemaining = gameState === 'OFF' || gameState === 'FINAL' ? 'Final' : timeRemaining;
-      tracker.lastUpdate = Date.now();
-      activeGames.set(gameId, tracker);
+    gameTracker.lastHomeScore = homeScore;
+    gameTracker.lastAwayScore = awayScore;
+    gameTracker.lastPeriod = currentPeriodOrdinal;
+    gameTracker.lastTimeRemaining = isFinalState ? 'Final' : timeRemaining;
+    gameTracker.lastUpdate = Date.now();
+    await saveGameTracker(gameId, gameTracker);
+    
+    // Send non-goal updates to channels following either team
+    for (const update of updates) {
+      console.log(`📣 Game ${gameId}: ${getUpdateTitle(update, DEFAULT_LANGUAGE)}`);
+      await sendGameUpdateToChannels(update, gameTeams, gameTracker);
     }
     
-    // Send updates to all configured channels if there's a non-goal update
-    if (update) {
-      await sendGameUpdateToChannels(update);
+    // Only mark the game final once its final has been sent, so a restart in between re-sends it.
+    // The finished tracker is kept until it's pruned so a lagging schedule can't restart it.
+    if (updates.some(update => update.type === 'GAME_END')) {
+      gameTracker.isFinal = true;
+      scheduleThreadArchive(gameTracker);
+      await saveGameTracker(gameId, gameTracker);
     }
     
+    return {
+      gameState,
+      inIntermission: Boolean(gameStatus.clock?.inIntermission),
+      isFinal: gameTracker.isFinal || gameTracker.postponed
+    };
   } catch (error) {
     console.error('Error checking for game updates:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the data for a goal embed from a play-by-play scoring play
+ * @param {Object} goalEvent - Scoring play from the play-by-play feed
+ * @param {Object} currentGame - Game object from the club schedule
+ * @param {Object} fallback - Live values used when the play omits them
+ * @param {number} fallback.currentPeriod - Current period number
+ * @param {number} fallback.homeScore - Current home score
+ * @param {number} fallback.awayScore - Current away score
+ * @returns {Object} Goal data for createGoalEmbed(); `translations` holds the credits in other languages
+ */
+function buildGoalData(goalEvent, currentGame, { currentPeriod, homeScore, awayScore }) {
+  // Extract goal details with safe fallbacks
+  const details = goalEvent.details || {};
+  const { scorer, assists } = getGoalCredits(goalEvent);
+  const scoringTeamAbbrev = getEventTeamAbbrev(goalEvent, currentGame);
+  
+  // Determine strength
+  let strength = 'EV'; // Even strength default
+  
+  // Check for explicit strength field first (most reliable)
+  if (details.strength) {
+    strength = details.strength.toUpperCase();
+  } 
+  // Check for penalty shot
+  else if (details.shotType === 'penalty-shot') {
+    strength = 'PS';
+  }
+  // Check for empty net (this can combine with other strengths)
+  else if (details.goalModifier === 'empty-net') {
+    strength = 'EN';
+  }
+  // Fallback: Try to parse from situation code if no explicit strength
+  else if (goalEvent.situationCode) {
+    // Situation code format analysis (best effort)
+    // Typically: first 2 digits indicate away/home strength
+    const situationCode = goalEvent.situationCode;
+    const awayCode = situationCode.charAt(0);
+    const homeCode = situationCode.charAt(1);
+    
+    // If codes differ, one team has numerical advantage
+    if (awayCode !== homeCode) {
+      const isHomeTeam = scoringTeamAbbrev === (currentGame.homeTeam?.abbrev || '');
+      
+      // Lower code value typically means more players (1=5, 2=4, etc.)
+      if (isHomeTeam) {
+        strength = homeCode < awayCode ? 'PP' : 'SH';
+      } else {
+        strength = awayCode < homeCode ? 'PP' : 'SH';
+      }
+    }
+  }
+  
+  // Format period and time
+  const periodDesc = goalEvent.periodDescriptor || {};
+  let period = '';
+  if (periodDesc.periodType === 'OT') {
+    period = 'OT';
+  } else if (periodDesc.periodType === 'SO') {
+    period = 'SO';
+  } else {
+    period = `P${periodDesc.number || currentPeriod}`;
+  }
+  
+  const timeInPeriod = goalEvent.timeInPeriod || 'TBD';
+  
+  // Get scores after this goal
+  const goalHomeScore = details.homeScore ?? homeScore;
+  const goalAwayScore = details.awayScore ?? awayScore;
+  
+  // Get team abbreviations
+  const homeTeamAbbrev = currentGame.homeTeam?.abbrev || 'Home';
+  const awayTeamAbbrev = currentGame.awayTeam?.abbrev || 'Away';
+  
+  // Shot type
+  const shotType = details.shotType || '';
+  
+  return {
+    scorer,
+    assists,
+    strength,
+    period,
+    timeInPeriod,
+    homeScore: goalHomeScore,
+    awayScore: goalAwayScore,
+    homeTeam: homeTeamAbbrev,
+    awayTeam: awayTeamAbbrev,
+    teamAbbrev: scoringTeamAbbrev,
+    shotType,
+    logos: getTeamLogos(currentGame),
+    translations: getTranslatedCredits(goalEvent)
+  };
+}
+
+/**
+ * Get where a configured channel's in-game updates go: its game-day thread if it has one
+ * @param {Object} [gameTracker] - Game tracker holding the game's threads
+ * @param {string} guildId - Discord server ID
+ * @param {string} channelId - Configured channel ID
+ * @returns {Channel|undefined} Thread or channel, if the bot can see it
+ */
+function getUpdateChannel(gameTracker, guildId, channelId) {
+  const channels = client.guilds.cache.get(guildId)?.channels.cache;
+  const threadId = gameTracker ? getGameThread(gameTracker, channelId)?.threadId : null;
+  return (threadId && channels?.get(threadId)) || channels?.get(channelId);
+}
+
+/**
+ * Open a game-day thread in every channel that wants one and doesn't have one yet
+ * @param {Object} gameTracker - Game tracker (records the threads)
+ * @param {Object} currentGame - Game object from the club schedule
+ * @param {string[]} teams - Teams in the game
+ * @returns {Promise<boolean>} True if any thread was created or attempted
+ */
+async function ensureGameThreads(gameTracker, currentGame, teams) {
+  let changed = false;
+  for (const { guildId, channelId } of getSubscriptionsForTeams(teams)) {
+    const settings = getGuildSettings(guildId);
+    if (!settings.gameThreads || getGameThread(gameTracker, channelId)) continue;
+    
+    const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+    if (!channel) continue;
+    
+    let threadId = null;
+    try {
+      if (!channel.threads) throw new Error('channel does not support threads');
+      const thread = await channel.threads.create({
+        name: formatThreadName(currentGame, settings.timeZone, settings.locale),
+        // Only archived by us after the final, not by inactivity during intermissions
+        autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+        reason: 'Game-day thread'
+      });
+      threadId = thread.id;
+      console.log(`🧵 Game thread created in guild ${guildId}, channel ${channelId}`);
+    } catch (error) {
+      // Fall back to posting in the channel for the rest of the game
+      console.error(`Could not create game thread in guild ${guildId}, channel ${channelId}:`, error.message);
+    }
+    recordGameThread(gameTracker, { guildId, channelId, threadId });
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Archive game-day threads whose final was long enough ago
+ * @param {number} now - Reference time (ms since epoch)
+ */
+async function archiveGameThreads(now = Date.now()) {
+  for (const { gameId, thread } of findThreadsToArchive(activeGames, now)) {
+    try {
+      const channel = client.guilds.cache.get(thread.guildId)?.channels.cache.get(thread.threadId);
+      if (channel && !channel.archived) {
+        await channel.setArchived(true, 'Game over');
+        console.log(`🗄️ Game thread archived in guild ${thread.guildId}, channel ${thread.channelId}`);
+      }
+    } catch (error) {
+      console.error(`Error archiving game thread in guild ${thread.guildId}, channel ${thread.channelId}:`, error);
+    }
+    // Don't retry a thread that was deleted or that we can no longer manage
+    thread.archived = true;
+    await saveGameTracker(gameId, activeGames.get(gameId));
   }
 }
 
 /**
- * Send goal embed to all configured channels
- * @param {EmbedBuilder} goalEmbed - Goal embed to send
+ * Send a goal to configured channels, in each server's language
+ * @param {Object} goalData - Goal data for createGoalEmbed()
+ * @param {Object} [options] - Delivery options
+ * @param {string[]} [options.teams] - Only send to channels following one of these teams (default: all channels)
+ * @param {string} [options.scoringTeam] - Team that scored, to apply each guild's goals for/against setting
+ * @param {Object} [options.gameTracker] - Game tracker, to post in the game's threads
+ * @param {string} [options.guildId] - Only send to this server (e.g. /test-goal)
+ * @param {string} [options.channelId] - Only send to this channel
+ * @param {boolean} [options.pingRoles] - Mention the guild's goal role (default: true)
+ * @returns {Promise<Array<{guildId: string, channelId: string, messageId: string}>>} Messages that were posted
  */
-async function sendGoalToChannels(goalEmbed) {
-  for (const [guildId, channelId] of configuredChannels.entries()) {
+async function sendGoalToChannels(goalData, { teams, scoringTeam, gameTracker, guildId: onlyGuildId, channelId: onlyChannelId, pingRoles = true } = {}) {
+  const subscriptions = (teams ? getSubscriptionsForTeams(teams) : getSubscriptions()).filter(sub =>
+    (!onlyGuildId || sub.guildId === onlyGuildId) && (!onlyChannelId || sub.channelId === onlyChannelId)
+  );
+  const messages = [];
+  for (const { guildId, channelId, team } of subscriptions) {
     try {
-      const guild = client.guilds.cache.get(guildId);
-      if (!guild) continue;
+      const followedTeamScored = !scoringTeam || scoringTeam === team;
+      if (!shouldPostEvent(guildId, followedTeamScored ? 'goalsFor' : 'goalsAgainst')) continue;
       
-      const channel = guild.channels.cache.get(channelId);
+      const channel = getUpdateChannel(gameTracker, guildId, channelId);
       if (!channel) continue;
       
-      await channel.send({ embeds: [goalEmbed] });
+      const settings = getGuildSettings(guildId);
+      const ping = pingRoles ? getRolePing(settings, 'goal', { followedTeamScored }) : { allowedMentions: { parse: [] } };
+      const message = await channel.send({ ...ping, embeds: [createGoalEmbed(goalData, settings.language)] });
+      // Edits and replies go to wherever the goal was posted (the thread, if there is one)
+      messages.push({ guildId, channelId: channel.id, messageId: message.id });
       console.log(`✅ Goal update sent to guild ${guildId}, channel ${channelId}`);
     } catch (error) {
       console.error(`Error sending goal update to guild ${guildId}, channel ${channelId}:`, error);
     }
   }
+  return messages;
+}
+
+/**
+ * Replace the embed on previously posted goal messages (scoring changes)
+ * @param {Array<{guildId: string, channelId: string, messageId: string}>} messages - Posted goal messages
+ * @param {Object} goalData - Corrected goal data
+ */
+async function editGoalMessages(messages, goalData) {
+  for (const { guildId, channelId, messageId } of messages || []) {
+    try {
+      const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+      if (!channel) continue;
+      
+      const goalEmbed = createGoalEmbed(goalData, getGuildSettings(guildId).language);
+      await channel.messages.edit(messageId, { embeds: [goalEmbed] });
+      console.log(`✏️ Goal message ${messageId} updated in guild ${guildId}, channel ${channelId}`);
+    } catch (error) {
+      console.error(`Error editing goal message ${messageId} in guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+}
+
+/**
+ * Strike through an overturned goal's original posts and reply with a follow-up
+ * @param {Object} posted - Posted goal record from the game tracker
+ * @param {Object} score - Current score after the goal was taken off the board
+ * @param {number} score.homeScore - Current home score
+ * @param {number} score.awayScore - Current away score
+ */
+async function sendGoalOverturned(posted, { homeScore, awayScore }) {
+  const { goalData } = posted;
+  
+  for (const { guildId, channelId, messageId } of posted.messages || []) {
+    try {
+      const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+      if (!channel) continue;
+      
+      const { language } = getGuildSettings(guildId);
+      const struckEmbed = createGoalEmbed(goalData, language);
+      struckEmbed
+        .setTitle(`~~${struckEmbed.data.title}~~`)
+        .setColor(0x9E9E9E) // Grey for disallowed goals
+        .setFooter({ text: t(language, 'goal.overturned') });
+      
+      const { scorer } = { ...goalData, ...goalData.translations?.[language] };
+      const followUpEmbed = new EmbedBuilder()
+        .setTitle(t(language, 'goal.overturnedTitle', { away: goalData.awayTeam, awayScore, homeScore, home: goalData.homeTeam }))
+        .setColor(0xF44336) // Red for overturned goals
+        .setDescription(t(language, 'goal.overturnedDescription', {
+          scorer,
+          period: formatPeriod(goalData.period, language),
+          time: goalData.timeInPeriod
+        }))
+        .setTimestamp();
+      
+      await channel.messages.edit(messageId, { embeds: [struckEmbed] });
+      await channel.send({
+        embeds: [followUpEmbed],
+        reply: { messageReference: messageId, failIfNotExists: false }
+      });
+      console.log(`❌ Overturned goal posted to guild ${guildId}, channel ${channelId}`);
+    } catch (error) {
+      console.error(`Error posting overturned goal to guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+}
+
+/**
+ * Send a penalty to the channels following either team, in each server's language
+ * @param {Object} penalty - Penalty details from getPenaltyDetails
+ * @param {Object} display - Logo options for createPenaltyEmbed
+ * @param {string[]} teams - Teams in the game
+ * @param {Object} [gameTracker] - Game tracker, to post in the game's threads
+ * @returns {Promise<Array<{guildId: string, channelId: string, messageId: string}>>} Messages that were posted
+ */
+async function sendPenaltyToChannels(penalty, display, teams, gameTracker) {
+  const messages = [];
+  for (const { guildId, channelId } of getSubscriptionsForTeams(teams)) {
+    try {
+      if (!shouldPostEvent(guildId, 'penalties')) continue;
+      
+      const channel = getUpdateChannel(gameTracker, guildId, channelId);
+      if (!channel) continue;
+      
+      const { language } = getGuildSettings(guildId);
+      const message = await channel.send({ embeds: [createPenaltyEmbed(penalty, { ...display, language })] });
+      messages.push({ guildId, channelId: channel.id, messageId: message.id });
+      console.log(`✅ Penalty sent to guild ${guildId}, channel ${channelId}`);
+    } catch (error) {
+      console.error(`Error sending penalty to guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+  return messages;
 }
 
 /**
- * Send game update to all configured channels
+ * Reply to a penalty's posts once the power play it created is over (or, for a
+ * double minor, once a goal has ended its first minor)
+ * @param {Object} posted - Posted penalty record from the game tracker
+ * @param {string} reason - 'goal' if the power play scored, 'firstMinor' if a goal ended the first half
+ *   of a double minor, 'expired' if time ran out
+ * @param {Object} [details]
+ * @param {Object} [details.goal] - The power-play goal, for 'goal' and 'firstMinor'
+ * @param {boolean} [details.fullStrength] - True if no other power play is still running
+ */
+async function sendPowerPlayEnded(posted, reason, { goal, fullStrength = false } = {}) {
+  for (const { guildId, channelId, messageId } of posted.messages || []) {
+    try {
+      const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+      if (!channel) continue;
+      
+      const { language } = getGuildSettings(guildId);
+      await channel.send({
+        embeds: [createPowerPlayEndedEmbed(posted.penalty, reason, { goal, fullStrength, language })],
+        reply: { messageReference: messageId, failIfNotExists: false }
+      });
+    } catch (error) {
+      console.error(`Error sending power play follow-up to guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+}
+
+/**
+ * Announce a shootout attempt to the channels following either team, in each server's language
+ * @param {Object} play - Shootout attempt play
+ * @param {Object} context - Shootout state
+ * @param {Object} context.game - Game object from the club schedule
+ * @param {Array<Object>} [context.rosterSpots] - Players dressed for the game
+ * @param {Array<Object>} context.shootoutPlays - Every attempt in the feed, to number the round
+ * @param {Object} context.tally - Shootout tally after this attempt
+ * @param {string[]} teams - Teams in the game
+ * @param {Object} [gameTracker] - Game tracker, to post in the game's threads
+ */
+async function sendShootoutAttemptToChannels(play, { game, rosterSpots, shootoutPlays, tally }, teams, gameTracker) {
+  const logos = getTeamLogos(game);
+  for (const { guildId, channelId } of getSubscriptionsForTeams(teams)) {
+    try {
+      if (!shouldPostEvent(guildId, 'shootout')) continue;
+      
+      const channel = getUpdateChannel(gameTracker, guildId, channelId);
+      if (!channel) continue;
+      
+      const { language } = getGuildSettings(guildId);
+      const attempt = getShootoutAttempt(play, game, rosterSpots, shootoutPlays, language);
+      const logo = attempt.teamAbbrev === game.homeTeam?.abbrev ? logos?.homeTeamLogo : logos?.awayTeamLogo;
+      await channel.send({ embeds: [createShootoutAttemptEmbed(attempt, tally, { language, logo })] });
+    } catch (error) {
+      console.error(`Error sending shootout attempt to guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+}
+
+/**
+ * Create or edit the live scoreboard message in every channel that wants one
+ * @param {Object} gameTracker - Game tracker (keeps the scoreboard message ids)
+ * @param {Object} gameStatus - Landing endpoint response for this poll
+ * @param {string[]} teams - Teams in the game
+ */
+async function updateLiveScoreboards(gameTracker, gameStatus, teams) {
+  const scoreboard = buildScoreboard(gameStatus);
+  if (!scoreboard) return;
+  
+  if (!gameTracker.scoreboardMessages) gameTracker.scoreboardMessages = [];
+  
+  for (const { guildId, channelId } of getSubscriptionsForTeams(teams)) {
+    const existing = gameTracker.scoreboardMessages.find(m => m.channelId === channelId);
+    // Channels that already have a scoreboard keep it up to date even if the mode is turned off mid-game
+    if (!existing && (!getGuildSettings(guildId).liveScoreboard || scoreboard.isFinal)) continue;
+    
+    try {
+      const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+      if (!channel) continue;
+      
+      const embed = buildScoreboardEmbed(scoreboard, getGuildSettings(guildId).language);
+      if (existing) {
+        const message = await channel.messages.edit(existing.messageId, { embeds: [embed] });
+        if (scoreboard.isFinal) {
+          await message.unpin().catch(error => console.error(`Could not unpin scoreboard in channel ${channelId}:`, error.message));
+          console.log(`🏁 Scoreboard finalized in guild ${guildId}, channel ${channelId}`);
+        }
+      } else {
+        const message = await channel.send({ embeds: [embed] });
+        gameTracker.scoreboardMessages.push({ guildId, channelId, messageId: message.id });
+        await message.pin().catch(error => console.error(`Could not pin scoreboard in channel ${channelId}:`, error.message));
+        console.log(`📺 Scoreboard created in guild ${guildId}, channel ${channelId}`);
+      }
+    } catch (error) {
+      console.error(`Error updating scoreboard in guild ${guildId}, channel ${channelId}:`, error);
+    }
+  }
+}
+
+/**
+ * Send game update to configured channels. Period ends and overtime go in the game's
+ * threads; puck drop, delays and the final stay in the channel itself.
  * @param {Object} update - Update information
+ * @param {string[]} [teams] - Only send to channels following one of these teams (default: all channels)
+ * @param {Object} [gameTracker] - Game tracker, to post in (or point to) the game's threads
  */
-async function sendGameUpdateToChannels(update) {
-  for (const [guildId, channelId] of configuredChannels.entries()) {
+async function sendGameUpdateToChannels(update, teams, gameTracker) {
+  const subscriptions = teams ? getSubscriptionsForTeams(teams) : getSubscriptions();
+  const notificationType = UPDATE_NOTIFICATION_TYPES[update.type];
+  for (const { guildId, channelId, team } of subscriptions) {
     try {
-      const embed = createGameUpdateEmbed(update);
+      const threadId = gameTracker ? getGameThread(gameTracker, channelId)?.threadId : null;
+      const settings = getGuildSettings(guildId);
+      if (update.type === 'GAME_END' && threadId) {
+        await sendThreadClosingNote(update, guildId, threadId, channelId);
+      }
       
-      const guild = client.guilds.cache.get(guildId);
-      if (!guild) continue;
+      if (notificationType && !shouldPostEvent(guildId, notificationType)) continue;
       
-      const channel = guild.channels.cache.get(channelId);
+      const embed = createGameUpdateEmbed(update, team, settings.language);
+      
+      const channel = THREAD_UPDATE_TYPES.includes(update.type)
+        ? getUpdateChannel(gameTracker, guildId, channelId)
+        : client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
       if (!channel) continue;
       
-      await channel.send({ embeds: [embed] });
+      const ping = update.type === 'GAME_START' ? getRolePing(settings, 'gameStart') : {};
+      // Point the final summary back at the game's thread
+      const content = update.type === 'GAME_END' && threadId ? t(settings.language, 'update.threadLink', { threadId }) : undefined;
+      await channel.send({ ...ping, ...(content && { content }), embeds: [embed] });
     } catch (error) {
       console.error(`Error sending update to guild ${guildId}, channel ${channelId}:`, error);
     }
   }
 }
 
+/**
+ * Tell a game thread the game is over and when it will be archived
+ * @param {Object} update - GAME_END update
+ * @param {string} guildId - Discord server ID
+ * @param {string} threadId - Game thread ID
+ * @param {string} channelId - Parent channel, where the summary is posted
+ */
+async function sendThreadClosingNote(update, guildId, threadId, channelId) {
+  try {
+    const thread = client.guilds.cache.get(guildId)?.channels.cache.get(threadId);
+    if (!thread) return;
+    
+    const hours = Math.round(GAME_THREAD_ARCHIVE_DELAY_MS / (60 * 60 * 1000));
+    const { language } = getGuildSettings(guildId);
+    await thread.send(t(language, 'update.threadClosing', { final: getUpdateTitle(update, language), channelId, hours }));
+  } catch (error) {
+    console.error(`Error posting to game thread in guild ${guildId}, channel ${channelId}:`, error);
+  }
+}
+
+/**
+ * Get the names of a game's teams in a language, preferring the API's own translations
+ * @param {Object} update - Game update (carries the schedule game and its formatted data)
+ * @param {string} language - Guild language
+ * @returns {{away: string, home: string}} Team names
+ */
+function getUpdateTeamNames({ game, formattedGame }, language) {
+  const away = getLocalizedTeamName(game?.awayTeam, language) || formattedGame.awayTeam;
+  const home = getLocalizedTeamName(game?.homeTeam, language) || formattedGame.homeTeam;
+  return {
+    away: typeof away === 'string' && away.trim() ? away : t(language, 'common.away'),
+    home: typeof home === 'string' && home.trim() ? home : t(language, 'common.home')
+  };
+}
+
+/**
+ * Headline for a puck drop, intermission, overtime, delay or final update
+ * @param {Object} update - Update information
+ * @param {string} language - Guild language
+ * @returns {string} e.g. '🏒 Puck drop: Canadiens at Maple Leafs'
+ */
+function getUpdateTitle(update, language) {
+  const { formattedGame } = update;
+  const { away, home } = getUpdateTeamNames(update, language);
+  const score = { away, awayScore: formattedGame.awayScore, homeScore: formattedGame.homeScore, home };
+  switch (update.type) {
+    case 'GAME_START':
+      return t(language, 'update.gameStart', { away, home });
+    case 'PERIOD_END':
+      return t(language, 'update.periodEnd', { ...score, period: formatPeriod(update.period, language) });
+    case 'OVERTIME_START':
+      return t(language, 'update.overtimeStart', { ...score, period: formatPeriod(update.period, language) });
+    case 'DELAY':
+      return t(language, update.reason === 'suspended' ? 'update.suspended' : 'update.delayed', { away, home });
+    case 'POSTPONED':
+      return t(language, update.cancelled ? 'update.cancelled' : 'update.postponed', { away, home });
+    case 'GAME_END':
+      return t(language, update.shootout ? 'update.finalShootout' : 'update.final', score);
+    default:
+      return update.message || '';
+  }
+}
+
 /**
  * Create a Discord embed for game updates
  * @param {Object} update - Update information
+ * @param {string} [team] - Team the receiving channel follows (used for the thumbnail)
+ * @param {string} [language] - Guild language
  * @returns {EmbedBuilder} Discord embed object
  */
-function createGameUpdateEmbed(update) {
+function createGameUpdateEmbed(update, team = update.formattedGame.followedTeam, language = DEFAULT_LANGUAGE) {
   const { formattedGame, logos } = update;
+  const { away, home } = getUpdateTeamNames(update, language);
+  const tbd = t(language, 'common.tbd');
+  const thumbnail = logos && (formattedGame.homeAbbrev === team ? logos.homeTeamLogo : logos.awayTeamLogo);
+  
+  // Delays and postponements have no score to show yet
+  if (update.type === 'DELAY' || update.type === 'POSTPONED') {
+    const time = discordTimestamp(update.game?.startTimeUTC, 't') || tbd;
+    let description = t(language, 'update.postponedDescription', { time });
+    if (update.type === 'DELAY') {
+      description = update.reason === 'suspended'
+        ? t(language, 'update.suspendedDescription')
+        : t(language, 'update.delayedDescription', { time, minutes: update.minutes });
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(getUpdateTitle(update, language))
+      .setDescription(description)
+      .setColor(update.type === 'POSTPONED' ? 0xF44336 : 0xFF9800) // Red for postponed, orange for delays
+      .setTimestamp();
+    if (thumbnail) embed.setThumbnail(thumbnail);
+    return embed;
+  }
   
   // Choose color based on game state
   let color = 0x1976D2; // Blue for general updates
@@ -786,33 +1948,60 @@ function createGameUpdateEmbed(update) {
     color = 0x9C27B0; // Purple for game end
   }
   
+  // Period ends and overtime name their own period; during an intermission the clock counts down the break
+  const period = update.period || formattedGame.period;
+  const clock = update.type === 'PERIOD_END'
+    ? t(language, 'update.intermission')
+    : (typeof formattedGame.timeRemaining === 'string' && formattedGame.timeRemaining.trim() ? formattedGame.timeRemaining : tbd);
+  
   // Create the embed
   const embed = new EmbedBuilder()
-    .setTitle(update.message)
+    .setTitle(getUpdateTitle(update, language))
     .setColor(color)
     .addFields(
       {
-        name: typeof formattedGame.awayTeam === 'string' && formattedGame.awayTeam.trim() ? formattedGame.awayTeam : 'Away',
-        value: formattedGame.awayScore !== undefined && formattedGame.awayScore !== null ? String(formattedGame.awayScore) : 'TBD',
+        name: away,
+        value: formattedGame.awayScore !== undefined && formattedGame.awayScore !== null ? String(formattedGame.awayScore) : tbd,
         inline: true
       },
       {
-        name: 'VS',
-        value: ((typeof formattedGame.period === 'string' && formattedGame.period.trim() ? formattedGame.period : 'TBD') + ' ' + (typeof formattedGame.timeRemaining === 'string' && formattedGame.timeRemaining.trim() ? formattedGame.timeRemaining : 'TBD')),
+        name: t(language, 'update.vs'),
+        value: ((typeof period === 'string' && period.trim() ? formatPeriod(period, language) : tbd) + ' ' + clock),
         inline: true
       },
       {
-        name: typeof formattedGame.homeTeam === 'string' && formattedGame.homeTeam.trim() ? formattedGame.homeTeam : 'Home',
-        value: formattedGame.homeScore !== undefined && formattedGame.homeScore !== null ? String(formattedGame.homeScore) : 'TBD',
+        name: home,
+        value: formattedGame.homeScore !== undefined && formattedGame.homeScore !== null ? String(formattedGame.homeScore) : tbd,
         inline: true
       }
     )
-    .setFooter({ text: `Game Status: ${formattedGame.status}` })
+    .setFooter({ text: t(language, 'update.status', { status: t(language, `gameState.${formattedGame.status}`, {}, formattedGame.status) }) })
     .setTimestamp();
   
+  // Shootout result, from the receiving channel's point of view
+  if (update.shootout) {
+    const { tally, winner } = update.shootout;
+    const followedTeam = team || formattedGame.followedTeam;
+    embed.addFields({
+      name: t(language, 'shootout.tally'),
+      value: `${formatShootoutTally(tally)}\n${t(language, followedTeam === winner ? 'shootout.win' : 'shootout.loss', { team: followedTeam })}`,
+      inline: false
+    });
+  }
+  
+  // Intermission score and shots by period
+  if (update.periodSummary) {
+    embed.addFields(buildPeriodSummaryFields(update.periodSummary, language));
+  }
+  
+  // End-of-game boxscore summary
+  if (update.summary) {
+    embed.addFields(buildGameSummaryFields(update.summary, language));
+  }
+  
   // Add team logos if available
-  if (logos) {
-    embed.setThumbnail(formattedGame.isLeafsHome ? logos.homeTeamLogo : logos.awayTeamLogo);
+  if (thumbnail) {
+    embed.setThumbnail(thumbnail);
   }
   
   return embed;
@@ -821,9 +2010,10 @@ function createGameUpdateEmbed(update) {
 /**
  * Create a Discord embed specifically for goal events
  * @param {Object} goalData - Goal event data
+ * @param {string} [language] - Guild language (credits come from `goalData.translations` when present)
  * @returns {EmbedBuilder} Discord embed object
  */
-function createGoalEmbed(goalData) {
+function createGoalEmbed(goalData, language = DEFAULT_LANGUAGE) {
   const {
     scorer,
     assists,
@@ -837,10 +2027,16 @@ function createGoalEmbed(goalData) {
     teamAbbrev,
     shotType,
     logos
-  } = goalData;
+  } = { ...goalData, ...goalData.translations?.[language] };
+  const tbd = t(language, 'common.tbd');
 
   // Build title with current score
-  const title = `🚨 GOAL! ${awayTeam || 'Away'} ${awayScore !== undefined ? awayScore : 'TBD'} – ${homeScore !== undefined ? homeScore : 'TBD'} ${homeTeam || 'Home'}`;
+  const title = t(language, 'goal.title', {
+    away: awayTeam || t(language, 'common.away'),
+    awayScore: awayScore !== undefined ? awayScore : tbd,
+    homeScore: homeScore !== undefined ? homeScore : tbd,
+    home: homeTeam || t(language, 'common.home')
+  });
 
   // Create the embed
   const embed = new EmbedBuilder()
@@ -853,31 +2049,31 @@ function createGoalEmbed(goalData) {
 
   // Scorer
   fields.push({
-    name: '🏒 Scorer',
-    value: typeof scorer === 'string' && scorer.trim() ? scorer : 'Unknown',
+    name: t(language, 'goal.scorer'),
+    value: typeof scorer === 'string' && scorer.trim() ? scorer : t(language, 'common.unknown'),
     inline: false
   });
 
   // Assists
   fields.push({
-    name: '🎯 Assists',
-    value: typeof assists === 'string' && assists.trim() ? assists : 'Unassisted',
+    name: t(language, 'goal.assists'),
+    value: typeof assists === 'string' && assists.trim() ? assists : t(language, 'goal.unassisted'),
     inline: false
   });
 
   // Strength and period/time on same line
   const strengthStr = typeof strength === 'string' && strength.trim() ? strength : 'EV';
-  const periodStr = typeof period === 'string' && period.trim() ? period : 'TBD';
-  const timeStr = typeof timeInPeriod === 'string' && timeInPeriod.trim() ? timeInPeriod : 'TBD';
+  const periodStr = typeof period === 'string' && period.trim() ? formatPeriod(period, language) : tbd;
+  const timeStr = typeof timeInPeriod === 'string' && timeInPeriod.trim() ? timeInPeriod : tbd;
   
   fields.push({
-    name: '💪 Strength',
-    value: strengthStr,
+    name: t(language, 'goal.strength'),
+    value: t(language, `strength.${strengthStr}`, {}, strengthStr),
     inline: true
   });
 
   fields.push({
-    name: '⏱️ Time',
+    name: t(language, 'goal.time'),
     value: `${periodStr} ${timeStr}`,
     inline: true
   });
@@ -885,8 +2081,8 @@ function createGoalEmbed(goalData) {
   // Shot type if available
   if (shotType && typeof shotType === 'string' && shotType.trim()) {
     fields.push({
-      name: '🎯 Shot Type',
-      value: shotType,
+      name: t(language, 'goal.shotType'),
+      value: t(language, `shotType.${shotType}`, {}, shotType),
       inline: true
     });
   }
@@ -906,45 +2102,189 @@ function createGoalEmbed(goalData) {
 }
 
 /**
- * Get embed for next Leafs game
+ * Get a penalty's infraction in a language (penalties saved before `descKey` was kept stay as posted)
+ * @param {Object} penalty - Penalty details from getPenaltyDetails
+ * @param {string} language - Guild language
+ * @returns {string} Infraction
+ */
+function getPenaltyInfraction(penalty, language) {
+  return penalty.descKey === undefined ? penalty.infraction : formatInfraction(penalty.descKey, language);
+}
+
+/**
+ * Create a Discord embed for a penalty and the power play it creates
+ * @param {Object} penalty - Penalty details from getPenaltyDetails
+ * @param {Object} [options] - Display options
+ * @param {Object} [options.logos] - Team logos from getTeamLogos
+ * @param {string} [options.homeAbbrev] - Home team abbreviation, to pick the penalized team's logo
+ * @param {string} [options.language] - Guild language
+ * @returns {EmbedBuilder} Discord embed object
+ */
+function createPenaltyEmbed(penalty, { logos, homeAbbrev, language = DEFAULT_LANGUAGE } = {}) {
+  const { teamAbbrev, player, drawnBy, minutes, period, timeInPeriod, powerPlay, coincidental } = penalty;
+  const infraction = getPenaltyInfraction(penalty, language);
+  
+  let powerPlayText = t(language, 'penalty.noPowerPlay');
+  if (powerPlay) {
+    powerPlayText = t(language, 'penalty.powerPlayUntil', { team: powerPlay.team, time: formatGameSeconds(powerPlay.endSeconds, language) });
+  } else if (coincidental) {
+    powerPlayText = t(language, 'penalty.coincidental');
+  }
+  
+  const embed = new EmbedBuilder()
+    .setTitle(t(language, 'penalty.title', { team: teamAbbrev ? getTeamName(teamAbbrev) : t(language, 'penalty.unknownTeam') }))
+    .setColor(0xFF9800) // Orange for penalties
+    .addFields(
+      { name: t(language, 'penalty.player'), value: player || t(language, 'penalty.teamPenalty'), inline: true },
+      {
+        name: t(language, 'penalty.infraction'),
+        value: minutes ? t(language, 'penalty.infractionMinutes', { infraction, minutes }) : infraction,
+        inline: true
+      },
+      { name: t(language, 'goal.time'), value: `${formatPeriod(period, language)} ${timeInPeriod}`, inline: true }
+    )
+    .setTimestamp();
+  
+  if (drawnBy) {
+    embed.addFields({ name: t(language, 'penalty.drawnBy'), value: drawnBy, inline: true });
+  }
+  embed.addFields({ name: t(language, 'penalty.powerPlay'), value: powerPlayText, inline: false });
+  
+  if (logos) {
+    const logo = teamAbbrev === homeAbbrev ? logos.homeTeamLogo : logos.awayTeamLogo;
+    if (logo) embed.setThumbnail(logo);
+  }
+  
+  return embed;
+}
+
+/**
+ * Create the reply to a penalty's post once its power play is over
+ * @param {Object} penalty - Penalty details from getPenaltyDetails
+ * @param {string} reason - 'goal', 'firstMinor' or 'expired' (see sendPowerPlayEnded)
+ * @param {Object} [options]
+ * @param {Object} [options.goal] - The power-play goal, for 'goal' and 'firstMinor'
+ * @param {boolean} [options.fullStrength] - True if no other power play is still running
+ * @param {string} [options.language] - Guild language
+ * @returns {EmbedBuilder} Discord embed object
+ */
+function createPowerPlayEndedEmbed(penalty, reason, { goal, fullStrength = false, language = DEFAULT_LANGUAGE } = {}) {
+  const { team } = penalty.powerPlay;
+  const player = penalty.player || t(language, 'penalty.teamPenalty');
+  const time = goal && formatGameSeconds(getGameSeconds(goal.periodDescriptor?.number ?? 1, goal.timeInPeriod), language);
+  const scorer = goal && getGoalCredits(goal, language).scorer;
+  
+  let title;
+  let description;
+  if (reason === 'firstMinor') {
+    title = t(language, 'powerPlay.firstMinorTitle', { team });
+    description = t(language, 'powerPlay.firstMinorDescription', { scorer, time, player });
+  } else if (reason === 'goal') {
+    title = t(language, 'powerPlay.goalTitle', { team });
+    description = t(language, 'powerPlay.goalDescription', { scorer, time, player });
+  } else {
+    title = t(language, 'powerPlay.expiredTitle', { team });
+    description = t(language, 'powerPlay.expiredDescription', {
+      player,
+      minutes: penalty.minutes,
+      infraction: getPenaltyInfraction(penalty, language).toLowerCase()
+    });
+  }
+  if (reason !== 'firstMinor' && fullStrength) {
+    description += ` ${t(language, 'powerPlay.fullStrength')}`;
+  }
+  
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(description)
+    .setColor(0x607D8B) // Blue grey for power-play follow-ups
+    .setTimestamp();
+}
+
+/**
+ * Create a Discord embed for a shootout attempt
+ * @param {Object} attempt - Attempt from getShootoutAttempt
+ * @param {Object} tally - Shootout tally after the attempt
+ * @param {Object} [options] - Display options
+ * @param {string} [options.language] - Guild language
+ * @param {string} [options.logo] - Shooting team's logo
+ * @returns {EmbedBuilder} Discord embed object
+ */
+function createShootoutAttemptEmbed(attempt, tally, { language = DEFAULT_LANGUAGE, logo } = {}) {
+  const unknown = t(language, 'common.unknown');
+  const shooter = attempt.shooter || unknown;
+  const goalie = attempt.goalie || unknown;
+  
+  const embed = new EmbedBuilder()
+    .setTitle(t(language, 'shootout.title', {
+      round: attempt.round,
+      result: t(language, `shootout.${attempt.result}`, { shooter, goalie })
+    }))
+    .setColor(attempt.result === 'scored' ? 0x4CAF50 : 0x607D8B) // Green for goals, blue grey for stops and misses
+    .addFields(
+      { name: t(language, 'shootout.shooter'), value: `${shooter} (${attempt.teamAbbrev || unknown})`, inline: true },
+      { name: t(language, 'shootout.goalie'), value: goalie, inline: true },
+      { name: t(language, 'shootout.tally'), value: formatShootoutTally(tally), inline: false }
+    )
+    .setTimestamp();
+  
+  if (logo) embed.setThumbnail(logo);
+  return embed;
+}
+
+/**
+ * Get embed for a team's next game
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @param {Object} [prefs] - Guild preferences
+ * @param {string} [prefs.timeZone] - Time zone for the game time (default: America/Toronto)
+ * @param {string} [prefs.locale] - Locale for the game time (default: en-US)
+ * @param {string} [prefs.language] - Language of the embed (default: English)
  */
-async function getNextGameEmbed() {
-  const nextGame = await getNextLeafsGame();
+async function getNextGameEmbed(team = LEAFS_TEAM_ID, { timeZone = 'America/Toronto', locale, language = DEFAULT_LANGUAGE } = {}) {
+  const nextGame = await getNextGame(team);
   if (!nextGame) {
+    const teamName = getTeamName(team);
     return new EmbedBuilder()
-      .setTitle("No upcoming Maple Leafs games found")
+      .setTitle(t(language, 'nextGame.noneTitle', { team: teamName }))
       .setColor(0x1976D2)
-      .setDescription("There are no scheduled Toronto Maple Leafs games in the near future.");
+      .setDescription(t(language, 'nextGame.noneDescription', { team: teamName }));
   }
   
-  const formattedGame = formatGameData(nextGame);
+  const formattedGame = formatGameData(nextGame, team);
   const logos = getTeamLogos(nextGame);
+  const followed = formattedGame.isFollowedTeamHome ? nextGame.homeTeam : nextGame.awayTeam;
+  const teamName = getLocalizedTeamName(followed, language) || getTeamName(team);
   
-  // Format the game time in US Eastern Time (EST/EDT)
-  const gameTime = new Date(nextGame.gameDate);
-  const formattedTime = gameTime.toLocaleString('en-US', {
+  // Format the game time in the server's time zone and locale
+  const gameTime = new Date(nextGame.startTimeUTC || nextGame.gameDate);
+  const formattedTime = formatInTimeZone(gameTime, { timeZone, locale }, {
     weekday: 'long',
     month: 'long',
     day: 'numeric',
     hour: 'numeric',
     minute: '2-digit',
-    timeZone: 'America/New_York',
     timeZoneName: 'short'
   });
+  // Discord renders these in each reader's own time zone, with a live countdown
+  const localTime = discordTimestamp(gameTime, 'F');
+  const venue = localizedName(nextGame.venue?.name || nextGame.venue, language);
   
   const embed = new EmbedBuilder()
-    .setTitle("Next Toronto Maple Leafs Game")
+    .setTitle(t(language, 'nextGame.title', { team: teamName }))
     .setColor(0x00205B) // Leafs blue
-    .setDescription(`${formattedGame.awayTeam} at ${formattedGame.homeTeam}`)
+    .setDescription(t(language, 'nextGame.matchup', {
+      away: getLocalizedTeamName(nextGame.awayTeam, language) || formattedGame.awayTeam,
+      home: getLocalizedTeamName(nextGame.homeTeam, language) || formattedGame.homeTeam
+    }))
     .addFields(
-      { name: "Game Time", value: typeof formattedTime === 'string' && formattedTime.trim() ? formattedTime : "TBD" },
-      { name: "Venue", value: nextGame.venue?.name && typeof nextGame.venue.name === 'string' && nextGame.venue.name.trim() ? nextGame.venue.name : "TBD" }
+      { name: t(language, 'nextGame.time'), value: formattedTime ? `${formattedTime}\n${localTime} (${discordTimestamp(gameTime, 'R')})` : t(language, 'common.tbd') },
+      { name: t(language, 'nextGame.venue'), value: venue.trim() ? venue : t(language, 'common.tbd') }
     )
-    .setFooter({ text: "Data from NHL API" })
+    .setFooter({ text: t(language, 'common.dataFooter') })
     .setTimestamp();
   
   if (logos) {
-    embed.setThumbnail(formattedGame.isLeafsHome ? logos.homeTeamLogo : logos.awayTeamLogo);
+    embed.setThumbnail(formattedGame.isFollowedTeamHome ? logos.homeTeamLogo : logos.awayTeamLogo);
   }
   
   return embed;
@@ -959,6 +2299,8 @@ const server = createServer((req, res) => {
         status: 'ok',
         bot: client.user?.tag || 'starting...',
         uptime: process.uptime(),
+        nhlApi: getApiHealth(),
+        statsApi: getStatsApiHealth(),
       })
     );
     return;
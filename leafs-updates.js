@@ -1,49 +1,20 @@
 import 'dotenv/config';
-import { 
-  InteractionResponseType, 
-  InteractionResponseFlags,
-  MessageComponentTypes,
-  ButtonStyleTypes
-} from 'discord-interactions';
 import { DiscordRequest } from './utils.js';
 import { getCurrentLeafsGame, getNextLeafsGame, getGameStatus, formatGameData, getTeamLogos } from './nhl-api.js';
+import {
+  loadConfiguredChannels,
+  configureChannel,
+  getConfiguredChannel,
+  removeChannelConfig,
+  getConfiguredChannels
+} from './src/storage/channels.js';
+
+// Channel configuration lives in the shared persistent store
+export { loadConfiguredChannels, configureChannel, getConfiguredChannel, removeChannelConfig };
 
-// Store channels configured for game updates
-let configuredChannels = {};
 // Store active games being tracked
 let activeGames = {};
 
-/**
- * Configure a channel to receive Leafs game updates
- * @param {string} guildId - Discord server ID
- * @param {string} channelId - Channel ID to post updates to
- */
-export function configureChannel(guildId, channelId) {
-  configuredChannels[guildId] = channelId;
-  return true;
-}
-
-/**
- * Get the configured channel for a guild
- * @param {string} guildId - Discord server ID
- * @returns {string|null} Channel ID or null if not configured
- */
-export function getConfiguredChannel(guildId) {
-  return configuredChannels[guildId] || null;
-}
-
-/**
- * Remove channel configuration for a guild
- * @param {string} guildId - Discord server ID
- */
-export function removeChannelConfig(guildId) {
-  if (configuredChannels[guildId]) {
-    delete configuredChannels[guildId];
-    return true;
-  }
-  return false;
-}
-
 /**
  * Start tracking a Leafs game for updates
  * @param {string} gameId - NHL API game ID
@@ -166,7 +137,7 @@ export async function checkForGameUpdates() {
  * @param {Object} update - Update information
  */
 async function sendGameUpdateToChannels(update) {
-  for (const [guildId, channelId] of Object.entries(configuredChannels)) {
+  for (const [guildId, channelId] of getConfiguredChannels()) {
     try {
       const embed = createGameUpdateEmbed(update);
       
@@ -228,7 +199,7 @@ function createGameUpdateEmbed(update) {
   // Add team logos if available
   if (logos) {
     embed.thumbnail = {
-      url: formattedGame.isLeafsHome ? logos.homeTeamLogo : logos.awayTeamLogo
+      url: formattedGame.isFollowedTeamHome ? logos.homeTeamLogo : logos.awayTeamLogo
     };
   }
   
@@ -287,7 +258,7 @@ export async function getNextGameEmbed() {
       }
     ],
     thumbnail: {
-      url: formattedGame.isLeafsHome ? logos.homeTeamLogo : logos.awayTeamLogo
+      url: formattedGame.isFollowedTeamHome ? logos.homeTeamLogo : logos.awayTeamLogo
     },
     footer: {
       text: "Data from NHL API"
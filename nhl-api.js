@@ -1,11 +1,80 @@
 import 'dotenv/config';
 import fetch from 'node-fetch';
+import { createResponseCache, getCacheTtl } from './src/api/responseCache.js';
+import { createCircuitBreaker } from './src/api/circuitBreaker.js';
+import {
+  NhlApiError,
+  ServerError,
+  NetworkError,
+  CircuitOpenError,
+  errorFromResponse,
+  getRetryDelay
+} from './src/api/errors.js';
 
 // NHL API base URL (updated to new API)
 const NHL_API_BASE = 'https://api-web.nhle.com/v1';
 
-// Toronto Maple Leafs team abbreviation in new NHL API
-const LEAFS_TEAM_ID = 'TOR';
+// Stats API, for league-wide aggregates api-web doesn't offer
+const NHL_STATS_API_BASE = 'https://api.nhle.com/stats/rest/en';
+
+// Toronto Maple Leafs team abbreviation in new NHL API (default followed team)
+export const LEAFS_TEAM_ID = 'TOR';
+
+// Current NHL clubs keyed by the abbreviation the API uses
+export const NHL_TEAMS = {
+  ANA: 'Anaheim Ducks',
+  BOS: 'Boston Bruins',
+  BUF: 'Buffalo Sabres',
+  CGY: 'Calgary Flames',
+  CAR: 'Carolina Hurricanes',
+  CHI: 'Chicago Blackhawks',
+  COL: 'Colorado Avalanche',
+  CBJ: 'Columbus Blue Jackets',
+  DAL: 'Dallas Stars',
+  DET: 'Detroit Red Wings',
+  EDM: 'Edmonton Oilers',
+  FLA: 'Florida Panthers',
+  LAK: 'Los Angeles Kings',
+  MIN: 'Minnesota Wild',
+  MTL: 'Montréal Canadiens',
+  NSH: 'Nashville Predators',
+  NJD: 'New Jersey Devils',
+  NYI: 'New York Islanders',
+  NYR: 'New York Rangers',
+  OTT: 'Ottawa Senators',
+  PHI: 'Philadelphia Flyers',
+  PIT: 'Pittsburgh Penguins',
+  SJS: 'San Jose Sharks',
+  SEA: 'Seattle Kraken',
+  STL: 'St. Louis Blues',
+  TBL: 'Tampa Bay Lightning',
+  TOR: 'Toronto Maple Leafs',
+  UTA: 'Utah Mammoth',
+  VAN: 'Vancouver Canucks',
+  VGK: 'Vegas Golden Knights',
+  WSH: 'Washington Capitals',
+  WPG: 'Winnipeg Jets'
+};
+
+/**
+ * Normalize a user-supplied team abbreviation
+ * @param {string} team - Team abbreviation (any case, surrounding whitespace allowed)
+ * @returns {string|null} Upper-case abbreviation, or null if it is not an NHL team
+ */
+export function normalizeTeamAbbrev(team) {
+  if (typeof team !== 'string') return null;
+  const abbrev = team.trim().toUpperCase();
+  return NHL_TEAMS[abbrev] ? abbrev : null;
+}
+
+/**
+ * Get the full name for a team abbreviation
+ * @param {string} team - Team abbreviation
+ * @returns {string} Full team name, or the abbreviation if unknown
+ */
+export function getTeamName(team) {
+  return NHL_TEAMS[team] || team;
+}
 
 // Toggle whether to perform/announce an explicit "season" check.
 // Set ENABLE_SEASON_CHECK=true in your .env to restore the old behaviour that
@@ -17,37 +86,188 @@ const ENABLE_SEASON_CHECK = process.env.ENABLE_SEASON_CHECK === 'true';
 let lastApiCall = 0;
 const API_CALL_DELAY = 1000; // 1 second between API calls
 
-// Small helper to fetch JSON and handle non-OK responses consistently.
-async function fetchJSON(url) {
-  try {
-    // Rate limiting
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
+let rateLimitQueue = Promise.resolve();
+
+/**
+ * Wait for our turn to call the API. Callers queue up, so polls and slash
+ * commands running at the same time still stay API_CALL_DELAY apart.
+ * @returns {Promise<void>} Resolves when the call may be made
+ */
+function waitForRateLimit() {
+  const turn = rateLimitQueue.then(async () => {
+    const timeSinceLastCall = Date.now() - lastApiCall;
     if (timeSinceLastCall < API_CALL_DELAY) {
-      await new Promise(resolve => setTimeout(resolve, API_CALL_DELAY - timeSinceLastCall));
+      // Clamped so a clock that jumps backwards can't stall every call
+      await new Promise(resolve => setTimeout(resolve, Math.min(API_CALL_DELAY - timeSinceLastCall, API_CALL_DELAY)));
     }
     lastApiCall = Date.now();
+  });
+  rateLimitQueue = turn;
+  return turn;
+}
+
+const responseCache = createResponseCache();
+
+/**
+ * Clear cached API responses (e.g. between tests)
+ */
+export function clearResponseCache() {
+  responseCache.clear();
+}
+
+/**
+ * Serve a cached response the API can't currently give us
+ * @param {string} url - Request URL
+ * @param {Object} cached - Cached entry (already checked with isUsableWhenStale)
+ * @returns {Object} Parsed cached body
+ */
+function serveStale(url, cached) {
+  console.warn(`⚠️ Serving cached response for ${url} from ${Math.round((Date.now() - cached.fetchedAt) / 1000)}s ago`);
+  return JSON.parse(cached.body);
+}
+
+// Retries for transient failures (5xx, 429, network errors)
+const MAX_ATTEMPTS = 3;
+
+// Opens after repeated failed requests so an outage isn't hammered every poll
+const apiCircuit = createCircuitBreaker();
+
+// The stats API is a separate host: its outages must not pause live game polling
+const statsCircuit = createCircuitBreaker();
+
+/**
+ * Report the NHL API circuit breaker's state (for /health and /test-nhl-api)
+ * @returns {{state: string, consecutiveFailures: number, retryAt: string|null, lastError: string|null, lastFailureAt: string|null}}
+ */
+export function getApiHealth() {
+  return apiCircuit.getStatus();
+}
+
+/**
+ * Report the stats API circuit breaker's state (for /health)
+ * @returns {{state: string, consecutiveFailures: number, retryAt: string|null, lastError: string|null, lastFailureAt: string|null}}
+ */
+export function getStatsApiHealth() {
+  return statsCircuit.getStatus();
+}
+
+/**
+ * Make one request, turning every failure into a typed error
+ * @param {string} url - Request URL
+ * @param {Object} [cached] - Cached entry to revalidate
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {NhlApiError} On any failure
+ */
+async function fetchOnce(url, cached) {
+  await waitForRateLimit();
+  
+  const headers = { 'User-Agent': 'blus-stupid-nhl-bot/1.0' };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  
+  let res;
+  let body;
+  try {
+    res = await fetch(url, { headers });
+    body = await res.text();
+  } catch (err) {
+    throw new NetworkError(`Network error fetching ${url}: ${err.message}`, { url, cause: err });
+  }
+  
+  if (res.status === 304 && cached) {
+    responseCache.touch(url);
+    return JSON.parse(cached.body);
+  }
+  if (!res.ok) {
+    throw errorFromResponse(url, res);
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    throw new ServerError(`NHL API returned invalid JSON for ${url}`, { url, status: res.status, cause: err });
+  }
+  responseCache.set(url, {
+    body,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    fetchedAt: Date.now()
+  });
+  return data;
+}
+
+// Small helper to fetch JSON and handle non-OK responses consistently.
+// Responses are cached per URL (see src/api/responseCache.js); expired entries
+// are revalidated with ETag/If-Modified-Since. Transient failures are retried
+// with jittered backoff (honoring Retry-After), count towards the host's circuit
+// breaker, and fall back to a stale cached response when there is one.
+async function fetchJSON(url, { ttlMs = getCacheTtl(url), allowStale = true, circuit = apiCircuit } = {}) {
+  const cached = responseCache.get(url);
+  if (responseCache.isFresh(cached, ttlMs)) {
+    return JSON.parse(cached.body);
+  }
+  
+  try {
+    if (!circuit.canRequest()) {
+      const retryAt = circuit.retryAt();
+      throw new CircuitOpenError(
+        `NHL API requests paused after repeated failures; retrying after ${new Date(retryAt).toISOString()}`,
+        { url, retryAt }
+      );
+    }
     
-    const res = await fetch(url, { headers: { 'User-Agent': 'blus-stupid-nhl-bot/1.0' } });
-    if (!res.ok) {
-      const text = await res.text();
-      console.error(`NHL API error: ${res.status} ${res.statusText} for ${url} -> ${text}`);
-      return null;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await fetchOnce(url, cached);
+        circuit.recordSuccess();
+        return data;
+      } catch (error) {
+        if (!error.isTransient) {
+          // The API answered (404, 400...), so it's up
+          circuit.recordSuccess();
+          throw error;
+        }
+        const delay = getRetryDelay(error, attempt);
+        if (attempt >= MAX_ATTEMPTS || delay === null) {
+          circuit.recordFailure(error);
+          throw error;
+        }
+        console.warn(`⚠️ ${error.message}; retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
-    return await res.json();
-  } catch (err) {
-    console.error(`Network error fetching ${url}:`, err);
-    return null;
+  } catch (error) {
+    if (error.isTransient && allowStale && responseCache.isUsableWhenStale(cached)) {
+      return serveStale(url, cached);
+    }
+    throw error;
   }
 }
 
 /**
- * Get the next scheduled game for the Toronto Maple Leafs
+ * Decide what a failed lookup returns. Transient failures (server errors, rate
+ * limiting, network trouble, open circuit) are rethrown so callers can tell an
+ * outage apart from "no game"; anything else (e.g. 404) means there's no data.
+ * @param {Error} error - What went wrong
+ * @param {string} context - What was being fetched, for the log
+ * @returns {null} When the failure just means there's no data
+ * @throws {NhlApiError} When the failure is transient
+ */
+function handleApiError(error, context) {
+  console.error(`Error ${context}:`, error.message || error);
+  if (error instanceof NhlApiError && error.isTransient) throw error;
+  return null;
+}
+
+/**
+ * Get the next scheduled game for a team
+ * @param {string} team - Team abbreviation (default: TOR)
  * @returns {Promise<Object>} Next game information
  */
-export async function getNextLeafsGame() {
+export async function getNextGame(team = LEAFS_TEAM_ID) {
   try {
-    const url = `${NHL_API_BASE}/club-schedule/${LEAFS_TEAM_ID}/week/now`;
+    const url = `${NHL_API_BASE}/club-schedule/${team}/week/now`;
     const data = await fetchJSON(url);
     if (!data) return null;
 
@@ -63,11 +283,255 @@ export async function getNextLeafsGame() {
 
     return nextGame || null;
   } catch (error) {
-    console.error('Error fetching next Leafs game:', error);
-    return null;
+    return handleApiError(error, `fetching next ${team} game`);
   }
 }
 
+/**
+ * Get the next scheduled game for the Toronto Maple Leafs
+ * @returns {Promise<Object>} Next game information
+ */
+export async function getNextLeafsGame() {
+  return getNextGame(LEAFS_TEAM_ID);
+}
+
+/**
+ * Get a team's schedule for one month
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @param {string} month - Month as YYYY-MM, or 'now' for the current month
+ * @returns {Promise<Array<Object>|null>} Games in the month, or null if the API has no data
+ */
+export async function getTeamMonthSchedule(team = LEAFS_TEAM_ID, month = 'now') {
+  try {
+    const url = `${NHL_API_BASE}/club-schedule/${team}/month/${month}`;
+    const data = await fetchJSON(url);
+    if (!data) return null;
+    return data.games || [];
+  } catch (error) {
+    return handleApiError(error, `fetching ${team} schedule for ${month}`);
+  }
+}
+
+/**
+ * Get a team's full season schedule
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @param {string} season - Season as YYYYYYYY (e.g. 20242025), or 'now' for the current season
+ * @returns {Promise<Array<Object>|null>} Games in the season, or null if the API has no data
+ */
+export async function getTeamSeasonSchedule(team = LEAFS_TEAM_ID, season = 'now') {
+  try {
+    const url = `${NHL_API_BASE}/club-schedule-season/${team}/${season}`;
+    const data = await fetchJSON(url);
+    if (!data) return null;
+    return data.games || [];
+  } catch (error) {
+    return handleApiError(error, `fetching ${team} season schedule for ${season}`);
+  }
+}
+
+/**
+ * Get a team's next games from the season schedule
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @param {number} count - Maximum number of games to return
+ * @returns {Promise<Array<Object>|null>} Upcoming games, or null if the API has no data
+ */
+export async function getUpcomingGames(team = LEAFS_TEAM_ID, count = 10) {
+  const games = await getTeamSeasonSchedule(team);
+  if (!games) return null;
+
+  const now = new Date();
+  return games
+    .filter(game => new Date(game.startTimeUTC) > now)
+    .slice(0, count);
+}
+
+/**
+ * Get league standings
+ * @param {string} date - Date as YYYY-MM-DD, or 'now' for current standings
+ * @returns {Promise<Array<Object>|null>} One entry per team, or null if the API has no data
+ */
+export async function getStandings(date = 'now') {
+  try {
+    const url = `${NHL_API_BASE}/standings/${date}`;
+    const data = await fetchJSON(url);
+    if (!data) return null;
+    return data.standings || [];
+  } catch (error) {
+    return handleApiError(error, `fetching standings for ${date}`);
+  }
+}
+
+/**
+ * Get every team's season summary (PP%, PK%, shots and faceoffs per game) from the stats API.
+ * api-web.nhle.com has no team-level special teams totals, so this uses api.nhle.com/stats/rest.
+ * Rows identify teams by `teamId` (see getStatsTeams) rather than abbreviation.
+ * @param {number|string} seasonId - Season, e.g. 20242025
+ * @param {number} gameType - 2 for regular season, 3 for playoffs (default: 2)
+ * @returns {Promise<Array<Object>|null>} One row per team, or null if the API has no data
+ */
+export async function getTeamSummaryStats(seasonId, gameType = 2) {
+  try {
+    const cayenneExp = encodeURIComponent(`seasonId=${seasonId} and gameTypeId=${gameType}`);
+    const url = `${NHL_STATS_API_BASE}/team/summary?cayenneExp=${cayenneExp}`;
+    const data = await fetchJSON(url, { circuit: statsCircuit });
+    if (!data) return null;
+    return data.data || [];
+  } catch (error) {
+    return handleApiError(error, `fetching team summary stats for ${seasonId}`);
+  }
+}
+
+/**
+ * Get the stats API's list of teams, past and present, to map its team ids to abbreviations
+ * @returns {Promise<Array<{id: number, triCode: string, fullName: string}>|null>} Teams, or null if the API has no data
+ */
+export async function getStatsTeams() {
+  try {
+    const data = await fetchJSON(`${NHL_STATS_API_BASE}/team`, { circuit: statsCircuit });
+    if (!data) return null;
+    return data.data || [];
+  } catch (error) {
+    return handleApiError(error, 'fetching stats API teams');
+  }
+}
+
+/**
+ * Get a team's roster
+ * @param {string} team - Team abbreviation (any case)
+ * @param {string} season - Season as YYYYYYYY (e.g. 20242025), or 'current'
+ * @returns {Promise<{forwards: Array<Object>, defensemen: Array<Object>, goalies: Array<Object>}|null>} Roster, or null if unavailable
+ */
+export async function getTeamRoster(team, season = 'current') {
+  const abbrev = normalizeTeamAbbrev(team);
+  if (!abbrev) return null;
+
+  try {
+    const url = `${NHL_API_BASE}/roster/${abbrev}/${season}`;
+    const data = await fetchJSON(url);
+    if (!data) return null;
+    return {
+      forwards: data.forwards || [],
+      defensemen: data.defensemen || [],
+      goalies: data.goalies || []
+    };
+  } catch (error) {
+    return handleApiError(error, `fetching ${abbrev} roster`);
+  }
+}
+
+/**
+ * Get a player's profile: bio, featured season stats, career totals and last five games
+ * @param {number|string} playerId - NHL player ID
+ * @returns {Promise<Object|null>} Player landing data, or null if unavailable
+ */
+export async function getPlayerLanding(playerId) {
+  try {
+    const url = `${NHL_API_BASE}/player/${playerId}/landing`;
+    return await fetchJSON(url);
+  } catch (error) {
+    return handleApiError(error, `fetching player ${playerId}`);
+  }
+}
+
+// Every rostered player, for /player autocomplete. Rebuilt from the team rosters twice a day.
+const PLAYER_INDEX_TTL_MS = 12 * 60 * 60 * 1000;
+let playerIndex = [];
+let playerIndexLoadedAt = 0;
+let playerIndexRefresh = null;
+
+/**
+ * Fold a name for searching: lower case, no accents
+ * @param {string} name - Player name
+ * @returns {string} Folded name
+ */
+function foldName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Rebuild the player index from current rosters.
+ * Rosters are fetched one team at a time through the rate limiter, so live polling isn't starved.
+ * @param {string[]} teams - Team abbreviations to index (default: every NHL club)
+ * @returns {Promise<number>} Number of players indexed
+ */
+export async function refreshPlayerIndex(teams = Object.keys(NHL_TEAMS)) {
+  const players = [];
+  for (const team of teams) {
+    try {
+      const roster = await getTeamRoster(team);
+      if (!roster) continue;
+      for (const player of [...roster.forwards, ...roster.defensemen, ...roster.goalies]) {
+        const name = `${player.firstName?.default || ''} ${player.lastName?.default || ''}`.trim();
+        players.push({
+          id: player.id,
+          name,
+          team,
+          position: player.positionCode,
+          sweaterNumber: player.sweaterNumber ?? null,
+          searchName: foldName(name)
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Skipping ${team} roster in player index:`, error.message);
+    }
+  }
+
+  // Keep the previous index if every roster failed
+  if (players.length > 0) {
+    playerIndex = players;
+    playerIndexLoadedAt = Date.now();
+  }
+  return playerIndex.length;
+}
+
+/**
+ * Start a player index refresh if it's empty or stale (shares one refresh between callers)
+ * @returns {Promise<number>} Number of players indexed
+ */
+export function ensurePlayerIndex() {
+  if (playerIndexRefresh) return playerIndexRefresh;
+  if (playerIndex.length > 0 && Date.now() - playerIndexLoadedAt < PLAYER_INDEX_TTL_MS) {
+    return Promise.resolve(playerIndex.length);
+  }
+  playerIndexRefresh = refreshPlayerIndex().finally(() => {
+    playerIndexRefresh = null;
+  });
+  return playerIndexRefresh;
+}
+
+/**
+ * Search the player index by name; names starting with the query rank first
+ * @param {string} query - Part of a player's name (accents optional)
+ * @param {number} limit - Maximum results (Discord allows 25 autocomplete choices)
+ * @returns {Array<{id: number, name: string, team: string, position: string, sweaterNumber: number|null}>} Matches
+ */
+export function searchPlayers(query, limit = 25) {
+  const folded = foldName(query);
+  const matches = folded
+    ? playerIndex.filter(player => player.searchName.includes(folded))
+    : playerIndex;
+
+  const rank = player =>
+    player.searchName.startsWith(folded) || player.searchName.split(' ').some(part => part.startsWith(folded)) ? 0 : 1;
+
+  return [...matches]
+    .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ searchName, ...player }) => player);
+}
+
+/**
+ * Empty the player index (e.g. between tests)
+ */
+export function clearPlayerIndex() {
+  playerIndex = [];
+  playerIndexLoadedAt = 0;
+}
+
 /**
  * Get current game status for a specific game
  * @param {string} gameId - The NHL API game ID
@@ -78,8 +542,7 @@ export async function getGameStatus(gameId) {
     const url = `${NHL_API_BASE}/gamecenter/${gameId}/landing`;
     return await fetchJSON(url);
   } catch (error) {
-    console.error(`Error fetching game status for game ${gameId}:`, error);
-    return null;
+    return handleApiError(error, `fetching game status for game ${gameId}`);
   }
 }
 
@@ -93,40 +556,176 @@ export async function getGameBoxscore(gameId) {
     const url = `${NHL_API_BASE}/gamecenter/${gameId}/boxscore`;
     return await fetchJSON(url);
   } catch (error) {
-    console.error(`Error fetching boxscore for game ${gameId}:`, error);
-    return null;
+    return handleApiError(error, `fetching boxscore for game ${gameId}`);
   }
 }
 
 /**
- * Check if the Leafs are currently playing a game
- * @returns {Promise<Object|null>} Game object if playing, null if not
+ * Get the game center side panel for a game (season series, team stats, etc.)
+ * @param {string} gameId - The NHL API game ID
+ * @returns {Promise<Object>} Right-rail information
  */
-export async function getCurrentLeafsGame() {
+export async function getGameRightRail(gameId) {
   try {
-    const url = `${NHL_API_BASE}/club-schedule/${LEAFS_TEAM_ID}/week/now`;
-    const data = await fetchJSON(url);
-    if (!data) return null;
+    const url = `${NHL_API_BASE}/gamecenter/${gameId}/right-rail`;
+    return await fetchJSON(url);
+  } catch (error) {
+    return handleApiError(error, `fetching right rail for game ${gameId}`);
+  }
+}
+
+// How long after its scheduled start a game can still be in progress
+const MAX_GAME_LENGTH_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Pick the games that are on right now: live, or past their start time but not
+ * under way (delayed or postponed), and optionally ones already final
+ * @param {Array<Object>} games - Schedule entries
+ * @param {boolean} includeFinished - Also keep games the schedule shows as final
+ * @returns {Array<Object>} Games within MAX_GAME_LENGTH_MS of their start
+ */
+function filterCurrentGames(games, includeFinished) {
+  const states = includeFinished ? ['LIVE', 'CRIT', 'PRE', 'FUT', 'OFF', 'FINAL'] : ['LIVE', 'CRIT', 'PRE', 'FUT'];
+  const now = new Date();
+  return games.filter(game => {
+    const gameStart = new Date(game.startTimeUTC);
+    const gameEnd = new Date(gameStart.getTime() + MAX_GAME_LENGTH_MS);
+    return gameStart <= now && now <= gameEnd && states.includes(game.gameState);
+  });
+}
+
+/**
+ * Get every game a team is currently playing, or should be: a game past its
+ * scheduled start that hasn't begun is still returned so a delay or
+ * postponement can be reported. Split-squad days can have two at once.
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFinished] - Also return games in the window that the schedule
+ *   already shows as final, so a tracked game can still post its final (default: false)
+ * @returns {Promise<Array<Object>>} Game objects (empty if none)
+ */
+export async function getCurrentGames(team = LEAFS_TEAM_ID, { includeFinished = false } = {}) {
+  try {
+    const url = `${NHL_API_BASE}/club-schedule/${team}/week/now`;
+    // The live poller needs puck drop and game state changes promptly
+    const data = await fetchJSON(url, { ttlMs: 10 * 1000 });
+    if (!data) return [];
 
     // Check if there are any games today
     if (!data.games || data.games.length === 0) {
       if (ENABLE_SEASON_CHECK) console.log('Skipping NHL API check: not hockey season (no games today)');
-      return null;
+      return [];
     }
 
-    // Find a game that's currently live
-    const now = new Date();
-    const currentGame = data.games.find(game => {
-      const gameStart = new Date(game.startTimeUTC);
-      const gameEnd = new Date(gameStart.getTime() + (4 * 60 * 60 * 1000)); // Assume max 4 hours
-      return gameStart <= now && now <= gameEnd && 
-             (game.gameState === 'LIVE' || game.gameState === 'CRIT');
-    });
-    
-    return currentGame || null;
+    return filterCurrentGames(data.games, includeFinished);
+  } catch (error) {
+    return handleApiError(error, `checking current ${team} games`) || [];
+  }
+}
+
+/**
+ * Get the league-wide schedule for the week starting on a date (every team in one request)
+ * @param {string} date - Date as YYYY-MM-DD, or 'now' for today
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - How long a cached copy may be served
+ * @returns {Promise<Array<Object>>} Games in start order (empty if none)
+ */
+export async function getLeagueSchedule(date = 'now', { ttlMs } = {}) {
+  try {
+    const url = `${NHL_API_BASE}/schedule/${date}`;
+    const data = await fetchJSON(url, ttlMs === undefined ? {} : { ttlMs });
+    if (!data) return [];
+    return (data.gameWeek || []).flatMap(day => day.games || []);
+  } catch (error) {
+    return handleApiError(error, `fetching league schedule for ${date}`) || [];
+  }
+}
+
+/**
+ * Check whether any of the given teams plays in a game
+ * @param {Object} game - Schedule entry
+ * @param {Set<string>} teams - Team abbreviations
+ * @returns {boolean} True if the home or away team is one of them
+ */
+function involvesTeam(game, teams) {
+  return teams.has(game.awayTeam?.abbrev) || teams.has(game.homeTeam?.abbrev);
+}
+
+/**
+ * Get every current game (see getCurrentGames) involving any of several teams.
+ * One league-wide schedule request covers them all, so a poll costs the same
+ * however many teams are followed; a game between two of them is returned once.
+ * @param {Array<string>} teams - Team abbreviations
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFinished] - Also return games the schedule already shows as final
+ * @returns {Promise<Array<Object>>} Game objects (empty if none)
+ */
+export async function getCurrentGamesForTeams(teams, { includeFinished = false } = {}) {
+  const followed = new Set(teams);
+  if (followed.size === 0) return [];
+
+  // The live poller needs puck drop and game state changes promptly
+  const games = await getLeagueSchedule('now', { ttlMs: 10 * 1000 });
+  return filterCurrentGames(games.filter(game => involvesTeam(game, followed)), includeFinished);
+}
+
+/**
+ * Get the next scheduled game of each of several teams from one league-wide schedule request
+ * @param {Array<string>} teams - Team abbreviations
+ * @returns {Promise<Map<string, Object>>} Team abbreviation -> next game (teams without one this week are left out)
+ */
+export async function getNextGamesForTeams(teams) {
+  const nextGames = new Map();
+  if (teams.length === 0) return nextGames;
+
+  const now = new Date();
+  const upcoming = (await getLeagueSchedule()).filter(game => new Date(game.startTimeUTC) > now);
+  for (const team of teams) {
+    const game = upcoming.find(entry => entry.awayTeam?.abbrev === team || entry.homeTeam?.abbrev === team);
+    if (game) nextGames.set(team, game);
+  }
+  return nextGames;
+}
+
+/**
+ * Check if a team is currently playing a game (the first of getCurrentGames())
+ * @param {string} team - Team abbreviation (default: TOR)
+ * @returns {Promise<Object|null>} Game object if playing, null if not
+ */
+export async function getCurrentGame(team = LEAFS_TEAM_ID) {
+  const games = await getCurrentGames(team);
+  return games[0] || null;
+}
+
+/**
+ * Check if the Leafs are currently playing a game
+ * @returns {Promise<Object|null>} Game object if playing, null if not
+ */
+export async function getCurrentLeafsGame() {
+  return getCurrentGame(LEAFS_TEAM_ID);
+}
+
+/**
+ * Get a day's scoreboard: every game with its state, score, period and clock
+ * @param {string} date - Date as YYYY-MM-DD, or 'now' for today
+ * @param {string} [team] - Only include this team's games
+ * @returns {Promise<{date: string, games: Array<Object>}|null>} Scoreboard, or null if unavailable
+ */
+export async function getDailyScoreboard(date = 'now', team = null) {
+  const abbrev = team ? normalizeTeamAbbrev(team) : null;
+  if (team && !abbrev) return null;
+
+  try {
+    const url = `${NHL_API_BASE}/score/${date}`;
+    const data = await fetchJSON(url, { ttlMs: 30 * 1000 });
+    if (!data) return null;
+
+    const games = (data.games || []).filter(game =>
+      !abbrev || game.homeTeam?.abbrev === abbrev || game.awayTeam?.abbrev === abbrev
+    );
+    return { date: data.currentDate || date, games };
   } catch (error) {
-    console.error('Error checking current Leafs game:', error);
-    return null;
+    return handleApiError(error, `fetching scoreboard for ${date}`);
   }
 }
 
@@ -138,20 +737,22 @@ export async function getGameFeed(gameId) {
   try {
     const url = `${NHL_API_BASE}/gamecenter/${gameId}/play-by-play`;
     return await fetchJSON(url);
-  } catch (err) {
-    console.error(`Error fetching game feed for ${gameId}:`, err);
-    return null;
+  } catch (error) {
+    return handleApiError(error, `fetching game feed for ${gameId}`);
   }
 }
 
 /**
  * Format game data into a readable string
  * @param {Object} game - Game data from NHL API
+ * @param {string} team - Followed team abbreviation (default: TOR)
  * @returns {Object} Formatted game information
  */
-export function formatGameData(game) {
+export function formatGameData(game, team = LEAFS_TEAM_ID) {
   if (!game) return null;
   
+  const homeAbbrev = game.homeTeam?.abbrev || '';
+  const awayAbbrev = game.awayTeam?.abbrev || '';
   const homeTeam = game.homeTeam?.name?.default || game.homeTeam?.abbrev || 'Home';
   const awayTeam = game.awayTeam?.name?.default || game.awayTeam?.abbrev || 'Away';
   const homeScore = game.homeTeam?.score || 0;
@@ -163,6 +764,8 @@ export function formatGameData(game) {
   return {
     homeTeam,
     awayTeam,
+    homeAbbrev,
+    awayAbbrev,
     homeScore,
     awayScore,
     status,
@@ -170,7 +773,8 @@ export function formatGameData(game) {
     timeRemaining,
     gameId: game.id,
     startTime: new Date(game.startTimeUTC),
-    isLeafsHome: homeTeam.includes('Maple Leafs') || homeTeam.includes('Toronto')
+    followedTeam: team,
+    isFollowedTeamHome: homeAbbrev === team
   };
 }
 
@@ -193,9 +797,10 @@ export function getTeamLogos(game) {
 
 /**
  * Test NHL API connection and functionality
+ * @param {string} team - Team abbreviation whose schedule is used for the test (default: TOR)
  * @returns {Promise<Object>} Test results with status and details
  */
-export async function testNHLAPI() {
+export async function testNHLAPI(team = LEAFS_TEAM_ID) {
   const results = {
     apiConnection: false,
     scheduleEndpoint: false,
@@ -207,8 +812,8 @@ export async function testNHLAPI() {
   try {
     // Test 1: Basic API connection
     console.log('Testing NHL API connection...');
-    const testUrl = `${NHL_API_BASE}/club-schedule/${LEAFS_TEAM_ID}/week/now`;
-    const response = await fetchJSON(testUrl);
+    const testUrl = `${NHL_API_BASE}/club-schedule/${team}/week/now`;
+    const response = await fetchJSON(testUrl, { ttlMs: 0, allowStale: false });
     
     if (response) {
       results.apiConnection = true;
@@ -248,7 +853,7 @@ export async function testNHLAPI() {
     // Test 4: Test a different endpoint for broader validation
     try {
       const standingsUrl = `${NHL_API_BASE}/standings/now`;
-      const standingsResponse = await fetchJSON(standingsUrl);
+      const standingsResponse = await fetchJSON(standingsUrl, { ttlMs: 0, allowStale: false });
       if (standingsResponse) {
         results.details.standingsTest = true;
         console.log('✅ Secondary endpoint (standings) working');
@@ -263,6 +868,8 @@ export async function testNHLAPI() {
     console.error('❌ NHL API test failed:', error);
   }
 
+  results.details.circuit = getApiHealth();
+
   // Overall status
   results.overallStatus = results.apiConnection && results.scheduleEndpoint && results.dataStructure;
   
@@ -0,0 +1,83 @@
+/**
+ * Create a circuit breaker: after `failureThreshold` failures in a row the
+ * circuit opens and requests fail fast for `cooldownMs`; then one trial request
+ * is let through (half-open) and its result closes or re-opens the circuit.
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold] - Consecutive failures before opening (default: 5)
+ * @param {number} [options.cooldownMs] - How long to stay open (default: 60s)
+ * @returns {Object} Circuit breaker
+ */
+export function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 60 * 1000 } = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  let lastFailureAt = null;
+
+  return {
+    /**
+     * Check whether a request may go out now (claims the trial slot when half-open)
+     * @param {number} [now] - Reference time in ms
+     * @returns {boolean} True if the request may be made
+     */
+    canRequest(now = Date.now()) {
+      if (state === 'open' && now - openedAt >= cooldownMs) {
+        state = 'half-open';
+        trialInFlight = false;
+      }
+      if (state === 'closed') return true;
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    /**
+     * @param {Error} error - What went wrong
+     * @param {number} [now] - Reference time in ms
+     */
+    recordFailure(error, now = Date.now()) {
+      consecutiveFailures++;
+      lastError = error?.message || String(error);
+      lastFailureAt = now;
+      trialInFlight = false;
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        state = 'open';
+        openedAt = now;
+      }
+    },
+
+    /**
+     * When the circuit will let a trial request through
+     * @returns {number|null} Timestamp in ms, or null unless open
+     */
+    retryAt() {
+      return state === 'open' ? openedAt + cooldownMs : null;
+    },
+
+    /**
+     * Snapshot for health reporting
+     * @param {number} [now] - Reference time in ms
+     * @returns {{state: string, consecutiveFailures: number, retryAt: string|null, lastError: string|null, lastFailureAt: string|null}}
+     */
+    getStatus(now = Date.now()) {
+      const reportedState = state === 'open' && now - openedAt >= cooldownMs ? 'half-open' : state;
+      return {
+        state: reportedState,
+        consecutiveFailures,
+        retryAt: reportedState === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastError,
+        lastFailureAt: lastFailureAt ? new Date(lastFailureAt).toISOString() : null
+      };
+    }
+  };
+}
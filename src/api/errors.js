@@ -0,0 +1,158 @@
+/**
+ * Base class for failed NHL API requests
+ */
+export class NhlApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Request details
+   * @param {string} [details.url] - Request URL
+   * @param {number} [details.status] - HTTP status, if the API answered
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { url, status, cause } = {}) {
+    super(message, { cause });
+    this.name = 'NhlApiError';
+    this.url = url;
+    this.status = status;
+  }
+
+  /**
+   * Whether the failure is temporary (worth retrying, and not the same as "no data")
+   * @returns {boolean}
+   */
+  get isTransient() {
+    return false;
+  }
+}
+
+/**
+ * The requested resource doesn't exist (404)
+ */
+export class NotFoundError extends NhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The API is throttling us (429)
+ */
+export class RateLimitedError extends NhlApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Request details, plus `retryAfterMs` from the Retry-After header
+   */
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+/**
+ * The API failed on its end (5xx)
+ */
+export class ServerError extends NhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+/**
+ * The request never got an answer (DNS, connection reset, timeout, bad body)
+ */
+export class NetworkError extends NhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+/**
+ * Requests are paused because the API kept failing (see createCircuitBreaker)
+ */
+export class CircuitOpenError extends NhlApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Request details, plus `retryAt` (ms timestamp)
+   */
+  constructor(message, { retryAt = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+
+  get isTransient() {
+    return true;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} header - Header value
+ * @param {number} [now] - Reference time in ms
+ * @returns {number|null} Delay in ms, or null if absent/unparseable
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (header === null || header === undefined || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Build the typed error for a non-OK response
+ * @param {string} url - Request URL
+ * @param {Object} res - fetch Response
+ * @returns {NhlApiError} Typed error
+ */
+export function errorFromResponse(url, res) {
+  const message = `NHL API error: ${res.status} ${res.statusText} for ${url}`;
+  const details = { url, status: res.status };
+  if (res.status === 404) return new NotFoundError(message, details);
+  if (res.status === 429) {
+    return new RateLimitedError(message, { ...details, retryAfterMs: parseRetryAfter(res.headers?.get('retry-after')) });
+  }
+  if (res.status >= 500) return new ServerError(message, details);
+  return new NhlApiError(message, details);
+}
+
+// Backoff for retries: up to 500ms, 1s, 2s... (full jitter), capped
+export const RETRY_BASE_DELAY_MS = 500;
+export const MAX_RETRY_DELAY_MS = 10 * 1000;
+
+// Don't sit on a request for longer than this because of Retry-After
+export const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+/**
+ * How long to wait before retrying a failed request
+ * @param {NhlApiError} error - The failure
+ * @param {number} attempt - Attempt that just failed (1 = first)
+ * @param {Function} [random] - Random source in [0, 1)
+ * @returns {number|null} Delay in ms, or null if it shouldn't be retried
+ */
+export function getRetryDelay(error, attempt, random = Math.random) {
+  if (!error?.isTransient || error instanceof CircuitOpenError) return null;
+
+  if (error instanceof RateLimitedError && error.retryAfterMs !== null) {
+    return error.retryAfterMs <= MAX_RETRY_AFTER_MS ? error.retryAfterMs : null;
+  }
+
+  const ceiling = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(random() * ceiling);
+}
@@ -0,0 +1,99 @@
+// How long a response stays fresh, by endpoint (first match wins)
+export const CACHE_TTLS = [
+  { pattern: /\/gamecenter\/\d+\/(landing|play-by-play|boxscore)$/, ttlMs: 10 * 1000 }, // Live game data
+  { pattern: /\/gamecenter\/\d+\/right-rail$/, ttlMs: 5 * 60 * 1000 },
+  { pattern: /\/standings\//, ttlMs: 60 * 60 * 1000 },
+  { pattern: /\/stats\/rest\/en\/team\//, ttlMs: 60 * 60 * 1000 }, // Season totals
+  { pattern: /\/stats\/rest\/en\/team$/, ttlMs: 24 * 60 * 60 * 1000 }, // Team ids
+  { pattern: /\/club-schedule(-season)?\//, ttlMs: 5 * 60 * 1000 },
+  { pattern: /\/v1\/schedule\//, ttlMs: 5 * 60 * 1000 },
+  { pattern: /\/roster\//, ttlMs: 6 * 60 * 60 * 1000 },
+  { pattern: /\/player\/\d+\/landing$/, ttlMs: 10 * 60 * 1000 }
+];
+
+// Anything not listed above
+export const DEFAULT_TTL_MS = 60 * 1000;
+
+// How old a cached response may be and still be served when the API is failing
+export const MAX_STALE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Get how long a URL's response stays fresh
+ * @param {string} url - Request URL
+ * @returns {number} TTL in milliseconds
+ */
+export function getCacheTtl(url) {
+  const path = String(url).split('?')[0];
+  return CACHE_TTLS.find(({ pattern }) => pattern.test(path))?.ttlMs ?? DEFAULT_TTL_MS;
+}
+
+/**
+ * Create an in-memory cache of API responses keyed by URL.
+ * Entries keep the raw body text (parsed on every read, so callers can't
+ * mutate the cached copy) plus the validators for conditional requests.
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxEntries] - Oldest entries are dropped past this size (default: 100)
+ * @returns {Object} Cache instance
+ */
+export function createResponseCache({ maxEntries = 100 } = {}) {
+  const entries = new Map();
+
+  return {
+    /**
+     * @param {string} url - Request URL
+     * @returns {{body: string, etag: string|null, lastModified: string|null, fetchedAt: number}|undefined} Cached entry
+     */
+    get(url) {
+      return entries.get(url);
+    },
+
+    /**
+     * Check whether a cached entry is still fresh
+     * @param {Object} entry - Cached entry
+     * @param {number} ttlMs - How long it stays fresh
+     * @param {number} [now] - Reference time in ms
+     * @returns {boolean} True if it can be served without asking the API
+     */
+    isFresh(entry, ttlMs, now = Date.now()) {
+      return Boolean(entry) && now - entry.fetchedAt < ttlMs;
+    },
+
+    /**
+     * Check whether a cached entry may still be served while the API is failing
+     * @param {Object} entry - Cached entry
+     * @param {number} [now] - Reference time in ms
+     * @returns {boolean} True if it is recent enough
+     */
+    isUsableWhenStale(entry, now = Date.now()) {
+      return Boolean(entry) && now - entry.fetchedAt < MAX_STALE_MS;
+    },
+
+    set(url, entry) {
+      // Re-insert so the Map's order stays oldest-first
+      entries.delete(url);
+      entries.set(url, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return entry;
+    },
+
+    /**
+     * Mark a cached entry as just confirmed by the API (304 Not Modified)
+     * @param {string} url - Request URL
+     * @param {number} [now] - Reference time in ms
+     */
+    touch(url, now = Date.now()) {
+      const entry = entries.get(url);
+      if (entry) this.set(url, { ...entry, fetchedAt: now });
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
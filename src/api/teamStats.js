@@ -0,0 +1,84 @@
+import { getStandings, getTeamSummaryStats, getStatsTeams, getTeamName, normalizeTeamAbbrev } from '../../nhl-api.js';
+
+/**
+ * Find a team's row in the stats API summary.
+ * Summary rows carry the stats API's team id but no abbreviation, so the id is
+ * looked up in its team list. Names aren't used: they change with a rebrand.
+ * @param {Array<Object>} rows - Rows from getTeamSummaryStats
+ * @param {string} abbrev - Team abbreviation
+ * @param {Array<Object>} statsTeams - Teams from getStatsTeams
+ * @returns {Object|null} Matching summary row
+ */
+export function findSummaryRow(rows, abbrev, statsTeams) {
+  const ids = new Set((statsTeams || []).filter(team => team.triCode === abbrev).map(team => team.id));
+  return (rows || []).find(row => ids.has(row.teamId)) || null;
+}
+
+const perGame = (total, gamesPlayed) => (gamesPlayed ? total / gamesPlayed : null);
+const percent = fraction => (typeof fraction === 'number' ? fraction * 100 : null);
+
+/**
+ * Combine a standings entry and a stats summary row into one set of season stats.
+ * Goals come from standings (updated live); rates come from the summary row when present.
+ * @param {Object} standingsEntry - Entry from the standings endpoint
+ * @param {Object|null} summaryRow - Row from the stats API team summary
+ * @returns {Object} Season stats (percentages on a 0-100 scale, null when unknown)
+ */
+export function buildTeamSeasonStats(standingsEntry, summaryRow = null) {
+  const gamesPlayed = standingsEntry.gamesPlayed ?? 0;
+  const goalsFor = standingsEntry.goalFor ?? 0;
+  const goalsAgainst = standingsEntry.goalAgainst ?? 0;
+
+  return {
+    team: standingsEntry.teamAbbrev?.default || standingsEntry.teamAbbrev,
+    name: standingsEntry.teamName?.default || getTeamName(standingsEntry.teamAbbrev?.default),
+    seasonId: standingsEntry.seasonId ?? summaryRow?.seasonId ?? null,
+    gamesPlayed,
+    record: {
+      wins: standingsEntry.wins ?? 0,
+      losses: standingsEntry.losses ?? 0,
+      otLosses: standingsEntry.otLosses ?? 0,
+      points: standingsEntry.points ?? 0
+    },
+    goalsFor,
+    goalsAgainst,
+    goalDifferential: goalsFor - goalsAgainst,
+    goalsForPerGame: perGame(goalsFor, gamesPlayed),
+    goalsAgainstPerGame: perGame(goalsAgainst, gamesPlayed),
+    powerPlayPct: percent(summaryRow?.powerPlayPct),
+    penaltyKillPct: percent(summaryRow?.penaltyKillPct),
+    shotsForPerGame: summaryRow?.shotsForPerGame ?? null,
+    shotsAgainstPerGame: summaryRow?.shotsAgainstPerGame ?? null,
+    faceoffWinPct: percent(summaryRow?.faceoffWinPct)
+  };
+}
+
+/**
+ * Get a team's current regular-season stats: GF/GA, PP%, PK%, shots per game and FO%
+ * @param {string} team - Team abbreviation (any case)
+ * @returns {Promise<Object|null>} Season stats, or null if the team isn't in the standings
+ * @throws {Error} If the abbreviation isn't an NHL team
+ */
+export async function getTeamSeasonStats(team) {
+  const abbrev = normalizeTeamAbbrev(team);
+  if (!abbrev) {
+    throw new Error(`Unknown team: ${team}`);
+  }
+
+  const standings = await getStandings();
+  const entry = standings?.find(e => (e.teamAbbrev?.default || e.teamAbbrev) === abbrev);
+  if (!entry) return null;
+
+  // Standings alone still give a useful answer if the stats API is down
+  let summaryRow = null;
+  if (entry.seasonId) {
+    try {
+      const rows = await getTeamSummaryStats(entry.seasonId);
+      summaryRow = findSummaryRow(rows, abbrev, rows?.length ? await getStatsTeams() : []);
+    } catch (error) {
+      console.error(`❌ Team summary stats unavailable for ${abbrev}:`, error.message);
+    }
+  }
+
+  return buildTeamSeasonStats(entry, summaryRow);
+}
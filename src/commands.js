@@ -0,0 +1,327 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { NOTIFICATION_TYPES } from './storage/guildSettings.js';
+import { LANGUAGES, getLocalizations } from './i18n/messages.js';
+
+// Slash command definitions shared by index.js and deploy-commands.js.
+// Names and descriptions carry French localizations, shown to members whose Discord client is in French.
+export const commands = [
+  new SlashCommandBuilder()
+    .setName('test')
+    .setDescription('Basic command to test if the bot is working')
+    .setDescriptionLocalizations({ fr: 'Commande de base pour vérifier que le bot fonctionne' }),
+    
+  new SlashCommandBuilder()
+    .setName('setup-leafs-updates')
+    .setNameLocalizations({ fr: 'configurer-mises-a-jour' })
+    .setDescription('Configure which channel to post NHL game updates to (Maple Leafs by default)')
+    .setDescriptionLocalizations({ fr: 'Choisir le salon où publier les mises à jour des matchs de la LNH (Maple Leafs par défaut)' })
+    .addChannelOption(option => 
+      option.setName('channel')
+        .setNameLocalizations({ fr: 'salon' })
+        .setDescription('The channel where game updates will be posted')
+        .setDescriptionLocalizations({ fr: 'Le salon où les mises à jour des matchs seront publiées' })
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation to follow in this channel, e.g. TOR, MTL, VAN (default: TOR)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe à suivre dans ce salon, p. ex. TOR, MTL, VAN (par défaut : TOR)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3))
+    .addIntegerOption(option =>
+      option.setName('preview_minutes')
+        .setNameLocalizations({ fr: 'minutes_avant_match' })
+        .setDescription('Post a pre-game preview this many minutes before puck drop, 0 to disable (default: 60)')
+        .setDescriptionLocalizations({ fr: 'Publier l\'avant-match ce nombre de minutes avant la mise au jeu, 0 pour désactiver (défaut : 60)' })
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(720))
+    .addStringOption(option =>
+      option.setName('timezone')
+        .setNameLocalizations({ fr: 'fuseau_horaire' })
+        .setDescription('Time zone for game times in this server, e.g. America/Vancouver (default: America/Toronto)')
+        .setDescriptionLocalizations({ fr: 'Fuseau horaire des heures de match, p. ex. America/Montreal (par défaut : America/Toronto)' })
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('locale')
+        .setNameLocalizations({ fr: 'format_regional' })
+        .setDescription('How dates and times are written, e.g. en-CA, en-GB, fr-CA (default: en-US)')
+        .setDescriptionLocalizations({ fr: 'Format des dates et des heures, p. ex. fr-CA, en-CA, en-GB (par défaut : en-US)' })
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('language')
+        .setNameLocalizations({ fr: 'langue' })
+        .setDescription('Language of game updates and replies in this server (default: English)')
+        .setDescriptionLocalizations({ fr: 'Langue des mises à jour et des réponses dans ce serveur (par défaut : anglais)' })
+        .setRequired(false)
+        .addChoices(
+          ...Object.entries(LANGUAGES).map(([value, name]) => ({ name, value }))
+        ))
+    .addRoleOption(option =>
+      option.setName('goal_role')
+        .setNameLocalizations({ fr: 'role_but' })
+        .setDescription('Role to mention when a goal is scored')
+        .setDescriptionLocalizations({ fr: 'Rôle à mentionner à chaque but' })
+        .setRequired(false))
+    .addRoleOption(option =>
+      option.setName('game_start_role')
+        .setNameLocalizations({ fr: 'role_debut_match' })
+        .setDescription('Role to mention at puck drop')
+        .setDescriptionLocalizations({ fr: 'Rôle à mentionner à la mise au jeu initiale' })
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('ping_opponent_goals')
+        .setNameLocalizations({ fr: 'mentionner_buts_adverses' })
+        .setDescription('Also mention the goal role when the opponent scores (default: true)')
+        .setDescriptionLocalizations({ fr: 'Mentionner aussi le rôle des buts quand l\'adversaire marque (par défaut : oui)' })
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('live_scoreboard')
+        .setNameLocalizations({ fr: 'tableau_en_direct' })
+        .setDescription('Keep one pinned scoreboard per game, edited live, instead of posting every goal, penalty and period')
+        .setDescriptionLocalizations({ fr: 'Un tableau épinglé par match, mis à jour en direct, au lieu de publier chaque événement' })
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('game_threads')
+        .setNameLocalizations({ fr: 'fils_de_match' })
+        .setDescription('Open a thread per game for goals, periods and penalties; archived a few hours after the final')
+        .setDescriptionLocalizations({ fr: 'Ouvrir un fil par match pour les buts, périodes et pénalités; archivé après le match' })
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('clear_roles')
+        .setNameLocalizations({ fr: 'retirer_roles' })
+        .setDescription('Stop mentioning roles in this server')
+        .setDescriptionLocalizations({ fr: 'Ne plus mentionner de rôles dans ce serveur' })
+        .setRequired(false)),
+        
+  new SlashCommandBuilder()
+    .setName('stop-leafs-updates')
+    .setNameLocalizations({ fr: 'arreter-mises-a-jour' })
+    .setDescription('Stop posting game updates in this server')
+    .setDescriptionLocalizations({ fr: 'Arrêter les mises à jour des matchs dans ce serveur' })
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setNameLocalizations({ fr: 'salon' })
+        .setDescription('Only stop updates in this channel (default: every channel)')
+        .setDescriptionLocalizations({ fr: 'Arrêter seulement dans ce salon (par défaut : tous les salons)' })
+        .setRequired(false)),
+    
+  new SlashCommandBuilder()
+    .setName('leafs-settings')
+    .setNameLocalizations({ fr: 'parametres-mises-a-jour' })
+    .setDescription('Choose which game events are posted in this server (admins only)')
+    .setDescriptionLocalizations({ fr: 'Choisir les événements de match publiés dans ce serveur (admins seulement)' })
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption(option =>
+      option.setName('event')
+        .setNameLocalizations({ fr: 'evenement' })
+        .setDescription('Event type to turn on or off (leave empty to see current settings)')
+        .setDescriptionLocalizations({ fr: 'Type d\'événement à activer ou désactiver (vide pour voir les paramètres)' })
+        .setRequired(false)
+        .addChoices(
+          ...Object.entries(NOTIFICATION_TYPES).map(([value, name]) => ({
+            name,
+            name_localizations: getLocalizations(`notifications.${value}`),
+            value
+          }))
+        ))
+    .addBooleanOption(option =>
+      option.setName('enabled')
+        .setNameLocalizations({ fr: 'active' })
+        .setDescription('Whether to post this event type')
+        .setDescriptionLocalizations({ fr: 'Publier ou non ce type d\'événement' })
+        .setRequired(false)),
+    
+  new SlashCommandBuilder()
+    .setName('next-leafs-game')
+    .setNameLocalizations({ fr: 'prochain-match' })
+    .setDescription('Get information about the next game for the team this server follows')
+    .setDescriptionLocalizations({ fr: 'Afficher le prochain match de l\'équipe suivie par ce serveur' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation (default: the team this server follows, or TOR)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe (par défaut : l\'équipe suivie par ce serveur, ou TOR)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3))
+  ,
+  new SlashCommandBuilder()
+    .setName('schedule')
+    .setNameLocalizations({ fr: 'calendrier' })
+    .setDescription('Show upcoming games, or every game in a month of the season')
+    .setDescriptionLocalizations({ fr: 'Afficher les prochains matchs, ou tous les matchs d\'un mois de la saison' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation (default: the team this server follows, or TOR)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe (par défaut : l\'équipe suivie par ce serveur, ou TOR)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3))
+    .addIntegerOption(option =>
+      option.setName('games')
+        .setNameLocalizations({ fr: 'matchs' })
+        .setDescription('Number of upcoming games to show (default: 10)')
+        .setDescriptionLocalizations({ fr: 'Nombre de matchs à venir à afficher (par défaut : 10)' })
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(82))
+    .addIntegerOption(option =>
+      option.setName('month')
+        .setNameLocalizations({ fr: 'mois' })
+        .setDescription('Show every game in this month of the current season instead')
+        .setDescriptionLocalizations({ fr: 'Afficher plutôt tous les matchs de ce mois de la saison en cours' })
+        .setRequired(false)
+        .addChoices(
+          { name: 'September', name_localizations: { fr: 'Septembre' }, value: 9 },
+          { name: 'October', name_localizations: { fr: 'Octobre' }, value: 10 },
+          { name: 'November', name_localizations: { fr: 'Novembre' }, value: 11 },
+          { name: 'December', name_localizations: { fr: 'Décembre' }, value: 12 },
+          { name: 'January', name_localizations: { fr: 'Janvier' }, value: 1 },
+          { name: 'February', name_localizations: { fr: 'Février' }, value: 2 },
+          { name: 'March', name_localizations: { fr: 'Mars' }, value: 3 },
+          { name: 'April', name_localizations: { fr: 'Avril' }, value: 4 },
+          { name: 'May', name_localizations: { fr: 'Mai' }, value: 5 },
+          { name: 'June', name_localizations: { fr: 'Juin' }, value: 6 }
+        )),
+    
+  new SlashCommandBuilder()
+    .setName('standings')
+    .setNameLocalizations({ fr: 'classement' })
+    .setDescription('Show the current NHL standings')
+    .setDescriptionLocalizations({ fr: 'Afficher le classement actuel de la LNH' })
+    .addStringOption(option =>
+      option.setName('view')
+        .setNameLocalizations({ fr: 'vue' })
+        .setDescription('How to group the standings (default: division)')
+        .setDescriptionLocalizations({ fr: 'Regroupement du classement (par défaut : division)' })
+        .setRequired(false)
+        .addChoices(
+          { name: 'Division', name_localizations: { fr: 'Division' }, value: 'division' },
+          { name: 'Conference', name_localizations: { fr: 'Association' }, value: 'conference' },
+          { name: 'Wild Card', name_localizations: { fr: 'Quatrième as' }, value: 'wildcard' },
+          { name: 'League', name_localizations: { fr: 'Ligue' }, value: 'league' }
+        ))
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team to highlight (default: the team this server follows, or TOR)')
+        .setDescriptionLocalizations({ fr: 'Équipe à mettre en évidence (par défaut : l\'équipe suivie par ce serveur, ou TOR)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3)),
+    
+  new SlashCommandBuilder()
+    .setName('score')
+    .setNameLocalizations({ fr: 'pointage' })
+    .setDescription('Show today\'s NHL scores: live period and clock, finals and upcoming start times')
+    .setDescriptionLocalizations({ fr: 'Pointages du jour dans la LNH : matchs en cours, terminés et à venir' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Only show this team\'s game (default: every game today)')
+        .setDescriptionLocalizations({ fr: 'Afficher seulement le match de cette équipe (par défaut : tous les matchs)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3)),
+    
+  new SlashCommandBuilder()
+    .setName('team-stats')
+    .setNameLocalizations({ fr: 'stats-equipe' })
+    .setDescription('Show a team\'s season stats: goals, special teams, shots and faceoffs')
+    .setDescriptionLocalizations({ fr: 'Statistiques de la saison d\'une équipe : buts, unités spéciales, tirs et mises au jeu' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation (default: the team this server follows, or TOR)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe (par défaut : l\'équipe suivie par ce serveur, ou TOR)' })
+        .setRequired(false)
+        .setMinLength(3)
+        .setMaxLength(3)),
+    
+  new SlashCommandBuilder()
+    .setName('roster')
+    .setNameLocalizations({ fr: 'formation' })
+    .setDescription('Show a team\'s current roster with numbers, handedness and age')
+    .setDescriptionLocalizations({ fr: 'Formation actuelle d\'une équipe avec numéros, côté et âge' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation (e.g. TOR, MTL, VAN)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe (p. ex. TOR, MTL, VAN)' })
+        .setRequired(true)
+        .setMinLength(3)
+        .setMaxLength(3)),
+    
+  new SlashCommandBuilder()
+    .setName('player')
+    .setNameLocalizations({ fr: 'joueur' })
+    .setDescription('Look up a player: season line, career totals and last five games')
+    .setDescriptionLocalizations({ fr: 'Chercher un joueur : saison, carrière et cinq derniers matchs' })
+    .addStringOption(option =>
+      option.setName('name')
+        .setNameLocalizations({ fr: 'nom' })
+        .setDescription('Player name (suggestions come from current NHL rosters)')
+        .setDescriptionLocalizations({ fr: 'Nom du joueur (suggestions tirées des formations actuelles de la LNH)' })
+        .setRequired(true)
+        .setAutocomplete(true)),
+    
+  new SlashCommandBuilder()
+    .setName('test-nhl-api')
+    .setNameLocalizations({ fr: 'tester-api-lnh' })
+    .setDescription('Test NHL API connection and functionality')
+    .setDescriptionLocalizations({ fr: 'Tester la connexion et le fonctionnement de l\'API de la LNH' }),
+    
+  new SlashCommandBuilder()
+    .setName('test-goal')
+    .setNameLocalizations({ fr: 'tester-but' })
+    .setDescription('Simulate a goal notification for testing (dev/testing only)')
+    .setDescriptionLocalizations({ fr: 'Simuler une annonce de but pour les tests (développement seulement)' })
+    .addStringOption(option =>
+      option.setName('team')
+        .setNameLocalizations({ fr: 'equipe' })
+        .setDescription('Team abbreviation that scored (default: TOR)')
+        .setDescriptionLocalizations({ fr: 'Abréviation de l\'équipe qui a marqué (par défaut : TOR)' })
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('scorer')
+        .setNameLocalizations({ fr: 'marqueur' })
+        .setDescription('Scorer name (default: Auston Matthews)')
+        .setDescriptionLocalizations({ fr: 'Nom du marqueur (par défaut : Auston Matthews)' })
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('period')
+        .setNameLocalizations({ fr: 'periode' })
+        .setDescription('Period number (default: 1)')
+        .setDescriptionLocalizations({ fr: 'Numéro de la période (par défaut : 1)' })
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(5))
+    .addStringOption(option =>
+      option.setName('time')
+        .setNameLocalizations({ fr: 'temps' })
+        .setDescription('Time in period (default: 10:00)')
+        .setDescriptionLocalizations({ fr: 'Temps écoulé dans la période (par défaut : 10:00)' })
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('strength')
+        .setNameLocalizations({ fr: 'situation' })
+        .setDescription('Goal strength (default: EV)')
+        .setDescriptionLocalizations({ fr: 'Situation du but (par défaut : EV)' })
+        .setRequired(false)
+        .addChoices(
+          { name: 'Even Strength', name_localizations: getLocalizations('strength.EV'), value: 'EV' },
+          { name: 'Power Play', name_localizations: getLocalizations('strength.PP'), value: 'PP' },
+          { name: 'Short Handed', name_localizations: getLocalizations('strength.SH'), value: 'SH' },
+          { name: 'Empty Net', name_localizations: getLocalizations('strength.EN'), value: 'EN' },
+          { name: 'Penalty Shot', name_localizations: getLocalizations('strength.PS'), value: 'PS' }
+        ))
+    .addBooleanOption(option =>
+      option.setName('force')
+        .setNameLocalizations({ fr: 'forcer' })
+        .setDescription('Force execution in production (default: false)')
+        .setDescriptionLocalizations({ fr: 'Forcer l\'exécution en production (par défaut : non)' })
+        .setRequired(false))
+];
@@ -0,0 +1,166 @@
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+
+/**
+ * Find a team-level stat such as 'sog' or 'powerPlay'.
+ * Depending on the API version these live on the landing summary or on the boxscore.
+ * @param {Object} landing - Landing endpoint response
+ * @param {Object} boxscore - Boxscore endpoint response
+ * @param {string} category - Stat category key
+ * @returns {{awayValue: *, homeValue: *}|null} Stat values, or null if not reported
+ */
+function findTeamGameStat(landing, boxscore, category) {
+  const sources = [
+    landing?.summary?.teamGameStats,
+    boxscore?.summary?.teamGameStats,
+    boxscore?.teamGameStats
+  ];
+  for (const stats of sources) {
+    const stat = Array.isArray(stats) ? stats.find(s => s.category === category) : null;
+    if (stat) return stat;
+  }
+  return null;
+}
+
+/**
+ * Format a faceoff/save percentage value from the API (fraction or percent)
+ * @param {number} value - 0.542 or 54.2
+ * @returns {number|null} Percentage, e.g. 54.2
+ */
+function toPercent(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+  return value <= 1 ? value * 100 : value;
+}
+
+/**
+ * Summarize one side's goalies from the boxscore
+ * @param {Array<Object>} goalies - playerByGameStats.{side}.goalies
+ * @returns {Array<{name: string, saves: number, shotsAgainst: number}>} Goalies who faced shots
+ */
+function summarizeGoalies(goalies = []) {
+  return goalies
+    .map(goalie => {
+      let saves = goalie.saves;
+      let shotsAgainst = goalie.shotsAgainst;
+      if ((saves === undefined || shotsAgainst === undefined) && typeof goalie.saveShotsAgainst === 'string') {
+        [saves, shotsAgainst] = goalie.saveShotsAgainst.split('/').map(Number);
+      }
+      return { name: goalie.name?.default || 'Unknown', saves: saves ?? 0, shotsAgainst: shotsAgainst ?? 0 };
+    })
+    .filter(goalie => goalie.shotsAgainst > 0);
+}
+
+/**
+ * Get a side's top point-getters from the boxscore
+ * @param {Object} side - playerByGameStats.{side}
+ * @param {number} limit - Maximum number of players
+ * @returns {Array<{name: string, goals: number, assists: number, points: number}>} Players with points
+ */
+function summarizeTopPlayers(side = {}, limit = 3) {
+  return [...(side.forwards || []), ...(side.defense || [])]
+    .map(player => ({
+      name: player.name?.default || 'Unknown',
+      goals: player.goals ?? 0,
+      assists: player.assists ?? 0,
+      points: player.points ?? ((player.goals ?? 0) + (player.assists ?? 0))
+    }))
+    .filter(player => player.points > 0)
+    .sort((a, b) => b.points - a.points || b.goals - a.goals)
+    .slice(0, limit);
+}
+
+/**
+ * Build the end-of-game summary from the landing and boxscore endpoints
+ * @param {Object} landing - Landing endpoint response
+ * @param {Object} boxscore - Boxscore endpoint response
+ * @returns {Object|null} Summary data, or null if neither endpoint returned data
+ */
+export function buildGameSummary(landing, boxscore) {
+  if (!landing && !boxscore) return null;
+
+  const sog = findTeamGameStat(landing, boxscore, 'sog');
+  const powerPlay = findTeamGameStat(landing, boxscore, 'powerPlay');
+  const faceoffs = findTeamGameStat(landing, boxscore, 'faceoffWinningPctg');
+  const playerStats = boxscore?.playerByGameStats || {};
+
+  const side = key => ({
+    abbrev: boxscore?.[`${key}Team`]?.abbrev || landing?.[`${key}Team`]?.abbrev || (key === 'home' ? 'Home' : 'Away'),
+    sog: boxscore?.[`${key}Team`]?.sog ?? sog?.[`${key}Value`] ?? null,
+    powerPlay: powerPlay?.[`${key}Value`] ?? null,
+    faceoffPct: toPercent(faceoffs?.[`${key}Value`]),
+    goalies: summarizeGoalies(playerStats[`${key}Team`]?.goalies),
+    topPlayers: summarizeTopPlayers(playerStats[`${key}Team`])
+  });
+
+  const threeStars = (landing?.summary?.threeStars || [])
+    .map(star => ({
+      star: star.star,
+      name: star.name?.default || star.name || 'Unknown',
+      teamAbbrev: star.teamAbbrev?.default || star.teamAbbrev || '',
+      goals: star.goals ?? 0,
+      assists: star.assists ?? 0
+    }))
+    .sort((a, b) => a.star - b.star);
+
+  return { threeStars, away: side('away'), home: side('home') };
+}
+
+/**
+ * Turn a game summary into embed fields
+ * @param {Object} summary - Result of buildGameSummary()
+ * @param {string} [language] - Language for the field names
+ * @returns {Array<{name: string, value: string, inline: boolean}>} Embed fields (empty sections omitted)
+ */
+export function buildGameSummaryFields(summary, language = DEFAULT_LANGUAGE) {
+  if (!summary) return [];
+  const formatLine = ({ goals, assists }) => t(language, 'summary.line', { goals, assists });
+  const { away, home, threeStars } = summary;
+  const fields = [];
+
+  if (threeStars.length > 0) {
+    fields.push({
+      name: t(language, 'summary.threeStars'),
+      value: threeStars
+        .map(star => `${'⭐'.repeat(star.star)} ${star.name} (${star.teamAbbrev}) ${formatLine(star)}`)
+        .join('\n'),
+      inline: false
+    });
+  }
+
+  if (away.sog !== null && home.sog !== null) {
+    fields.push({ name: t(language, 'summary.shots'), value: `${away.abbrev} ${away.sog} – ${home.sog} ${home.abbrev}`, inline: true });
+  }
+
+  if (away.powerPlay !== null && home.powerPlay !== null) {
+    fields.push({ name: t(language, 'summary.powerPlay'), value: `${away.abbrev} ${away.powerPlay}\n${home.abbrev} ${home.powerPlay}`, inline: true });
+  }
+
+  if (away.faceoffPct !== null && home.faceoffPct !== null) {
+    fields.push({
+      name: t(language, 'summary.faceoffs'),
+      value: `${away.abbrev} ${away.faceoffPct.toFixed(1)}%\n${home.abbrev} ${home.faceoffPct.toFixed(1)}%`,
+      inline: true
+    });
+  }
+
+  const goalieLines = [away, home].flatMap(team =>
+    team.goalies.map(goalie => {
+      const pct = (goalie.saves / goalie.shotsAgainst).toFixed(3).replace(/^0/, '');
+      return `${team.abbrev}: ${goalie.name} ${goalie.saves}/${goalie.shotsAgainst} (${pct})`;
+    })
+  );
+  if (goalieLines.length > 0) {
+    fields.push({ name: t(language, 'summary.goaltending'), value: goalieLines.join('\n'), inline: false });
+  }
+
+  for (const team of [away, home]) {
+    if (team.topPlayers.length > 0) {
+      fields.push({
+        name: t(language, 'summary.topPlayers', { team: team.abbrev }),
+        value: team.topPlayers.map(player => `${player.name} ${formatLine(player)}`).join('\n'),
+        inline: true
+      });
+    }
+  }
+
+  return fields;
+}
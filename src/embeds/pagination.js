@@ -0,0 +1,77 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+
+// How long the previous/next buttons keep working after the reply is sent
+const PAGINATION_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Build the previous/next button row for a paginated reply
+ * @param {number} page - Current page index (0-based)
+ * @param {number} pageCount - Total number of pages
+ * @param {boolean} disabled - Disable both buttons (e.g. once the collector has expired)
+ * @param {string} [language] - Language for the button labels
+ * @returns {ActionRowBuilder} Button row
+ */
+export function buildPaginationRow(page, pageCount, disabled = false, language = DEFAULT_LANGUAGE) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('page-prev')
+      .setLabel(t(language, 'common.previous'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page <= 0),
+    new ButtonBuilder()
+      .setCustomId('page-next')
+      .setLabel(t(language, 'common.next'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page >= pageCount - 1)
+  );
+}
+
+/**
+ * Reply to a deferred interaction with a set of embed pages and previous/next buttons
+ * @param {ChatInputCommandInteraction} interaction - Deferred command interaction
+ * @param {EmbedBuilder[]} pages - One embed per page
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language for the button labels
+ * @param {number} [options.timeoutMs] - How long the buttons stay active
+ */
+export async function replyWithPages(interaction, pages, { language = DEFAULT_LANGUAGE, timeoutMs = PAGINATION_TIMEOUT_MS } = {}) {
+  if (pages.length <= 1) {
+    await interaction.editReply({ embeds: pages, components: [] });
+    return;
+  }
+
+  let page = 0;
+  const message = await interaction.editReply({
+    embeds: [pages[page]],
+    components: [buildPaginationRow(page, pages.length, false, language)]
+  });
+
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: timeoutMs
+  });
+
+  collector.on('collect', async button => {
+    try {
+      page = button.customId === 'page-prev'
+        ? Math.max(0, page - 1)
+        : Math.min(pages.length - 1, page + 1);
+
+      await button.update({
+        embeds: [pages[page]],
+        components: [buildPaginationRow(page, pages.length, false, language)]
+      });
+    } catch (error) {
+      console.error('Error changing page:', error);
+    }
+  });
+
+  collector.on('end', async () => {
+    try {
+      await interaction.editReply({ components: [buildPaginationRow(page, pages.length, true, language)] });
+    } catch (error) {
+      // The reply may have been deleted; nothing left to disable
+    }
+  });
+}
@@ -0,0 +1,90 @@
+import { DEFAULT_LANGUAGE, t, formatPeriod } from '../i18n/messages.js';
+import { formatPeriodLabel } from './scoreboard.js';
+
+/**
+ * Count each side's goals per period from the landing summary
+ * @param {Object} landing - Landing endpoint response
+ * @returns {Map<number, {away: number, home: number}>} Period number -> goals
+ */
+function countLandingGoals(landing) {
+  const awayAbbrev = landing?.awayTeam?.abbrev;
+  const goals = new Map();
+  for (const period of landing?.summary?.scoring || []) {
+    const number = period.periodDescriptor?.number;
+    if (!number) continue;
+    const count = { away: 0, home: 0 };
+    for (const goal of period.goals || []) {
+      const abbrev = goal.teamAbbrev?.default || goal.teamAbbrev;
+      count[abbrev === awayAbbrev ? 'away' : 'home'] += 1;
+    }
+    goals.set(number, count);
+  }
+  return goals;
+}
+
+/**
+ * Build the period-by-period score and shots for an intermission post.
+ * The right-rail endpoint has both; without it, goals are counted from the
+ * landing summary and shots are left out.
+ * @param {Object} landing - Landing endpoint response
+ * @param {Object} [rightRail] - Right-rail endpoint response
+ * @returns {Object|null} Summary data, or null without landing data
+ */
+export function buildPeriodSummary(landing, rightRail) {
+  if (!landing) return null;
+
+  const currentPeriod = landing.periodDescriptor?.number ?? 0;
+  const byNumber = rows => new Map((rows || []).map(row => [row.periodDescriptor?.number, row]));
+  const linescore = byNumber(rightRail?.linescore?.byPeriod);
+  const shots = byNumber(rightRail?.shotsByPeriod);
+  const landingGoals = countLandingGoals(landing);
+
+  const periods = [];
+  for (let number = 1; number <= currentPeriod; number++) {
+    const line = linescore.get(number);
+    const goals = line || landingGoals.get(number) || { away: 0, home: 0 };
+    const periodShots = shots.get(number);
+    const descriptor = line?.periodDescriptor || periodShots?.periodDescriptor ||
+      (number === currentPeriod ? landing.periodDescriptor : { number, periodType: number > 3 ? 'OT' : 'REG' });
+    // Shootout attempts are posted on their own
+    if (descriptor.periodType === 'SO') continue;
+    periods.push({
+      period: formatPeriodLabel(descriptor),
+      away: { goals: goals.away ?? 0, shots: periodShots?.away ?? null },
+      home: { goals: goals.home ?? 0, shots: periodShots?.home ?? null }
+    });
+  }
+
+  const side = key => ({
+    abbrev: landing[`${key}Team`]?.abbrev || (key === 'home' ? 'Home' : 'Away'),
+    score: landing[`${key}Team`]?.score ?? 0,
+    sog: landing[`${key}Team`]?.sog ?? null
+  });
+
+  return { periods, away: side('away'), home: side('home') };
+}
+
+/**
+ * Turn a period summary into embed fields
+ * @param {Object} summary - Result of buildPeriodSummary()
+ * @param {string} [language] - Language for the labels
+ * @returns {Array<{name: string, value: string, inline: boolean}>} Embed fields (empty if nothing to show)
+ */
+export function buildPeriodSummaryFields(summary, language = DEFAULT_LANGUAGE) {
+  if (!summary?.periods.length) return [];
+  const { away, home, periods } = summary;
+
+  const lines = periods.map(({ period, away: awayLine, home: homeLine }) => {
+    const goals = `${away.abbrev} ${awayLine.goals} – ${homeLine.goals} ${home.abbrev}`;
+    const shots = awayLine.shots !== null && homeLine.shots !== null
+      ? ` · ${t(language, 'periodSummary.shots', { away: awayLine.shots, home: homeLine.shots })}`
+      : '';
+    return `**${formatPeriod(period, language)}** ${goals}${shots}`;
+  });
+
+  const fields = [{ name: t(language, 'periodSummary.title'), value: lines.join('\n'), inline: false }];
+  if (away.sog !== null && home.sog !== null) {
+    fields.push({ name: t(language, 'summary.shots'), value: `${away.abbrev} ${away.sog} – ${home.sog} ${home.abbrev}`, inline: true });
+  }
+  return fields;
+}
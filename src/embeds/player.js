@@ -0,0 +1,180 @@
+import { EmbedBuilder } from 'discord.js';
+import { getTeamName } from '../../nhl-api.js';
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+import { formatSeason } from './teamStats.js';
+import { formatInTimeZone } from './time.js';
+
+/**
+ * Convert an 'MM:SS' time on ice to seconds
+ * @param {string} toi - Time on ice
+ * @returns {number|null} Seconds, or null if unparseable
+ */
+function toiSeconds(toi) {
+  const match = /^(\d+):(\d{2})$/.exec(toi || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Format seconds as 'MM:SS'
+ * @param {number} seconds - Seconds
+ * @returns {string} Time on ice
+ */
+function formatToi(seconds) {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a plus/minus with its sign
+ * @param {number} value - Plus/minus
+ * @param {string} [language] - Language for 'N/A'
+ * @returns {string} e.g. '+3', '-1', 'E'
+ */
+export function formatPlusMinus(value, language = DEFAULT_LANGUAGE) {
+  if (typeof value !== 'number') return t(language, 'common.na');
+  if (value === 0) return 'E';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Format a save percentage the way hockey writes it
+ * @param {number} pct - Save percentage as a fraction (0.915)
+ * @param {string} [language] - Language for 'N/A'
+ * @returns {string} e.g. '.915'
+ */
+export function formatSavePct(pct, language = DEFAULT_LANGUAGE) {
+  if (typeof pct !== 'number') return t(language, 'common.na');
+  return pct >= 1 ? '1.000' : pct.toFixed(3).replace(/^0/, '');
+}
+
+/**
+ * Average time on ice across a season's NHL regular-season rows (one per team if traded)
+ * @param {Object} player - Player landing data
+ * @param {number} season - Season ID
+ * @returns {string|null} Average TOI as 'MM:SS'
+ */
+function getSeasonAvgToi(player, season) {
+  const rows = (player.seasonTotals || []).filter(
+    row => row.season === season && row.gameTypeId === 2 && row.leagueAbbrev === 'NHL' && toiSeconds(row.avgToi) !== null
+  );
+  const games = rows.reduce((sum, row) => sum + (row.gamesPlayed || 0), 0);
+  if (!games) return null;
+  const total = rows.reduce((sum, row) => sum + toiSeconds(row.avgToi) * (row.gamesPlayed || 0), 0);
+  return formatToi(total / games);
+}
+
+/**
+ * Format a stat line for a skater or goalie
+ * @param {Object} stats - Featured season stats or career totals
+ * @param {boolean} isGoalie - Whether to use goalie stats
+ * @param {string|null} avgToi - Average time on ice (skaters)
+ * @param {string} [language] - Language for the stat abbreviations
+ * @returns {string} Stat line
+ */
+export function formatStatLine(stats, isGoalie, avgToi = null, language = DEFAULT_LANGUAGE) {
+  if (!stats) return t(language, 'player.noNhlGames');
+  const label = key => t(language, `stats.${key}`);
+
+  if (isGoalie) {
+    const record = `${stats.wins ?? 0}-${stats.losses ?? 0}-${stats.otLosses ?? 0}`;
+    const gaa = typeof stats.goalsAgainstAvg === 'number' ? stats.goalsAgainstAvg.toFixed(2) : t(language, 'common.na');
+    return [
+      `${label('gamesPlayed')} ${stats.gamesPlayed ?? 0}`,
+      record,
+      `${label('gaa')} ${gaa}`,
+      `${label('savePct')} ${formatSavePct(stats.savePctg, language)}`,
+      `${label('shutouts')} ${stats.shutouts ?? 0}`
+    ].join(' · ');
+  }
+
+  const parts = [
+    `${label('gamesPlayed')} ${stats.gamesPlayed ?? 0}`,
+    `${label('goals')} ${stats.goals ?? 0}`,
+    `${label('assists')} ${stats.assists ?? 0}`,
+    `${label('points')} ${stats.points ?? 0}`,
+    `${label('plusMinus')} ${formatPlusMinus(stats.plusMinus, language)}`
+  ];
+  const toi = avgToi || stats.avgToi;
+  if (toi) parts.push(`${label('toi')} ${toi}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Format a player's last five games, one per line
+ * @param {Array<Object>} games - `last5Games` from the player landing
+ * @param {boolean} isGoalie - Whether to use goalie stats
+ * @param {string} [locale] - Locale for game dates
+ * @param {string} [language] - Language for labels
+ * @returns {string} Lines, most recent first
+ */
+export function formatLastGames(games, isGoalie, locale, language = DEFAULT_LANGUAGE) {
+  if (!games?.length) return t(language, 'player.noRecentGames');
+
+  return games.slice(0, 5).map(game => {
+    const date = formatInTimeZone(`${game.gameDate}T12:00:00Z`, { timeZone: 'UTC', locale }, {
+      month: 'short',
+      day: 'numeric'
+    });
+    const matchup = `${date} ${t(language, game.homeRoadFlag === 'H' ? 'common.vs' : 'common.at')} ${game.opponentAbbrev}`;
+
+    if (isGoalie) {
+      const decision = game.decision ? `${game.decision}, ` : '';
+      const goalsAgainst = `${game.goalsAgainst ?? 0} ${t(language, 'stats.goalsAgainst')}`;
+      return `${matchup} — ${decision}${goalsAgainst}, ${formatSavePct(game.savePctg, language)} ${t(language, 'stats.savePct')}`;
+    }
+    const line = t(language, 'summary.line', { goals: game.goals ?? 0, assists: game.assists ?? 0 });
+    return `${matchup} — ${line}, ${formatPlusMinus(game.plusMinus, language)}, ${game.toi || t(language, 'common.na')}`;
+  }).join('\n');
+}
+
+/**
+ * Build the /player embed
+ * @param {Object} player - Player landing data (getPlayerLanding)
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Guild locale for game dates
+ * @param {string} [options.language] - Guild language for labels
+ * @returns {EmbedBuilder} Embed
+ */
+export function buildPlayerEmbed(player, { locale, language = DEFAULT_LANGUAGE } = {}) {
+  const isGoalie = player.position === 'G';
+  const name = `${player.firstName?.default || ''} ${player.lastName?.default || ''}`.trim();
+  const number = player.sweaterNumber ? `#${player.sweaterNumber} ` : '';
+  const team = player.currentTeamAbbrev
+    ? player.fullTeamName?.[language] || player.fullTeamName?.default || getTeamName(player.currentTeamAbbrev)
+    : t(language, 'player.freeAgent');
+
+  const details = [t(language, `position.${player.position}`, {}, player.position), team];
+  if (player.shootsCatches) {
+    details.push(t(language, isGoalie ? 'player.catches' : 'player.shoots', { hand: player.shootsCatches }));
+  }
+
+  const featured = player.featuredStats;
+  const seasonLabel = featured?.season
+    ? t(language, 'player.season', { season: formatSeason(featured.season) })
+    : t(language, 'player.thisSeason');
+  const seasonLine = formatStatLine(
+    featured?.regularSeason?.subSeason,
+    isGoalie,
+    featured?.season ? getSeasonAvgToi(player, featured.season) : null,
+    language
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${number}${name}`)
+    .setDescription(details.join(' · '))
+    .setColor(0x00205B)
+    .addFields(
+      { name: seasonLabel, value: seasonLine, inline: false },
+      {
+        name: t(language, 'player.career'),
+        value: formatStatLine(player.careerTotals?.regularSeason, isGoalie, null, language),
+        inline: false
+      },
+      { name: t(language, 'player.lastGames'), value: formatLastGames(player.last5Games, isGoalie, locale, language), inline: false }
+    )
+    .setFooter({ text: t(language, 'common.dataFooter') })
+    .setTimestamp();
+
+  if (player.headshot) embed.setThumbnail(player.headshot);
+  return embed;
+}
@@ -0,0 +1,155 @@
+import { EmbedBuilder } from 'discord.js';
+import { getTeamName } from '../../nhl-api.js';
+import { DEFAULT_LANGUAGE, t, localizedName, getLocalizedTeamName } from '../i18n/messages.js';
+import { discordTimestamp, formatInTimeZone } from './time.js';
+
+/**
+ * Check whether it's time to post a game's preview
+ * @param {Object} game - Game from the club schedule
+ * @param {number} leadMinutes - How long before puck drop to post (0 disables)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {boolean} True if the preview window is open
+ */
+export function isPreviewDue(game, leadMinutes, now = new Date()) {
+  if (!leadMinutes || leadMinutes <= 0) return false;
+  if (game.gameScheduleState && game.gameScheduleState !== 'OK') return false;
+
+  const start = new Date(game.startTimeUTC).getTime();
+  return now.getTime() >= start - leadMinutes * 60 * 1000 && now.getTime() < start;
+}
+
+/**
+ * Get a team's W-L-OTL record, preferring the game's landing data over standings
+ * @param {string} abbrev - Team abbreviation
+ * @param {string} side - 'home' or 'away'
+ * @param {Object} landing - Landing endpoint response
+ * @param {Array<Object>} standings - Entries from the standings endpoint
+ * @returns {string|null} Record, e.g. '10-5-2'
+ */
+export function getTeamRecord(abbrev, side, landing, standings) {
+  const landingRecord = landing?.[`${side}Team`]?.record;
+  if (landingRecord) return landingRecord;
+
+  const entry = (standings || []).find(e => (e.teamAbbrev?.default || e.teamAbbrev) === abbrev);
+  return entry ? `${entry.wins}-${entry.losses}-${entry.otLosses}` : null;
+}
+
+/**
+ * Summarize the season series between the two teams so far
+ * @param {Object} game - The upcoming game
+ * @param {string} team - Followed team
+ * @param {Object} rightRail - Right-rail endpoint response
+ * @param {Object} landing - Landing endpoint response
+ * @param {string} [language] - Language for the summary
+ * @returns {string} e.g. 'TOR leads 2-1', 'Series tied 1-1', 'First meeting this season'
+ */
+export function summarizeSeasonSeries(game, team, rightRail, landing, language = DEFAULT_LANGUAGE) {
+  const series = rightRail?.seasonSeries || landing?.matchup?.seasonSeries || [];
+  const completed = series.filter(g => g.id !== game.id && (g.gameState === 'OFF' || g.gameState === 'FINAL'));
+  if (completed.length === 0) return t(language, 'preview.firstMeeting');
+
+  const opponent = game.homeTeam?.abbrev === team ? game.awayTeam?.abbrev : game.homeTeam?.abbrev;
+  let wins = 0;
+  for (const g of completed) {
+    const teamScore = g.homeTeam?.abbrev === team ? g.homeTeam?.score : g.awayTeam?.score;
+    const opponentScore = g.homeTeam?.abbrev === team ? g.awayTeam?.score : g.homeTeam?.score;
+    if (teamScore > opponentScore) wins++;
+  }
+  const losses = completed.length - wins;
+
+  if (wins === losses) return t(language, 'preview.seriesTied', { wins, losses });
+  return wins > losses
+    ? t(language, 'preview.seriesLead', { team, wins, losses })
+    : t(language, 'preview.seriesLead', { team: opponent, wins: losses, losses: wins });
+}
+
+/**
+ * Get each team's likely goalie from the landing matchup data, when the API provides it
+ * @param {Object} landing - Landing endpoint response
+ * @param {string} [language] - Language for labels
+ * @returns {{away: string|null, home: string|null}|null} Goalie lines, or null if unavailable
+ */
+export function getProjectedGoalies(landing, language = DEFAULT_LANGUAGE) {
+  const comparison = landing?.matchup?.goalieComparison;
+  if (!comparison) return null;
+
+  const pick = side => {
+    const leaders = comparison[`${side}Team`]?.leaders || [];
+    if (leaders.length === 0) return null;
+    const goalie = [...leaders].sort((a, b) => (b.gamesPlayed ?? 0) - (a.gamesPlayed ?? 0))[0];
+    const name = localizedName(goalie.name, language) || t(language, 'common.unknown');
+    const details = [
+      goalie.record,
+      typeof goalie.savePctg === 'number' ? `${goalie.savePctg.toFixed(3).replace(/^0/, '')} ${t(language, 'stats.savePct')}` : null
+    ].filter(Boolean);
+    return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+  };
+
+  const away = pick('away');
+  const home = pick('home');
+  return away || home ? { away, home } : null;
+}
+
+/**
+ * Build the pre-game preview embed
+ * @param {Object} game - Game from the club schedule
+ * @param {Object} options - Preview options
+ * @param {string} options.team - Followed team
+ * @param {string} options.timeZone - Guild time zone for the start time
+ * @param {string} [options.locale] - Guild locale for the start time
+ * @param {string} [options.language] - Guild language for labels
+ * @param {Object} [options.landing] - Landing endpoint response
+ * @param {Object} [options.rightRail] - Right-rail endpoint response
+ * @param {Array<Object>} [options.standings] - Entries from the standings endpoint
+ * @returns {EmbedBuilder} Preview embed
+ */
+export function buildPreviewEmbed(game, { team, timeZone, locale, language = DEFAULT_LANGUAGE, landing, rightRail, standings }) {
+  const home = game.homeTeam?.abbrev || t(language, 'common.home');
+  const away = game.awayTeam?.abbrev || t(language, 'common.away');
+  const isHome = home === team;
+  const opponent = isHome ? away : home;
+  const opponentName = getLocalizedTeamName(isHome ? game.awayTeam : game.homeTeam, language) || getTeamName(opponent);
+
+  const start = new Date(game.startTimeUTC);
+  const startTime = formatInTimeZone(start, { timeZone, locale }, {
+    weekday: 'long',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+  const na = t(language, 'common.na');
+  const tbd = t(language, 'common.tbd');
+  const awayRecord = getTeamRecord(away, 'away', landing, standings);
+  const homeRecord = getTeamRecord(home, 'home', landing, standings);
+
+  const fields = [
+    { name: t(language, 'preview.opponent'), value: `${t(language, isHome ? 'common.vs' : 'common.at')} ${opponentName}`, inline: true },
+    { name: t(language, 'preview.venue'), value: localizedName(game.venue, language) || localizedName(landing?.venue, language) || tbd, inline: true },
+    { name: t(language, 'preview.startTime'), value: `${startTime}\n${discordTimestamp(start, 't')}`, inline: true },
+    {
+      name: t(language, 'preview.records'),
+      value: `${away} ${awayRecord || na}\n${home} ${homeRecord || na}`,
+      inline: true
+    },
+    { name: t(language, 'preview.seasonSeries'), value: summarizeSeasonSeries(game, team, rightRail, landing, language), inline: true }
+  ];
+
+  const goalies = getProjectedGoalies(landing, language);
+  if (goalies) {
+    fields.push({
+      name: t(language, 'preview.goalies'),
+      value: `${away}: ${goalies.away || tbd}\n${home}: ${goalies.home || tbd}`,
+      inline: false
+    });
+  }
+
+  return new EmbedBuilder()
+    .setTitle(t(language, 'preview.title', { away, home }))
+    .setDescription(t(language, 'preview.description', { time: discordTimestamp(start, 'R') }))
+    .setColor(0x00205B)
+    .addFields(fields)
+    .setThumbnail(`https://assets.nhle.com/logos/nhl/svg/${opponent}_light.svg`)
+    .setFooter({ text: t(language, 'common.dataFooter') })
+    .setTimestamp();
+}
@@ -0,0 +1,126 @@
+import { EmbedBuilder } from 'discord.js';
+import { getTeamName } from '../../nhl-api.js';
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+
+// Discord embed limits (field values cap at 1024 characters, embeds at 6000 in total);
+// pages stop short of the total to leave room for the title and footer
+const FIELD_VALUE_LIMIT = 1024;
+const PAGE_CHARACTER_BUDGET = 5000;
+const MAX_FIELDS_PER_PAGE = 25;
+
+// Roster groups in display order (titles are the `roster.*` messages)
+export const ROSTER_GROUPS = ['forwards', 'defensemen', 'goalies'];
+
+/**
+ * Work out a player's age from their birth date
+ * @param {string} birthDate - Birth date as YYYY-MM-DD
+ * @param {Date} now - Reference date (default: now)
+ * @returns {number|null} Age in years
+ */
+export function getAge(birthDate, now = new Date()) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(birthDate || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const hadBirthday = now.getMonth() + 1 > month || (now.getMonth() + 1 === month && now.getDate() >= day);
+  return now.getFullYear() - year - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Format one roster line: number, name, position, handedness and age
+ * @param {Object} player - Player from the roster endpoint
+ * @param {Date} now - Reference date for ages
+ * @param {string} [language] - Language for the age
+ * @returns {string} Roster line
+ */
+export function formatRosterPlayer(player, now = new Date(), language = DEFAULT_LANGUAGE) {
+  const number = player.sweaterNumber != null ? `#${player.sweaterNumber}` : '#—';
+  const name = `${player.firstName?.default || ''} ${player.lastName?.default || ''}`.trim();
+  const details = [player.positionCode];
+  if (player.shootsCatches) details.push(player.shootsCatches);
+  const age = getAge(player.birthDate, now);
+  if (age !== null) details.push(t(language, 'roster.age', { age }));
+  return `\`${number.padStart(3)}\` ${name} · ${details.join(' · ')}`;
+}
+
+/**
+ * Split lines into embed fields no longer than Discord allows
+ * @param {string} title - Field name (later chunks are marked as continued)
+ * @param {string[]} lines - Field lines
+ * @param {string} language - Language for the continuation marker
+ * @returns {Array<{name: string, value: string, inline: boolean}>} Fields
+ */
+function chunkIntoFields(title, lines, language) {
+  const fields = [];
+  let current = [];
+  for (const line of lines) {
+    if (current.length > 0 && [...current, line].join('\n').length > FIELD_VALUE_LIMIT) {
+      fields.push(current);
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) fields.push(current);
+
+  return fields.map((chunk, i) => ({
+    name: i === 0 ? `${title} (${lines.length})` : t(language, 'roster.continued', { title }),
+    value: chunk.join('\n'),
+    inline: false
+  }));
+}
+
+/**
+ * Build the /roster embed pages, grouped into forwards, defense and goalies
+ * @param {{forwards: Array<Object>, defensemen: Array<Object>, goalies: Array<Object>}} roster - From getTeamRoster
+ * @param {string} team - Team abbreviation
+ * @param {Date} now - Reference date for ages (default: now)
+ * @param {string} [language] - Language for titles and labels
+ * @returns {EmbedBuilder[]} One embed per page
+ */
+export function buildRosterPages(roster, team, now = new Date(), language = DEFAULT_LANGUAGE) {
+  const bySweater = (a, b) => (a.sweaterNumber ?? 999) - (b.sweaterNumber ?? 999);
+  const fields = ROSTER_GROUPS.flatMap(key => {
+    const players = [...(roster[key] || [])].sort(bySweater);
+    const lines = players.map(p => formatRosterPlayer(p, now, language));
+    return players.length > 0 ? chunkIntoFields(t(language, `roster.${key}`), lines, language) : [];
+  });
+
+  const title = t(language, 'roster.title', { team: getTeamName(team) });
+  if (fields.length === 0) {
+    return [
+      new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0x00205B)
+        .setDescription(t(language, 'roster.empty'))
+        .setFooter({ text: t(language, 'common.dataFooter') })
+    ];
+  }
+
+  const pageFields = [[]];
+  let pageLength = 0;
+  for (const field of fields) {
+    const length = field.name.length + field.value.length;
+    const page = pageFields[pageFields.length - 1];
+    if (page.length > 0 && (pageLength + length > PAGE_CHARACTER_BUDGET || page.length >= MAX_FIELDS_PER_PAGE)) {
+      pageFields.push([field]);
+      pageLength = length;
+    } else {
+      page.push(field);
+      pageLength += length;
+    }
+  }
+
+  const dataFooter = t(language, 'common.dataFooter');
+  return pageFields.map((page, i) =>
+    new EmbedBuilder()
+      .setTitle(title)
+      .setColor(0x00205B)
+      .addFields(page)
+      .setThumbnail(`https://assets.nhle.com/logos/nhl/svg/${team}_light.svg`)
+      .setFooter({
+        text: pageFields.length > 1
+          ? `${t(language, 'common.page', { page: i + 1, pages: pageFields.length })} · ${dataFooter}`
+          : dataFooter
+      })
+      .setTimestamp()
+  );
+}
@@ -0,0 +1,110 @@
+import { EmbedBuilder } from 'discord.js';
+import { DEFAULT_LANGUAGE, t, localizedName } from '../i18n/messages.js';
+import { discordTimestamp, formatInTimeZone } from './time.js';
+
+// Games shown per schedule page
+export const SCHEDULE_PAGE_SIZE = 5;
+
+/**
+ * Turn a month number into the YYYY-MM of that month in the current season.
+ * Seasons start in the fall, so July-December belong to the season's first year
+ * and January-June to its second.
+ * @param {number} month - Month number (1-12)
+ * @param {Date} now - Reference date (default: now)
+ * @returns {string} Month as YYYY-MM
+ */
+export function resolveSeasonMonth(month, now = new Date()) {
+  const seasonStartYear = now.getMonth() + 1 >= 7 ? now.getFullYear() : now.getFullYear() - 1;
+  const year = month >= 7 ? seasonStartYear : seasonStartYear + 1;
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * List the TV networks carrying a game
+ * @param {Object} game - Game from the club schedule
+ * @param {string} [language] - Language for 'TBD'
+ * @returns {string} Comma-separated networks, or 'TBD'
+ */
+export function formatBroadcasts(game, language = DEFAULT_LANGUAGE) {
+  const networks = [...new Set((game.tvBroadcasts || []).map(b => b.network).filter(Boolean))];
+  return networks.length > 0 ? networks.join(', ') : t(language, 'common.tbd');
+}
+
+/**
+ * Format one schedule entry as an embed field
+ * @param {Object} game - Game from the club schedule
+ * @param {string} team - Team whose schedule this is
+ * @param {Object} [prefs] - Guild time preferences
+ * @param {string} [prefs.timeZone] - Time zone for start times (default: the venue's)
+ * @param {string} [prefs.locale] - Locale for dates and times (default: en-US)
+ * @param {string} [prefs.language] - Language for labels
+ * @returns {{name: string, value: string, inline: boolean}} Embed field
+ */
+export function formatScheduleGame(game, team, { timeZone, locale, language = DEFAULT_LANGUAGE } = {}) {
+  const isHome = game.homeTeam?.abbrev === team;
+  const opponent = (isHome ? game.awayTeam?.abbrev : game.homeTeam?.abbrev) || t(language, 'common.tbd');
+  const start = new Date(game.startTimeUTC);
+  const prefs = { timeZone: timeZone || game.venueTimezone || 'America/Toronto', locale };
+
+  const date = formatInTimeZone(start, prefs, { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = formatInTimeZone(start, prefs, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+
+  const lines = [];
+  if (game.gameScheduleState === 'PPD') {
+    lines.push(t(language, 'schedule.postponed'));
+  } else if (game.gameState === 'OFF' || game.gameState === 'FINAL') {
+    const score = `${game.awayTeam?.abbrev} ${game.awayTeam?.score ?? 0} – ${game.homeTeam?.score ?? 0} ${game.homeTeam?.abbrev}`;
+    lines.push(t(language, 'schedule.final', { score }));
+  } else {
+    // Discord fills in the countdown in each reader's language
+    lines.push(`🕐 ${time} · ${discordTimestamp(start, 'R')}`);
+  }
+  if (game.venue?.default) {
+    lines.push(`🏟️ ${localizedName(game.venue, language)}`);
+  }
+  lines.push(`📺 ${formatBroadcasts(game, language)}`);
+
+  const side = t(language, isHome ? 'common.home' : 'common.away');
+  return {
+    name: `${date} · ${t(language, isHome ? 'common.vs' : 'common.at')} ${opponent} (${side})`,
+    value: lines.join('\n'),
+    inline: false
+  };
+}
+
+/**
+ * Split a schedule into embed pages
+ * @param {Array<Object>} games - Games from the club schedule
+ * @param {string} team - Team whose schedule this is
+ * @param {string} title - Embed title
+ * @param {Object} [prefs] - Guild time zone, locale and language (see formatScheduleGame)
+ * @returns {EmbedBuilder[]} One embed per page
+ */
+export function buildSchedulePages(games, team, title, prefs = {}) {
+  const language = prefs.language || DEFAULT_LANGUAGE;
+  if (games.length === 0) {
+    return [
+      new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0x00205B)
+        .setDescription(t(language, 'schedule.noGames'))
+        .setFooter({ text: t(language, 'common.dataFooter') })
+    ];
+  }
+
+  const pageCount = Math.ceil(games.length / SCHEDULE_PAGE_SIZE);
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    const pageGames = games.slice(i * SCHEDULE_PAGE_SIZE, (i + 1) * SCHEDULE_PAGE_SIZE);
+    pages.push(
+      new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0x00205B) // Leafs blue
+        .addFields(pageGames.map(game => formatScheduleGame(game, team, prefs)))
+        .setThumbnail(`https://assets.nhle.com/logos/nhl/svg/${team}_light.svg`)
+        .setFooter({ text: `${t(language, 'common.page', { page: i + 1, pages: pageCount })} · ${t(language, 'common.dataFooter')}` })
+        .setTimestamp()
+    );
+  }
+  return pages;
+}
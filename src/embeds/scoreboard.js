@@ -0,0 +1,109 @@
+import { EmbedBuilder } from 'discord.js';
+import { DEFAULT_LANGUAGE, t, formatPeriod } from '../i18n/messages.js';
+
+// Discord limit on an embed field value
+const FIELD_VALUE_LIMIT = 1024;
+
+/**
+ * Label a period the way the rest of the bot does: P1-P3, OT (2OT, ... in the playoffs), SO
+ * @param {Object} periodDescriptor - `{ number, periodType }` from the API
+ * @returns {string} Period label, or '' if unknown
+ */
+export function formatPeriodLabel(periodDescriptor) {
+  if (!periodDescriptor?.number) return '';
+  const { number, periodType } = periodDescriptor;
+  if (periodType === 'SO') return 'SO';
+  if (periodType === 'OT') return number > 4 ? `${number - 3}OT` : 'OT';
+  return `P${number}`;
+}
+
+/**
+ * Collect the live scoreboard from the landing endpoint
+ * @param {Object} landing - Landing endpoint response
+ * @returns {Object|null} Scoreboard data, or null without landing data
+ */
+export function buildScoreboard(landing) {
+  if (!landing) return null;
+
+  const side = key => {
+    const team = landing[`${key}Team`] || {};
+    return {
+      abbrev: team.abbrev || (key === 'home' ? 'Home' : 'Away'),
+      score: team.score ?? 0,
+      sog: team.sog ?? null
+    };
+  };
+
+  const goals = (landing.summary?.scoring || []).flatMap(period =>
+    (period.goals || []).map(goal => ({
+      period: formatPeriodLabel(period.periodDescriptor),
+      timeInPeriod: goal.timeInPeriod || '',
+      teamAbbrev: goal.teamAbbrev?.default || goal.teamAbbrev || '',
+      // Left empty when unknown; the embed fills in the guild's word for it
+      scorer: goal.name?.default ||
+        `${goal.firstName?.default || ''} ${goal.lastName?.default || ''}`.trim(),
+      strength: (goal.strength || 'ev').toUpperCase(),
+      emptyNet: goal.goalModifier === 'empty-net'
+    }))
+  );
+
+  const gameState = landing.gameState || '';
+  return {
+    away: side('away'),
+    home: side('home'),
+    period: formatPeriodLabel(landing.periodDescriptor),
+    clock: landing.clock?.timeRemaining || '',
+    inIntermission: Boolean(landing.clock?.inIntermission),
+    isFinal: gameState === 'OFF' || gameState === 'FINAL',
+    goals
+  };
+}
+
+/**
+ * Build the live scoreboard embed
+ * @param {Object} scoreboard - Result of buildScoreboard()
+ * @param {string} [language] - Language for labels
+ * @returns {EmbedBuilder} Discord embed object
+ */
+export function buildScoreboardEmbed(scoreboard, language = DEFAULT_LANGUAGE) {
+  const { away, home, period, clock, inIntermission, isFinal, goals } = scoreboard;
+  const score = `${away.abbrev} ${away.score} – ${home.score} ${home.abbrev}`;
+  const periodLabel = formatPeriod(period, language);
+
+  let status;
+  if (isFinal) {
+    status = period === 'OT' || period === 'SO' || period.endsWith('OT')
+      ? t(language, 'scores.finalPeriod', { period: periodLabel })
+      : t(language, 'scores.final');
+  } else if (inIntermission) {
+    status = t(language, 'scoreboard.intermission', { period: periodLabel || t(language, 'scoreboard.period') });
+  } else if (period) {
+    status = clock ? t(language, 'scoreboard.clock', { period: periodLabel, clock }) : periodLabel;
+  } else {
+    status = t(language, 'scores.pregame');
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(isFinal ? `🏁 ${score}` : t(language, 'scoreboard.live', { score }))
+    .setColor(isFinal ? 0x9C27B0 : 0x00205B) // Purple once final, Leafs blue while live
+    .setDescription(`**${status}**`)
+    .setFooter({ text: t(language, isFinal ? 'scoreboard.finalFooter' : 'scoreboard.liveFooter') })
+    .setTimestamp();
+
+  if (away.sog !== null && home.sog !== null) {
+    embed.addFields({ name: t(language, 'summary.shots'), value: `${away.abbrev} ${away.sog} – ${home.sog} ${home.abbrev}`, inline: false });
+  }
+
+  const goalLines = goals.map(goal => {
+    const tags = [goal.strength !== 'EV' ? goal.strength : '', goal.emptyNet ? 'EN' : '']
+      .filter(Boolean)
+      .map(tag => t(language, `strengthShort.${tag}`, {}, tag));
+    const scorer = goal.scorer || t(language, 'common.unknown');
+    return `${formatPeriod(goal.period, language)} ${goal.timeInPeriod} **${goal.teamAbbrev}** ${scorer}${tags.length ? ` (${tags.join(', ')})` : ''}`;
+  });
+  // Keep the most recent goals if a high-scoring game outgrows the field
+  while (goalLines.join('\n').length > FIELD_VALUE_LIMIT) goalLines.shift();
+  embed.addFields({ name: t(language, 'scoreboard.goals'), value: goalLines.join('\n') || t(language, 'scoreboard.noGoals'), inline: false });
+
+  return embed;
+}
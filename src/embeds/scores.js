@@ -0,0 +1,102 @@
+import { EmbedBuilder } from 'discord.js';
+import { getTeamName } from '../../nhl-api.js';
+import { DEFAULT_LANGUAGE, t, formatPeriod } from '../i18n/messages.js';
+import { formatPeriodLabel } from './scoreboard.js';
+import { formatInTimeZone } from './time.js';
+
+/**
+ * Describe where a game stands: puck drop time, live period and clock, or final
+ * @param {Object} game - Game from the daily scoreboard
+ * @param {string} timeZone - IANA time zone for start times
+ * @param {string} [locale] - Locale for start times
+ * @param {string} [language] - Language for the status
+ * @returns {string} Status, e.g. '7:00 PM EST', 'P2 12:34', 'Final/OT'
+ */
+export function formatGameStatus(game, timeZone = 'America/Toronto', locale, language = DEFAULT_LANGUAGE) {
+  if (game.gameScheduleState === 'PPD') return t(language, 'scores.postponed');
+  if (game.gameScheduleState === 'CNCL') return t(language, 'scores.cancelled');
+
+  const state = game.gameState;
+  if (state === 'OFF' || state === 'FINAL') {
+    const lastPeriod = game.gameOutcome?.lastPeriodType || game.periodDescriptor?.periodType;
+    return lastPeriod && lastPeriod !== 'REG'
+      ? t(language, 'scores.finalPeriod', { period: formatPeriod(lastPeriod, language) })
+      : t(language, 'scores.final');
+  }
+
+  if (state === 'LIVE' || state === 'CRIT') {
+    const period = formatPeriod(formatPeriodLabel(game.periodDescriptor), language);
+    if (game.clock?.inIntermission) return t(language, 'scores.intermission', { period });
+    return game.clock?.timeRemaining ? `${period} ${game.clock.timeRemaining}` : period;
+  }
+
+  if (state === 'PRE') return t(language, 'scores.pregame');
+
+  return formatInTimeZone(game.startTimeUTC, { timeZone, locale }, {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+/**
+ * Format one scoreboard line
+ * @param {Object} game - Game from the daily scoreboard
+ * @param {string} timeZone - IANA time zone for start times
+ * @param {string} [locale] - Locale for start times
+ * @param {string} [language] - Language for the status
+ * @returns {string} e.g. '🔴 **TOR 2 – 1 MTL** · P2 12:34'
+ */
+export function formatScoreLine(game, timeZone = 'America/Toronto', locale, language = DEFAULT_LANGUAGE) {
+  const away = game.awayTeam?.abbrev || t(language, 'common.tbd');
+  const home = game.homeTeam?.abbrev || t(language, 'common.tbd');
+  const at = t(language, 'common.at');
+  const status = formatGameStatus(game, timeZone, locale, language);
+
+  if (game.gameScheduleState === 'PPD' || game.gameScheduleState === 'CNCL') {
+    return `⚠️ ${away} ${at} ${home} · ${status}`;
+  }
+
+  const score = `${away} ${game.awayTeam?.score ?? 0} – ${game.homeTeam?.score ?? 0} ${home}`;
+  switch (game.gameState) {
+    case 'LIVE':
+    case 'CRIT':
+      return `🔴 **${score}** · ${status}`;
+    case 'OFF':
+    case 'FINAL':
+      return `🏁 ${score} · ${status}`;
+    default:
+      return `🕐 ${away} ${at} ${home} · ${status}`;
+  }
+}
+
+/**
+ * Build the /score embed
+ * @param {{date: string, games: Array<Object>}} scoreboard - From getDailyScoreboard
+ * @param {Object} options
+ * @param {string} [options.team] - Team the scoreboard was filtered to
+ * @param {string} [options.timeZone] - IANA time zone for start times
+ * @param {string} [options.locale] - Locale for dates and times
+ * @param {string} [options.language] - Language for labels
+ * @returns {EmbedBuilder} Embed
+ */
+export function buildScoresEmbed(scoreboard, { team = null, timeZone = 'America/Toronto', locale, language = DEFAULT_LANGUAGE } = {}) {
+  // The scoreboard date is a calendar day, so format it as-is rather than shifting it into the guild's zone
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(scoreboard.date)
+    ? formatInTimeZone(`${scoreboard.date}T12:00:00Z`, { timeZone: 'UTC', locale }, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    })
+    : t(language, 'scores.today');
+
+  const lines = scoreboard.games.map(game => formatScoreLine(game, timeZone, locale, language));
+  const empty = team ? t(language, 'scores.noneForTeam', { team: getTeamName(team) }) : t(language, 'scores.none');
+
+  return new EmbedBuilder()
+    .setTitle(team ? t(language, 'scores.teamTitle', { team, day }) : t(language, 'scores.title', { day }))
+    .setDescription(lines.length > 0 ? lines.join('\n') : empty)
+    .setColor(0x00205B)
+    .setFooter({ text: t(language, 'common.dataFooter') })
+    .setTimestamp();
+}
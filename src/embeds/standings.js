@@ -0,0 +1,147 @@
+import { EmbedBuilder } from 'discord.js';
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+
+// Supported views (display names are the `standings.view.*` messages)
+export const STANDINGS_VIEWS = ['division', 'conference', 'wildcard', 'league'];
+
+// Teams per division that qualify for the playoffs outright; the rest race for the wild cards
+const DIVISION_PLAYOFF_SPOTS = 3;
+const WILDCARD_SPOTS = 2;
+
+/**
+ * Get a team's abbreviation from a standings entry
+ * @param {Object} entry - Standings entry
+ * @returns {string} Team abbreviation
+ */
+function abbrevOf(entry) {
+  return entry.teamAbbrev?.default || entry.teamAbbrev || '???';
+}
+
+/**
+ * Group entries by a key, keeping groups in first-seen order
+ * @param {Array<Object>} entries - Standings entries
+ * @param {Function} keyFn - Returns the group name for an entry
+ * @returns {Map<string, Array<Object>>} Grouped entries
+ */
+function groupBy(entries, keyFn) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyFn(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+const bySequence = field => (a, b) => (a[field] ?? 99) - (b[field] ?? 99);
+
+/**
+ * Split standings into the tables shown for a view
+ * @param {Array<Object>} standings - Entries from the standings endpoint
+ * @param {string} view - One of STANDINGS_VIEWS
+ * @param {string} [language] - Language for the table titles
+ * @returns {Array<{title: string, rows: Array<Object>, cutAfter?: number}>} Tables to render
+ */
+export function groupStandings(standings, view, language = DEFAULT_LANGUAGE) {
+  if (view === 'league') {
+    return [{ title: t(language, 'standings.league'), rows: [...standings].sort(bySequence('leagueSequence')) }];
+  }
+
+  if (view === 'conference') {
+    return [...groupBy(standings, e => e.conferenceName)].map(([conference, rows]) => ({
+      title: t(language, 'standings.conference', { conference }),
+      rows: rows.sort(bySequence('conferenceSequence'))
+    }));
+  }
+
+  if (view === 'wildcard') {
+    const tables = [];
+    for (const [conference, conferenceRows] of groupBy(standings, e => e.conferenceName)) {
+      for (const [division, rows] of groupBy(conferenceRows, e => e.divisionName)) {
+        tables.push({
+          title: division,
+          rows: rows.sort(bySequence('divisionSequence')).slice(0, DIVISION_PLAYOFF_SPOTS)
+        });
+      }
+      tables.push({
+        title: t(language, 'standings.wildcard', { conference }),
+        rows: conferenceRows
+          .filter(e => e.wildcardSequence > 0)
+          .sort(bySequence('wildcardSequence')),
+        cutAfter: WILDCARD_SPOTS
+      });
+    }
+    return tables;
+  }
+
+  return [...groupBy(standings, e => e.divisionName)].map(([division, rows]) => ({
+    title: division,
+    rows: rows.sort(bySequence('divisionSequence'))
+  }));
+}
+
+/**
+ * Render standings rows as a fixed-width table
+ * @param {Array<Object>} rows - Standings entries
+ * @param {string} team - Team to highlight
+ * @param {number} [cutAfter] - Draw a playoff cut line after this many rows
+ * @param {string} [language] - Language for the column headings
+ * @returns {string} Table wrapped in a code block
+ */
+export function formatStandingsTable(rows, team, cutAfter, language = DEFAULT_LANGUAGE) {
+  const header = t(language, 'standings.header');
+  const lines = rows.map((entry, i) => {
+    const abbrev = abbrevOf(entry);
+    const marker = abbrev === team ? '▶' : ' ';
+    const pct = typeof entry.pointPctg === 'number' ? entry.pointPctg.toFixed(3).replace(/^0/, '') : '-';
+    const streak = entry.streakCode ? `${entry.streakCode}${entry.streakCount ?? ''}` : '-';
+    return [
+      `${marker}${String(i + 1).padStart(2)}`,
+      abbrev.padEnd(4),
+      String(entry.gamesPlayed ?? 0).padStart(3),
+      String(entry.wins ?? 0).padStart(3),
+      String(entry.losses ?? 0).padStart(3),
+      String(entry.otLosses ?? 0).padStart(3),
+      String(entry.points ?? 0).padStart(3),
+      pct.padStart(4),
+      streak.padStart(5)
+    ].join(' ');
+  });
+
+  if (cutAfter && lines.length > cutAfter) {
+    lines.splice(cutAfter, 0, '-'.repeat(header.length));
+  }
+
+  return `\`\`\`\n${header}\n${lines.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Build the standings embed for a view
+ * @param {Array<Object>} standings - Entries from the standings endpoint
+ * @param {string} view - One of STANDINGS_VIEWS
+ * @param {string} team - Followed team to highlight
+ * @param {string} [language] - Language for titles and headings
+ * @returns {EmbedBuilder} Standings embed
+ */
+export function buildStandingsEmbed(standings, view, team, language = DEFAULT_LANGUAGE) {
+  const tables = groupStandings(standings, view, language);
+  const description = tables
+    .map(({ title, rows, cutAfter }) => `**${title}**\n${formatStandingsTable(rows, team, cutAfter, language)}`)
+    .join('\n');
+
+  const viewName = STANDINGS_VIEWS.includes(view) ? t(language, `standings.view.${view}`) : view;
+  const followed = standings.find(entry => abbrevOf(entry) === team);
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(language, 'standings.title', { view: viewName }))
+    .setColor(0x00205B)
+    .setDescription(description || t(language, 'standings.none'))
+    .setFooter({ text: `▶ ${team} · ${t(language, 'common.dataFooter')}` })
+    .setTimestamp();
+
+  if (followed) {
+    embed.setThumbnail(`https://assets.nhle.com/logos/nhl/svg/${team}_light.svg`);
+  }
+
+  return embed;
+}
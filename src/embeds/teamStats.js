@@ -0,0 +1,78 @@
+import { EmbedBuilder } from 'discord.js';
+import { DEFAULT_LANGUAGE, t } from '../i18n/messages.js';
+
+/**
+ * Format a season ID for display
+ * @param {number|string} seasonId - e.g. 20242025
+ * @returns {string} e.g. '2024-25'
+ */
+export function formatSeason(seasonId) {
+  const id = String(seasonId || '');
+  return id.length === 8 ? `${id.slice(0, 4)}-${id.slice(6)}` : id;
+}
+
+/**
+ * Format a number for a stats field, or N/A if it's unknown
+ * @param {number|null} value - Value to format
+ * @param {number} digits - Decimal places
+ * @param {string} suffix - Appended to known values (e.g. '%')
+ * @param {string} language - Language for 'N/A'
+ * @returns {string} Formatted value
+ */
+function formatStat(value, digits, suffix, language) {
+  return typeof value === 'number' && Number.isFinite(value) ? `${value.toFixed(digits)}${suffix}` : t(language, 'common.na');
+}
+
+/**
+ * Build the /team-stats embed
+ * @param {Object} stats - Result of getTeamSeasonStats
+ * @param {string} [language] - Language for labels
+ * @returns {EmbedBuilder} Embed
+ */
+export function buildTeamStatsEmbed(stats, language = DEFAULT_LANGUAGE) {
+  const { record } = stats;
+  const differential = stats.goalDifferential > 0 ? `+${stats.goalDifferential}` : `${stats.goalDifferential}`;
+  const stat = (value, digits = 1, suffix = '') => formatStat(value, digits, suffix, language);
+
+  return new EmbedBuilder()
+    .setTitle(t(language, 'teamStats.title', { team: stats.name, season: formatSeason(stats.seasonId) }))
+    .setDescription(t(language, 'teamStats.record', {
+      record: `${record.wins}-${record.losses}-${record.otLosses}`,
+      points: record.points,
+      gamesPlayed: stats.gamesPlayed
+    }))
+    .setColor(0x00205B)
+    .addFields(
+      {
+        name: t(language, 'teamStats.goals'),
+        value: t(language, 'teamStats.goalsValue', {
+          goalsFor: stats.goalsFor,
+          goalsForPerGame: stat(stats.goalsForPerGame, 2),
+          goalsAgainst: stats.goalsAgainst,
+          goalsAgainstPerGame: stat(stats.goalsAgainstPerGame, 2),
+          differential
+        }),
+        inline: true
+      },
+      {
+        name: t(language, 'teamStats.specialTeams'),
+        value: t(language, 'teamStats.specialTeamsValue', {
+          powerPlay: stat(stats.powerPlayPct, 1, '%'),
+          penaltyKill: stat(stats.penaltyKillPct, 1, '%')
+        }),
+        inline: true
+      },
+      {
+        name: t(language, 'teamStats.shots'),
+        value: t(language, 'teamStats.shotsValue', {
+          shotsFor: stat(stats.shotsForPerGame),
+          shotsAgainst: stat(stats.shotsAgainstPerGame),
+          faceoffs: stat(stats.faceoffWinPct, 1, '%')
+        }),
+        inline: true
+      }
+    )
+    .setThumbnail(`https://assets.nhle.com/logos/nhl/svg/${stats.team}_light.svg`)
+    .setFooter({ text: t(language, 'common.dataFooter') })
+    .setTimestamp();
+}
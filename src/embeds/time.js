@@ -0,0 +1,29 @@
+// Used when a guild hasn't picked a locale
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Discord timestamp markup, rendered in each reader's own time zone and language
+ * @param {Date|string|number} date - Moment to show
+ * @param {string} style - 'F' (full date and time), 'f', 'D', 't' or 'R' (relative, e.g. "in 2 hours")
+ * @returns {string} e.g. '<t:1732147200:F>', or '' for an invalid date
+ */
+export function discordTimestamp(date, style = 'F') {
+  const ms = new Date(date).getTime();
+  if (!Number.isFinite(ms)) return '';
+  return `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+/**
+ * Format a moment in a guild's time zone and locale
+ * @param {Date|string|number} date - Moment to format
+ * @param {Object} prefs - Guild preferences
+ * @param {string} prefs.timeZone - IANA time zone
+ * @param {string} [prefs.locale] - BCP 47 locale, e.g. 'en-CA' or 'fr-CA'
+ * @param {Intl.DateTimeFormatOptions} options - Which parts to show
+ * @returns {string} Formatted date/time, or '' for an invalid date
+ */
+export function formatInTimeZone(date, { timeZone, locale = DEFAULT_LOCALE }, options) {
+  const value = new Date(date);
+  if (!Number.isFinite(value.getTime())) return '';
+  return value.toLocaleString(locale || DEFAULT_LOCALE, { ...options, timeZone });
+}
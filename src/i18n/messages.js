@@ -0,0 +1,712 @@
+// Languages a guild can pick for the bot's messages (Discord locale code -> display name)
+export const LANGUAGES = {
+  en: 'English',
+  fr: 'Français'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Message catalogs. `{name}` placeholders are filled in by t(); keys missing from a
+// language fall back to English.
+const MESSAGES = {
+  en: {
+    // Shared
+    'common.away': 'Away',
+    'common.home': 'Home',
+    'common.tbd': 'TBD',
+    'common.unknown': 'Unknown',
+    'common.dataFooter': 'Data from NHL API',
+    'common.na': 'N/A',
+    'common.vs': 'vs',
+    'common.at': '@',
+    'common.page': 'Page {page}/{pages}',
+    'common.previous': '◀ Previous',
+    'common.next': 'Next ▶',
+
+    // Periods (see formatPeriod)
+    'period.regular': 'P{number}',
+    'period.OT': 'OT',
+    'period.SO': 'SO',
+
+    // Goal posts
+    'goal.title': '🚨 GOAL! {away} {awayScore} – {homeScore} {home}',
+    'goal.scorer': '🏒 Scorer',
+    'goal.assists': '🎯 Assists',
+    'goal.unassisted': 'Unassisted',
+    'goal.strength': '💪 Strength',
+    'goal.time': '⏱️ Time',
+    'goal.shotType': '🎯 Shot Type',
+    'goal.overturned': 'Goal overturned',
+    'goal.overturnedTitle': '❌ Goal overturned: {away} {awayScore} – {homeScore} {home}',
+    'goal.overturnedDescription': '{scorer}\'s goal ({period} {time}) has been taken off the board.',
+
+    // Puck drop, intermission, overtime, delay and final posts
+    'update.gameStart': '🏒 Puck drop: {away} at {home}',
+    'update.periodEnd': '⏸️ End of {period}: {away} {awayScore} - {homeScore} {home}',
+    'update.overtimeStart': '⏱️ {period} is underway: {away} {awayScore} - {homeScore} {home}',
+    'update.intermission': 'Intermission',
+    'update.delayed': '⏳ Delayed start: {away} at {home}',
+    'update.delayedDescription': 'Puck drop was scheduled for {time} and is running {minutes} minutes late. Updates will follow once the game starts.',
+    'update.suspended': '⏳ Game suspended: {away} at {home}',
+    'update.suspendedDescription': 'Play has been suspended. Updates will follow if the game resumes.',
+    'update.postponed': '⚠️ Postponed: {away} at {home}',
+    'update.cancelled': '⚠️ Cancelled: {away} at {home}',
+    'update.postponedDescription': 'The game scheduled for {time} will not be played as scheduled.',
+    'update.final': 'Game Final: {away} {awayScore} - {homeScore} {home}',
+    'update.finalShootout': 'Game Final/SO: {away} {awayScore} - {homeScore} {home}',
+    'update.vs': 'VS',
+    'update.status': 'Game Status: {status}',
+    'update.threadLink': '🧵 Game thread: <#{threadId}>',
+    'update.threadClosing': '🏁 {final}. Full summary in <#{channelId}>; this thread will be archived in {hours} hours.',
+
+    // Shootout attempts and results
+    'shootout.title': '🥅 Shootout, round {round}: {result}',
+    'shootout.scored': '{shooter} scores!',
+    'shootout.saved': '{goalie} stops {shooter}',
+    'shootout.missed': '{shooter} misses',
+    'shootout.shooter': '🏒 Shooter',
+    'shootout.goalie': '🧤 Goalie',
+    'shootout.tally': '📊 Shootout',
+    'shootout.win': '{team} win in a shootout',
+    'shootout.loss': '{team} lose in a shootout',
+
+    // End-of-game summary
+    'summary.threeStars': '⭐ Three Stars',
+    'summary.shots': '🎯 Shots on Goal',
+    'summary.powerPlay': '⚡ Power Play',
+    'summary.faceoffs': '🔄 Faceoffs',
+    'summary.goaltending': '🥅 Goaltending',
+    'summary.topPlayers': '🏒 {team} Top Players',
+    'summary.line': '{goals}G {assists}A',
+
+    // Intermission period-by-period table
+    'periodSummary.title': '📋 Period by Period',
+    'periodSummary.shots': 'shots {away} – {home}',
+
+    // Penalties and the power plays they create
+    'penalty.title': '🚫 Penalty: {team}',
+    'penalty.unknownTeam': 'Unknown team',
+    'penalty.teamPenalty': 'Team penalty',
+    'penalty.unknownInfraction': 'Unknown infraction',
+    'penalty.player': '👤 Player',
+    'penalty.infraction': '📋 Infraction',
+    'penalty.infractionMinutes': '{infraction} ({minutes} min)',
+    'penalty.drawnBy': '🎯 Drawn By',
+    'penalty.powerPlay': '⚡ Power Play',
+    'penalty.noPowerPlay': 'No power play',
+    'penalty.coincidental': 'No power play (coincidental penalties)',
+    'penalty.powerPlayUntil': '{team} power play until {time}',
+    'powerPlay.firstMinorTitle': '🚨 {team} score on the double minor',
+    'powerPlay.firstMinorDescription': '{scorer} scored at {time}, ending the first minor; {player} serves two more minutes.',
+    'powerPlay.goalTitle': '🚨 {team} power play ends on a goal',
+    'powerPlay.goalDescription': '{scorer} scored at {time}; {player} can return to the ice.',
+    'powerPlay.expiredTitle': '⏱️ {team} power play expired',
+    'powerPlay.expiredDescription': '{player}\'s {minutes}-minute {infraction} penalty is over.',
+    'powerPlay.fullStrength': 'Back to full strength.',
+
+    // Live scoreboard
+    'scoreboard.live': '🔴 LIVE: {score}',
+    'scoreboard.intermission': 'End of {period} (intermission)',
+    'scoreboard.period': 'period',
+    'scoreboard.clock': '{period} · {clock} left',
+    'scoreboard.goals': '🚨 Goals',
+    'scoreboard.noGoals': 'No goals yet',
+    'scoreboard.finalFooter': 'Final score',
+    'scoreboard.liveFooter': 'Live scoreboard · updated every poll',
+
+    // Pre-game previews
+    'preview.title': '🏒 Game Day: {away} @ {home}',
+    'preview.description': 'Puck drop {time}!',
+    'preview.opponent': '🆚 Opponent',
+    'preview.venue': '🏟️ Venue',
+    'preview.startTime': '🕐 Start Time',
+    'preview.records': '📊 Records',
+    'preview.seasonSeries': '📅 Season Series',
+    'preview.goalies': '🥅 Projected Goalies',
+    'preview.firstMeeting': 'First meeting this season',
+    'preview.seriesTied': 'Series tied {wins}-{losses}',
+    'preview.seriesLead': '{team} leads {wins}-{losses}',
+
+    // Stat abbreviations
+    'stats.gamesPlayed': 'GP',
+    'stats.goals': 'G',
+    'stats.assists': 'A',
+    'stats.points': 'P',
+    'stats.plusMinus': '+/-',
+    'stats.toi': 'TOI',
+    'stats.gaa': 'GAA',
+    'stats.savePct': 'SV%',
+    'stats.shutouts': 'SO',
+    'stats.goalsAgainst': 'GA',
+
+    // /next-leafs-game
+    'nextGame.noneTitle': 'No upcoming {team} games found',
+    'nextGame.noneDescription': 'There are no scheduled {team} games in the near future.',
+    'nextGame.title': 'Next {team} Game',
+    'nextGame.matchup': '{away} at {home}',
+    'nextGame.time': 'Game Time',
+    'nextGame.venue': 'Venue',
+
+    // Event types for /leafs-settings
+    'notifications.goalsFor': 'Goals for',
+    'notifications.goalsAgainst': 'Goals against',
+    'notifications.periods': 'Period start/end',
+    'notifications.penalties': 'Penalties',
+    'notifications.shootout': 'Shootout attempts',
+    'notifications.gameStart': 'Game start',
+    'notifications.delays': 'Delays and postponements',
+    'notifications.final': 'Final score',
+    'notifications.previews': 'Pre-game previews',
+
+    // Command replies
+    'reply.test': 'Hello! The bot is working properly! 🏒',
+    'reply.invalidTeam': '⚠️ `{team}` is not an NHL team abbreviation. Try something like TOR, MTL or VAN.',
+    'reply.unknownCommand': 'Unknown command: {command}',
+    'reply.commandError': 'Sorry, there was an error processing your command. Please try again.',
+
+    'setup.notTextChannel': '⚠️ {channel} is not a text channel. Please select a text channel.',
+    'setup.invalidTimeZone': '⚠️ `{timeZone}` is not a time zone I recognize. Use a name like America/Toronto or Europe/Paris.',
+    'setup.invalidLocale': '⚠️ `{locale}` is not a locale I recognize. Use a tag like en-CA, en-GB or fr-CA.',
+    'setup.confirmed': '✅ {team} game updates will now be posted to {channel}! You\'ll receive updates for goals, period changes, and game results.',
+    'setup.previews': 'Game previews will be posted {minutes} minutes before puck drop (times shown in {timeZone}, {locale}).',
+    'setup.previewsOff': 'Game previews are turned off.',
+    'setup.liveScoreboard': '📺 Live scoreboard is on: goals, penalties and periods update one pinned message per game.',
+    'setup.gameThreads': '🧵 Game threads are on: goals, penalties and periods go in a thread per game, archived a few hours after the final.',
+    'setup.goalRoleEveryGoal': '{role} will be mentioned on every goal.',
+    'setup.goalRoleTeamGoals': '{role} will be mentioned on {team} goals.',
+    'setup.gameStartRole': '{role} will be mentioned at puck drop.',
+    'setup.roleNotMentionable': '⚠️ {role} isn\'t mentionable; allow anyone to mention it or give me the Mention All Roles permission.',
+
+    'stop.stoppedChannel': '✅ Game updates have been stopped in {channel}.',
+    'stop.stoppedServer': '✅ Game updates have been stopped for this server.',
+    'stop.notConfiguredChannel': '⚠️ {channel} is not configured for game updates.',
+    'stop.notConfiguredServer': '⚠️ This server is not configured for game updates.',
+
+    'settings.needManageGuild': '⚠️ You need the Manage Server permission to change these settings.',
+    'settings.pickBoth': '⚠️ Pick both an `event` and whether it should be `enabled`, or neither to see the current settings.',
+    'settings.title': 'Game Update Settings',
+    'settings.footer': 'Change with /leafs-settings event:<type> enabled:<true|false>',
+    'settings.enabled': '✅ {event} will now be posted.',
+    'settings.disabled': '✅ {event} will no longer be posted.',
+
+    'error.nextGame': 'Sorry, there was an error getting the next game information. Please try again later.\nError: {error}',
+    'error.schedule': 'Sorry, there was an error getting the schedule. Please try again later.\nError: {error}',
+    'error.standings': 'Sorry, there was an error getting the standings. Please try again later.\nError: {error}',
+    'error.teamStats': 'Sorry, there was an error getting team stats. Please try again later.\nError: {error}',
+    'error.scores': 'Sorry, there was an error getting today\'s scores. Please try again later.\nError: {error}',
+    'error.roster': 'Sorry, there was an error getting the roster. Please try again later.\nError: {error}',
+    'error.player': 'Sorry, there was an error getting that player. Please try again later.\nError: {error}',
+
+    'unavailable.schedule': 'Sorry, the NHL schedule is unavailable right now. Please try again later.',
+    'unavailable.standings': 'Sorry, the NHL standings are unavailable right now. Please try again later.',
+    'unavailable.teamStats': 'Sorry, season stats for {team} are unavailable right now. Please try again later.',
+    'unavailable.scores': 'Sorry, today\'s scores are unavailable right now. Please try again later.',
+    'unavailable.roster': 'Sorry, the {team} roster is unavailable right now. Please try again later.',
+    'unavailable.player': 'Sorry, that player\'s stats are unavailable right now. Please try again later.',
+
+    'schedule.monthTitle': '{team} Schedule: {month}',
+    'schedule.nextGame': '{team}: Next {count} Game',
+    'schedule.nextGames': '{team}: Next {count} Games',
+    'schedule.postponed': '⚠️ Postponed',
+    'schedule.final': '🏁 Final: {score}',
+    'schedule.noGames': 'No games scheduled.',
+
+    'standings.title': 'NHL Standings: {view}',
+    'standings.view.division': 'Division',
+    'standings.view.conference': 'Conference',
+    'standings.view.wildcard': 'Wild Card',
+    'standings.view.league': 'League',
+    'standings.conference': '{conference} Conference',
+    'standings.wildcard': '{conference} Wild Card',
+    'standings.league': 'NHL',
+    'standings.header': '   TEAM  GP   W   L OTL PTS   P%  STRK',
+    'standings.none': 'No standings available.',
+
+    'teamStats.title': '📈 {team} — {season} Season Stats',
+    'teamStats.record': '{record} · {points} PTS · {gamesPlayed} GP',
+    'teamStats.goals': '🥅 Goals',
+    'teamStats.goalsValue': 'GF: {goalsFor} ({goalsForPerGame}/GP)\nGA: {goalsAgainst} ({goalsAgainstPerGame}/GP)\nDiff: {differential}',
+    'teamStats.specialTeams': '⚡ Special Teams',
+    'teamStats.specialTeamsValue': 'PP: {powerPlay}\nPK: {penaltyKill}',
+    'teamStats.shots': '🏒 Shots & Faceoffs',
+    'teamStats.shotsValue': 'Shots/GP: {shotsFor}\nAgainst/GP: {shotsAgainst}\nFO: {faceoffs}',
+
+    'scores.title': '🏒 NHL Scores — {day}',
+    'scores.teamTitle': '🏒 {team} Score — {day}',
+    'scores.today': 'Today',
+    'scores.none': 'No NHL games today.',
+    'scores.noneForTeam': 'No {team} game today.',
+    'scores.postponed': 'Postponed',
+    'scores.cancelled': 'Cancelled',
+    'scores.final': 'Final',
+    'scores.finalPeriod': 'Final/{period}',
+    'scores.intermission': '{period} Intermission',
+    'scores.pregame': 'Pregame',
+
+    'roster.title': '📋 {team} Roster',
+    'roster.forwards': '🏒 Forwards',
+    'roster.defensemen': '🛡️ Defense',
+    'roster.goalies': '🥅 Goalies',
+    'roster.continued': '{title} (cont.)',
+    'roster.age': 'Age {age}',
+    'roster.empty': 'No players on the roster.',
+
+    'position.C': 'Center',
+    'position.L': 'Left Wing',
+    'position.R': 'Right Wing',
+    'position.D': 'Defense',
+    'position.G': 'Goalie',
+    'player.freeAgent': 'Free agent',
+    'player.shoots': 'Shoots {hand}',
+    'player.catches': 'Catches {hand}',
+    'player.season': '📊 {season} Season',
+    'player.thisSeason': '📊 This Season',
+    'player.career': '🏆 Career (NHL regular season)',
+    'player.lastGames': '🗓️ Last 5 Games',
+    'player.noNhlGames': 'No NHL games',
+    'player.noRecentGames': 'No recent games',
+
+    'player.noMatch': '⚠️ No current NHL player matches `{name}`. Pick a name from the suggestions as you type.',
+
+    'apiTest.title': 'NHL API Test Results',
+    'apiTest.overall': 'Overall Status',
+    'apiTest.pass': '✅ PASS',
+    'apiTest.fail': '❌ FAIL',
+    'apiTest.connection': 'API Connection',
+    'apiTest.connected': '✅ Connected',
+    'apiTest.failed': '❌ Failed',
+    'apiTest.schedule': 'Schedule Endpoint',
+    'apiTest.working': '✅ Working',
+    'apiTest.dataStructure': 'Data Structure',
+    'apiTest.valid': '✅ Valid',
+    'apiTest.invalid': '❌ Invalid',
+    'apiTest.gamesFound': 'Games Found',
+    'apiTest.gamesInWeek': '{count} games in current week',
+    'apiTest.sampleGame': 'Sample Game',
+    'apiTest.sampleGameValue': '{away} @ {home}\nState: {state}\nID: {id}',
+    'apiTest.secondary': 'Secondary Endpoint Test',
+    'apiTest.standingsWorking': '✅ Standings API working',
+    'apiTest.standingsFailed': '⚠️ Standings API failed (non-critical)',
+    'apiTest.errors': 'Errors',
+    'apiTest.circuit': 'Circuit Breaker',
+    'apiTest.circuitClosed': '✅ Closed (requests flowing)',
+    'apiTest.circuitHalfOpen': '🟡 Half-open (trying a request)',
+    'apiTest.circuitOpen': '🔴 Open (paused until {time})',
+    'apiTest.lastFailure': 'Last failure: {error}',
+    'apiTest.note': 'Note',
+    'apiTest.noNote': 'No note',
+    'apiTest.runFailed': '❌ Failed to run NHL API test: {error}',
+
+    'testGoal.devOnly': '⚠️ This command is only available in development/testing environments. Use `force: true` to override in production.',
+    'testGoal.noChannel': '⚠️ No channel configured for game updates. Please run `/setup-leafs-updates` first.',
+    'testGoal.sent': '✅ Test goal notification sent to <#{channelId}>!\n\n**Simulated Data:**\n- Team: {team}\n- Scorer: {scorer}\n- Period: {period}\n- Time: {time}\n- Strength: {strength}',
+    'testGoal.notSent': '⚠️ The test goal was not posted in <#{channelId}>: the bot can\'t reach that channel, or goal posts are turned off in `/leafs-settings`.',
+    'testGoal.failed': '❌ Failed to send test goal: {error}'
+  },
+
+  fr: {
+    'common.away': 'Visiteurs',
+    'common.home': 'Locaux',
+    'common.tbd': 'N/D',
+    'common.unknown': 'Inconnu',
+    'common.dataFooter': 'Données de l\'API de la LNH',
+    'common.na': 'N/D',
+    'common.vs': 'c.',
+    'common.at': 'à',
+    'common.page': 'Page {page}/{pages}',
+    'common.previous': '◀ Précédent',
+    'common.next': 'Suivant ▶',
+
+    'period.regular': '{number}{suffix}',
+    'period.OT': 'Prol.',
+    'period.SO': 'TB',
+
+    'goal.title': '🚨 BUT! {away} {awayScore} – {homeScore} {home}',
+    'goal.scorer': '🏒 Marqueur',
+    'goal.assists': '🎯 Aides',
+    'goal.unassisted': 'Sans aide',
+    'goal.strength': '💪 Situation',
+    'goal.time': '⏱️ Temps',
+    'goal.shotType': '🎯 Type de tir',
+    'goal.overturned': 'But refusé',
+    'goal.overturnedTitle': '❌ But refusé : {away} {awayScore} – {homeScore} {home}',
+    'goal.overturnedDescription': 'Le but de {scorer} ({period} {time}) a été retiré du tableau.',
+
+    'strength.EV': 'Forces égales',
+    'strength.PP': 'Avantage numérique',
+    'strength.SH': 'Infériorité numérique',
+    'strength.EN': 'Filet désert',
+    'strength.PS': 'Tir de pénalité',
+
+    'shotType.wrist': 'lancer du poignet',
+    'shotType.snap': 'lancer sec',
+    'shotType.slap': 'lancer frappé',
+    'shotType.backhand': 'lancer du revers',
+    'shotType.tip-in': 'déviation',
+    'shotType.deflected': 'tir dévié',
+    'shotType.wrap-around': 'contournement du filet',
+    'shotType.poke': 'poussée',
+    'shotType.bat': 'rondelle frappée en l\'air',
+    'shotType.between-legs': 'entre les jambes',
+    'shotType.cradle': 'à la Michigan',
+
+    'gameState.FUT': 'À venir',
+    'gameState.PRE': 'Avant-match',
+    'gameState.LIVE': 'En cours',
+    'gameState.CRIT': 'En cours',
+    'gameState.OFF': 'Terminé',
+    'gameState.FINAL': 'Terminé',
+    'gameState.Final': 'Terminé',
+
+    'update.gameStart': '🏒 Mise au jeu initiale : {away} à {home}',
+    'update.periodEnd': '⏸️ Fin de période ({period}) : {away} {awayScore} - {homeScore} {home}',
+    'update.overtimeStart': '⏱️ {period} en cours : {away} {awayScore} - {homeScore} {home}',
+    'update.intermission': 'Entracte',
+    'update.delayed': '⏳ Début retardé : {away} à {home}',
+    'update.delayedDescription': 'La mise au jeu était prévue à {time} et accuse {minutes} minutes de retard. Les mises à jour suivront dès le début du match.',
+    'update.suspended': '⏳ Match suspendu : {away} à {home}',
+    'update.suspendedDescription': 'Le match est suspendu. Les mises à jour suivront si le jeu reprend.',
+    'update.postponed': '⚠️ Match reporté : {away} à {home}',
+    'update.cancelled': '⚠️ Match annulé : {away} à {home}',
+    'update.postponedDescription': 'Le match prévu à {time} ne sera pas joué comme prévu.',
+    'update.final': 'Match terminé : {away} {awayScore} - {homeScore} {home}',
+    'update.finalShootout': 'Match terminé (TB) : {away} {awayScore} - {homeScore} {home}',
+    'update.vs': 'VS',
+    'update.status': 'État du match : {status}',
+    'update.threadLink': '🧵 Fil du match : <#{threadId}>',
+    'update.threadClosing': '🏁 {final}. Sommaire complet dans <#{channelId}>; ce fil sera archivé dans {hours} heures.',
+
+    'shootout.title': '🥅 Tirs de barrage, ronde {round} : {result}',
+    'shootout.scored': '{shooter} marque!',
+    'shootout.saved': '{goalie} bloque {shooter}',
+    'shootout.missed': '{shooter} rate la cible',
+    'shootout.shooter': '🏒 Tireur',
+    'shootout.goalie': '🧤 Gardien',
+    'shootout.tally': '📊 Tirs de barrage',
+    'shootout.win': '{team} : victoire en tirs de barrage',
+    'shootout.loss': '{team} : défaite en tirs de barrage',
+
+    'summary.threeStars': '⭐ Trois étoiles',
+    'summary.shots': '🎯 Tirs au but',
+    'summary.powerPlay': '⚡ Avantage numérique',
+    'summary.faceoffs': '🔄 Mises au jeu',
+    'summary.goaltending': '🥅 Gardiens',
+    'summary.topPlayers': '🏒 Meilleurs joueurs – {team}',
+    'summary.line': '{goals} B {assists} A',
+
+    'periodSummary.title': '📋 Période par période',
+    'periodSummary.shots': 'tirs {away} – {home}',
+
+    'strengthShort.PP': 'AN',
+    'strengthShort.SH': 'DN',
+    'strengthShort.EN': 'FD',
+
+    'penalty.title': '🚫 Pénalité : {team}',
+    'penalty.unknownTeam': 'Équipe inconnue',
+    'penalty.teamPenalty': 'Pénalité d\'équipe',
+    'penalty.unknownInfraction': 'Infraction inconnue',
+    'penalty.player': '👤 Joueur',
+    'penalty.infraction': '📋 Infraction',
+    'penalty.infractionMinutes': '{infraction} ({minutes} min)',
+    'penalty.drawnBy': '🎯 Provoquée par',
+    'penalty.powerPlay': '⚡ Avantage numérique',
+    'penalty.noPowerPlay': 'Pas d\'avantage numérique',
+    'penalty.coincidental': 'Pas d\'avantage numérique (pénalités coïncidentes)',
+    'penalty.powerPlayUntil': 'Avantage numérique {team} jusqu\'à {time}',
+    'powerPlay.firstMinorTitle': '🚨 {team} marque pendant la double mineure',
+    'powerPlay.firstMinorDescription': '{scorer} a marqué à {time}, ce qui met fin à la première mineure; {player} purge deux minutes de plus.',
+    'powerPlay.goalTitle': '🚨 L\'avantage numérique de {team} prend fin sur un but',
+    'powerPlay.goalDescription': '{scorer} a marqué à {time}; {player} peut revenir au jeu.',
+    'powerPlay.expiredTitle': '⏱️ Fin de l\'avantage numérique de {team}',
+    'powerPlay.expiredDescription': 'La pénalité de {minutes} minutes de {player} ({infraction}) est terminée.',
+    'powerPlay.fullStrength': 'Retour à forces égales.',
+
+    'infraction.tripping': 'Faire trébucher',
+    'infraction.hooking': 'Accrocher',
+    'infraction.slashing': 'Cinglage',
+    'infraction.holding': 'Retenue',
+    'infraction.holding-the-stick': 'Retenir le bâton',
+    'infraction.interference': 'Obstruction',
+    'infraction.interference-goalkeeper': 'Obstruction sur le gardien',
+    'infraction.roughing': 'Rudesse',
+    'infraction.high-sticking': 'Bâton élevé',
+    'infraction.high-sticking-double-minor': 'Bâton élevé (double mineure)',
+    'infraction.cross-checking': 'Double-échec',
+    'infraction.boarding': 'Mise en échec contre la bande',
+    'infraction.charging': 'Charge',
+    'infraction.elbowing': 'Coup de coude',
+    'infraction.kneeing': 'Coup de genou',
+    'infraction.fighting': 'Bagarre',
+    'infraction.unsportsmanlike-conduct': 'Conduite antisportive',
+    'infraction.too-many-men-on-the-ice': 'Trop de joueurs sur la glace',
+    'infraction.delaying-game-puck-over-glass': 'Retarder le match (rondelle par-dessus la baie vitrée)',
+    'infraction.delaying-game-face-off-violation': 'Retarder le match (infraction à la mise au jeu)',
+    'infraction.delaying-game': 'Retarder le match',
+    'infraction.embellishment': 'Embellissement',
+    'infraction.misconduct': 'Inconduite',
+    'infraction.game-misconduct': 'Inconduite de match',
+    'infraction.instigator': 'Instigateur',
+
+    'scoreboard.live': '🔴 EN DIRECT : {score}',
+    'scoreboard.intermission': 'Fin de la {period} (entracte)',
+    'scoreboard.period': 'période',
+    'scoreboard.clock': '{period} · {clock} à jouer',
+    'scoreboard.goals': '🚨 Buts',
+    'scoreboard.noGoals': 'Aucun but pour l\'instant',
+    'scoreboard.finalFooter': 'Pointage final',
+    'scoreboard.liveFooter': 'Tableau en direct · mis à jour à chaque vérification',
+
+    'preview.title': '🏒 Jour de match : {away} à {home}',
+    'preview.description': 'Mise au jeu {time}!',
+    'preview.opponent': '🆚 Adversaire',
+    'preview.venue': '🏟️ Lieu',
+    'preview.startTime': '🕐 Heure de début',
+    'preview.records': '📊 Fiches',
+    'preview.seasonSeries': '📅 Série de la saison',
+    'preview.goalies': '🥅 Gardiens probables',
+    'preview.firstMeeting': 'Premier affrontement de la saison',
+    'preview.seriesTied': 'Série égale {wins}-{losses}',
+    'preview.seriesLead': '{team} mène {wins}-{losses}',
+
+    'stats.gamesPlayed': 'PJ',
+    'stats.goals': 'B',
+    'stats.assists': 'A',
+    'stats.points': 'PTS',
+    'stats.plusMinus': '+/-',
+    'stats.toi': 'TG',
+    'stats.gaa': 'MOY',
+    'stats.savePct': '%ARR',
+    'stats.shutouts': 'BL',
+    'stats.goalsAgainst': 'BC',
+
+    'nextGame.noneTitle': 'Aucun match à venir pour {team}',
+    'nextGame.noneDescription': 'Aucun match n\'est prévu pour {team} dans les prochains jours.',
+    'nextGame.title': 'Prochain match : {team}',
+    'nextGame.matchup': '{away} à {home}',
+    'nextGame.time': 'Heure du match',
+    'nextGame.venue': 'Lieu',
+
+    'notifications.goalsFor': 'Buts pour',
+    'notifications.goalsAgainst': 'Buts contre',
+    'notifications.periods': 'Début et fin de période',
+    'notifications.penalties': 'Pénalités',
+    'notifications.shootout': 'Tirs de barrage',
+    'notifications.gameStart': 'Début du match',
+    'notifications.delays': 'Retards et reports',
+    'notifications.final': 'Pointage final',
+    'notifications.previews': 'Avant-matchs',
+
+    'reply.test': 'Bonjour! Le bot fonctionne correctement! 🏒',
+    'reply.invalidTeam': '⚠️ `{team}` n\'est pas une abréviation d\'équipe de la LNH. Essayez par exemple TOR, MTL ou VAN.',
+    'reply.unknownCommand': 'Commande inconnue : {command}',
+    'reply.commandError': 'Désolé, une erreur est survenue pendant le traitement de votre commande. Veuillez réessayer.',
+
+    'setup.notTextChannel': '⚠️ {channel} n\'est pas un salon textuel. Veuillez choisir un salon textuel.',
+    'setup.invalidTimeZone': '⚠️ `{timeZone}` n\'est pas un fuseau horaire reconnu. Utilisez un nom comme America/Toronto ou Europe/Paris.',
+    'setup.invalidLocale': '⚠️ `{locale}` n\'est pas un format régional reconnu. Utilisez un code comme fr-CA, en-CA ou en-GB.',
+    'setup.confirmed': '✅ Les mises à jour des matchs de {team} seront maintenant publiées dans {channel}! Vous recevrez les buts, les changements de période et les résultats.',
+    'setup.previews': 'Les avant-matchs seront publiés {minutes} minutes avant la mise au jeu (heures affichées en {timeZone}, {locale}).',
+    'setup.previewsOff': 'Les avant-matchs sont désactivés.',
+    'setup.liveScoreboard': '📺 Le tableau en direct est activé : buts, pénalités et périodes mettent à jour un seul message épinglé par match.',
+    'setup.gameThreads': '🧵 Les fils de match sont activés : buts, pénalités et périodes sont publiés dans un fil par match, archivé quelques heures après la fin.',
+    'setup.goalRoleEveryGoal': '{role} sera mentionné à chaque but.',
+    'setup.goalRoleTeamGoals': '{role} sera mentionné à chaque but de {team}.',
+    'setup.gameStartRole': '{role} sera mentionné à la mise au jeu initiale.',
+    'setup.roleNotMentionable': '⚠️ {role} ne peut pas être mentionné; permettez à tous de le mentionner ou donnez-moi la permission de mentionner tous les rôles.',
+
+    'stop.stoppedChannel': '✅ Les mises à jour des matchs sont arrêtées dans {channel}.',
+    'stop.stoppedServer': '✅ Les mises à jour des matchs sont arrêtées pour ce serveur.',
+    'stop.notConfiguredChannel': '⚠️ {channel} n\'est pas configuré pour les mises à jour des matchs.',
+    'stop.notConfiguredServer': '⚠️ Ce serveur n\'est pas configuré pour les mises à jour des matchs.',
+
+    'settings.needManageGuild': '⚠️ Vous devez avoir la permission Gérer le serveur pour modifier ces paramètres.',
+    'settings.pickBoth': '⚠️ Choisissez à la fois un `evenement` et s\'il doit être `active`, ou aucun des deux pour voir les paramètres actuels.',
+    'settings.title': 'Paramètres des mises à jour',
+    'settings.footer': 'Modifier avec /parametres-mises-a-jour evenement:<type> active:<true|false>',
+    'settings.enabled': '✅ {event} : sera maintenant publié.',
+    'settings.disabled': '✅ {event} : ne sera plus publié.',
+
+    'error.nextGame': 'Désolé, une erreur est survenue en cherchant le prochain match. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.schedule': 'Désolé, une erreur est survenue en cherchant le calendrier. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.standings': 'Désolé, une erreur est survenue en cherchant le classement. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.teamStats': 'Désolé, une erreur est survenue en cherchant les statistiques de l\'équipe. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.scores': 'Désolé, une erreur est survenue en cherchant les pointages du jour. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.roster': 'Désolé, une erreur est survenue en cherchant la formation. Veuillez réessayer plus tard.\nErreur : {error}',
+    'error.player': 'Désolé, une erreur est survenue en cherchant ce joueur. Veuillez réessayer plus tard.\nErreur : {error}',
+
+    'unavailable.schedule': 'Désolé, le calendrier de la LNH n\'est pas disponible pour le moment. Veuillez réessayer plus tard.',
+    'unavailable.standings': 'Désolé, le classement de la LNH n\'est pas disponible pour le moment. Veuillez réessayer plus tard.',
+    'unavailable.teamStats': 'Désolé, les statistiques de la saison de {team} ne sont pas disponibles pour le moment. Veuillez réessayer plus tard.',
+    'unavailable.scores': 'Désolé, les pointages du jour ne sont pas disponibles pour le moment. Veuillez réessayer plus tard.',
+    'unavailable.roster': 'Désolé, la formation de {team} n\'est pas disponible pour le moment. Veuillez réessayer plus tard.',
+    'unavailable.player': 'Désolé, les statistiques de ce joueur ne sont pas disponibles pour le moment. Veuillez réessayer plus tard.',
+
+    'schedule.monthTitle': 'Calendrier de {team} : {month}',
+    'schedule.nextGame': '{team} : prochain match',
+    'schedule.nextGames': '{team} : {count} prochains matchs',
+    'schedule.postponed': '⚠️ Reporté',
+    'schedule.final': '🏁 Terminé : {score}',
+    'schedule.noGames': 'Aucun match prévu.',
+
+    'standings.title': 'Classement de la LNH : {view}',
+    'standings.view.division': 'Division',
+    'standings.view.conference': 'Association',
+    'standings.view.wildcard': 'Quatrième as',
+    'standings.view.league': 'Ligue',
+    'standings.conference': 'Association {conference}',
+    'standings.wildcard': 'Quatrième as – {conference}',
+    'standings.league': 'LNH',
+    'standings.header': '   ÉQ.   PJ   V   D  DP PTS   P%   SÉQ',
+    'standings.none': 'Aucun classement disponible.',
+
+    'teamStats.title': '📈 {team} — Statistiques {season}',
+    'teamStats.record': '{record} · {points} PTS · {gamesPlayed} PJ',
+    'teamStats.goals': '🥅 Buts',
+    'teamStats.goalsValue': 'BP : {goalsFor} ({goalsForPerGame}/PJ)\nBC : {goalsAgainst} ({goalsAgainstPerGame}/PJ)\nDiff. : {differential}',
+    'teamStats.specialTeams': '⚡ Unités spéciales',
+    'teamStats.specialTeamsValue': 'AN : {powerPlay}\nDN : {penaltyKill}',
+    'teamStats.shots': '🏒 Tirs et mises au jeu',
+    'teamStats.shotsValue': 'Tirs/PJ : {shotsFor}\nContre/PJ : {shotsAgainst}\nMAJ : {faceoffs}',
+
+    'scores.title': '🏒 Pointages de la LNH — {day}',
+    'scores.teamTitle': '🏒 Pointage de {team} — {day}',
+    'scores.today': 'Aujourd\'hui',
+    'scores.none': 'Aucun match de la LNH aujourd\'hui.',
+    'scores.noneForTeam': 'Aucun match de {team} aujourd\'hui.',
+    'scores.postponed': 'Reporté',
+    'scores.cancelled': 'Annulé',
+    'scores.final': 'Terminé',
+    'scores.finalPeriod': 'Terminé ({period})',
+    'scores.intermission': 'Entracte ({period})',
+    'scores.pregame': 'Avant-match',
+
+    'roster.title': '📋 Formation – {team}',
+    'roster.forwards': '🏒 Attaquants',
+    'roster.defensemen': '🛡️ Défenseurs',
+    'roster.goalies': '🥅 Gardiens',
+    'roster.continued': '{title} (suite)',
+    'roster.age': '{age} ans',
+    'roster.empty': 'Aucun joueur dans la formation.',
+
+    'position.C': 'Centre',
+    'position.L': 'Ailier gauche',
+    'position.R': 'Ailier droit',
+    'position.D': 'Défenseur',
+    'position.G': 'Gardien',
+    'player.freeAgent': 'Joueur autonome',
+    'player.shoots': 'Lance {hand}',
+    'player.catches': 'Attrape {hand}',
+    'player.season': '📊 Saison {season}',
+    'player.thisSeason': '📊 Cette saison',
+    'player.career': '🏆 Carrière (saison régulière de la LNH)',
+    'player.lastGames': '🗓️ 5 derniers matchs',
+    'player.noNhlGames': 'Aucun match dans la LNH',
+    'player.noRecentGames': 'Aucun match récent',
+
+    'player.noMatch': '⚠️ Aucun joueur actuel de la LNH ne correspond à `{name}`. Choisissez un nom parmi les suggestions pendant la saisie.',
+
+    'apiTest.title': 'Résultats du test de l\'API de la LNH',
+    'apiTest.overall': 'État général',
+    'apiTest.pass': '✅ RÉUSSI',
+    'apiTest.fail': '❌ ÉCHEC',
+    'apiTest.connection': 'Connexion à l\'API',
+    'apiTest.connected': '✅ Connecté',
+    'apiTest.failed': '❌ Échec',
+    'apiTest.schedule': 'Point d\'accès du calendrier',
+    'apiTest.working': '✅ Fonctionnel',
+    'apiTest.dataStructure': 'Structure des données',
+    'apiTest.valid': '✅ Valide',
+    'apiTest.invalid': '❌ Invalide',
+    'apiTest.gamesFound': 'Matchs trouvés',
+    'apiTest.gamesInWeek': '{count} matchs cette semaine',
+    'apiTest.sampleGame': 'Match exemple',
+    'apiTest.sampleGameValue': '{away} @ {home}\nÉtat : {state}\nID : {id}',
+    'apiTest.secondary': 'Test du point d\'accès secondaire',
+    'apiTest.standingsWorking': '✅ API du classement fonctionnelle',
+    'apiTest.standingsFailed': '⚠️ Échec de l\'API du classement (non critique)',
+    'apiTest.errors': 'Erreurs',
+    'apiTest.circuit': 'Disjoncteur',
+    'apiTest.circuitClosed': '✅ Fermé (requêtes acceptées)',
+    'apiTest.circuitHalfOpen': '🟡 Semi-ouvert (requête d\'essai)',
+    'apiTest.circuitOpen': '🔴 Ouvert (en pause jusqu\'à {time})',
+    'apiTest.lastFailure': 'Dernier échec : {error}',
+    'apiTest.note': 'Note',
+    'apiTest.noNote': 'Aucune note',
+    'apiTest.runFailed': '❌ Le test de l\'API de la LNH a échoué : {error}',
+
+    'testGoal.devOnly': '⚠️ Cette commande n\'est disponible qu\'en développement ou en test. Utilisez `forcer: true` pour l\'exécuter en production.',
+    'testGoal.noChannel': '⚠️ Aucun salon n\'est configuré pour les mises à jour. Lancez d\'abord `/configurer-mises-a-jour`.',
+    'testGoal.sent': '✅ But de test envoyé dans <#{channelId}>!\n\n**Données simulées :**\n- Équipe : {team}\n- Marqueur : {scorer}\n- Période : {period}\n- Temps : {time}\n- Situation : {strength}',
+    'testGoal.notSent': '⚠️ Le but de test n\'a pas été publié dans <#{channelId}> : le bot n\'a pas accès à ce salon, ou les buts sont désactivés dans `/parametres-mises-a-jour`.',
+    'testGoal.failed': '❌ L\'envoi du but de test a échoué : {error}'
+  }
+};
+
+/**
+ * Look up a message and fill in its placeholders
+ * @param {string} language - Language code (unknown languages use English)
+ * @param {string} key - Message key, e.g. 'goal.title'
+ * @param {Object} [params] - Values for `{name}` placeholders
+ * @param {string} [fallback] - Template to use when no catalog has the key (default: the key itself)
+ * @returns {string} Message
+ */
+export function t(language, key, params = {}, fallback = key) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? fallback;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => String(params[name] ?? placeholder));
+}
+
+/**
+ * Get every supported language's translation of a message, for Discord's `*_localizations` maps
+ * @param {string} key - Message key
+ * @returns {Object<string, string>} Language code -> message, English excluded
+ */
+export function getLocalizations(key) {
+  return Object.fromEntries(
+    Object.keys(LANGUAGES)
+      .filter(language => language !== DEFAULT_LANGUAGE && MESSAGES[language][key])
+      .map(language => [language, MESSAGES[language][key]])
+  );
+}
+
+/**
+ * Label a period in a language
+ * @param {string} period - 'P1'..'P3', 'OT' or 'SO' as stored on game updates and goals
+ * @param {string} language - Language code
+ * @returns {string} e.g. 'P2' or '2e'; unrecognized labels are returned as-is
+ */
+export function formatPeriod(period, language) {
+  const match = /^P(\d+)$/.exec(period || '');
+  if (match) {
+    const number = Number(match[1]);
+    return t(language, 'period.regular', { number, suffix: number === 1 ? 're' : 'e' });
+  }
+  return period === 'OT' || period === 'SO' ? t(language, `period.${period}`) : period;
+}
+
+/**
+ * Pick a language's value from an NHL API name field
+ * @param {{default: string, fr?: string}|string} field - e.g. `firstName` or `venue`
+ * @param {string} language - Language code
+ * @returns {string} The language's value if the API has one, otherwise the default ('' if missing)
+ */
+export function localizedName(field, language) {
+  if (!field) return '';
+  if (typeof field === 'string') return field;
+  return field[language] || field.default || '';
+}
+
+/**
+ * Get a team's name in a language from an NHL API team object.
+ * French names put the city after the nickname ("Maple Leafs de Toronto").
+ * @param {Object} team - `homeTeam`/`awayTeam` from a schedule or landing response
+ * @param {string} language - Language code
+ * @returns {string} Team name, or '' if the object has no name fields
+ */
+export function getLocalizedTeamName(team, language) {
+  if (!team) return '';
+  if (team.name?.[language]) return team.name[language];
+  if (language === 'fr' && team.commonName && team.placeNameWithPreposition?.fr) {
+    return `${localizedName(team.commonName, 'fr')} ${team.placeNameWithPreposition.fr}`;
+  }
+  return team.name?.default || '';
+}
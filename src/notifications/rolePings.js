@@ -0,0 +1,22 @@
+/**
+ * Build the message options that ping a guild's configured role for an event.
+ * Only the configured role is allowed to be mentioned, so player names or
+ * anything else in the message can never ping @everyone or other roles.
+ * @param {Object} settings - Guild settings (see getGuildSettings)
+ * @param {string} event - 'goal' or 'gameStart'
+ * @param {Object} [options] - Event details
+ * @param {boolean} [options.followedTeamScored] - For goals, whether the channel's team scored (default: true)
+ * @returns {{content?: string, allowedMentions: Object}} Options to spread into `channel.send()`
+ */
+export function getRolePing(settings, event, { followedTeamScored = true } = {}) {
+  const noPing = { allowedMentions: { parse: [] } };
+
+  const roleId = event === 'goal' ? settings?.goalRoleId : settings?.gameStartRoleId;
+  if (!roleId) return noPing;
+  if (event === 'goal' && !followedTeamScored && settings.pingOpponentGoals === false) return noPing;
+
+  return {
+    content: `<@&${roleId}>`,
+    allowedMentions: { parse: [], roles: [roleId] }
+  };
+}
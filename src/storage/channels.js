@@ -0,0 +1,127 @@
+import { getStore } from './store.js';
+import { LEAFS_TEAM_ID } from '../../nhl-api.js';
+
+const NAMESPACE = 'channels';
+
+/**
+ * Read a guild's record, upgrading the original `{ channelId }` shape
+ * to the per-channel `{ channels: { [channelId]: { team } } }` shape
+ * @param {string} guildId - Discord server ID
+ * @returns {{channels: Object}} Guild record
+ */
+function getGuildRecord(guildId) {
+  const record = getStore().get(NAMESPACE, guildId);
+  if (!record) return { channels: {} };
+  if (record.channels) return record;
+  if (record.channelId) {
+    return { channels: { [record.channelId]: { team: LEAFS_TEAM_ID } } };
+  }
+  return { channels: {} };
+}
+
+/**
+ * Load configured channels from persistent storage
+ * @returns {Promise<number>} Number of guilds with a configured channel
+ */
+export async function loadConfiguredChannels() {
+  const store = getStore();
+  await store.load();
+  return store.entries(NAMESPACE).length;
+}
+
+/**
+ * Configure a channel to receive game updates for a team
+ * @param {string} guildId - Discord server ID
+ * @param {string} channelId - Channel ID to post updates to
+ * @param {string} team - Team abbreviation the channel follows (default: TOR)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function configureChannel(guildId, channelId, team = LEAFS_TEAM_ID) {
+  const record = getGuildRecord(guildId);
+  await getStore().set(NAMESPACE, guildId, {
+    channels: { ...record.channels, [channelId]: { team } }
+  });
+  return true;
+}
+
+/**
+ * Get the configured channel for a guild (the first one if there are several)
+ * @param {string} guildId - Discord server ID
+ * @returns {string|null} Channel ID or null if not configured
+ */
+export function getConfiguredChannel(guildId) {
+  return Object.keys(getGuildRecord(guildId).channels)[0] || null;
+}
+
+/**
+ * Get the team a guild follows (the first configured channel's team)
+ * @param {string} guildId - Discord server ID
+ * @returns {string|null} Team abbreviation or null if not configured
+ */
+export function getGuildTeam(guildId) {
+  return Object.values(getGuildRecord(guildId).channels)[0]?.team || null;
+}
+
+/**
+ * Remove channel configuration for a guild
+ * @param {string} guildId - Discord server ID
+ * @param {string} [channelId] - Only remove this channel (default: every channel in the guild)
+ * @returns {Promise<boolean>} True if a configuration was removed
+ */
+export async function removeChannelConfig(guildId, channelId) {
+  const store = getStore();
+  if (!channelId) {
+    return store.delete(NAMESPACE, guildId);
+  }
+
+  const record = getGuildRecord(guildId);
+  if (!record.channels[channelId]) return false;
+
+  const { [channelId]: removed, ...channels } = record.channels;
+  if (Object.keys(channels).length === 0) {
+    return store.delete(NAMESPACE, guildId);
+  }
+  await store.set(NAMESPACE, guildId, { ...record, channels });
+  return true;
+}
+
+/**
+ * Get every configured channel with the team it follows
+ * @returns {Array<{guildId: string, channelId: string, team: string}>} Subscriptions
+ */
+export function getSubscriptions() {
+  return getStore()
+    .entries(NAMESPACE)
+    .flatMap(([guildId]) =>
+      Object.entries(getGuildRecord(guildId).channels).map(([channelId, config]) => ({
+        guildId,
+        channelId,
+        team: config?.team || LEAFS_TEAM_ID
+      }))
+    );
+}
+
+/**
+ * Get every configured guild/channel pair
+ * @returns {Array<[string, string]>} Array of [guildId, channelId] pairs
+ */
+export function getConfiguredChannels() {
+  return getSubscriptions().map(({ guildId, channelId }) => [guildId, channelId]);
+}
+
+/**
+ * Get the distinct set of teams followed by any configured channel
+ * @returns {string[]} Team abbreviations
+ */
+export function getFollowedTeams() {
+  return [...new Set(getSubscriptions().map(sub => sub.team))];
+}
+
+/**
+ * Get the channels following either team in a game
+ * @param {string[]} teams - Team abbreviations involved (e.g. [away, home])
+ * @returns {Array<{guildId: string, channelId: string, team: string}>} Matching subscriptions
+ */
+export function getSubscriptionsForTeams(teams) {
+  return getSubscriptions().filter(sub => teams.includes(sub.team));
+}
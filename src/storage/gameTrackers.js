@@ -0,0 +1,49 @@
+import { getStore } from './store.js';
+
+const NAMESPACE = 'games';
+
+// Drop trackers for games that haven't been updated in this long
+const TRACKER_MAX_AGE_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+/**
+ * Get saved game trackers from persistent storage (call after the store is loaded)
+ * @returns {Array<[string, Object]>} Array of [gameId, tracker] pairs
+ */
+export function getSavedGameTrackers() {
+  return getStore().entries(NAMESPACE);
+}
+
+/**
+ * Persist a game tracker
+ * @param {string} gameId - NHL API game ID
+ * @param {Object} tracker - Game tracker
+ */
+export async function saveGameTracker(gameId, tracker) {
+  await getStore().set(NAMESPACE, String(gameId), tracker);
+}
+
+/**
+ * Remove a persisted game tracker
+ * @param {string} gameId - NHL API game ID
+ * @returns {Promise<boolean>} True if a tracker was removed
+ */
+export async function removeGameTracker(gameId) {
+  return getStore().delete(NAMESPACE, String(gameId));
+}
+
+/**
+ * Remove persisted trackers that haven't been updated recently
+ * @param {number} maxAgeMs - Maximum age since the tracker's last update
+ * @returns {Promise<string[]>} IDs of the removed games
+ */
+export async function pruneGameTrackers(maxAgeMs = TRACKER_MAX_AGE_MS) {
+  const cutoff = Date.now() - maxAgeMs;
+  const stale = getSavedGameTrackers()
+    .filter(([, tracker]) => !tracker?.lastUpdate || tracker.lastUpdate < cutoff)
+    .map(([gameId]) => gameId);
+
+  for (const gameId of stale) {
+    await removeGameTracker(gameId);
+  }
+  return stale;
+}
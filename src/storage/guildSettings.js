@@ -0,0 +1,123 @@
+import { getStore } from './store.js';
+
+const NAMESPACE = 'settings';
+
+// Event types admins can switch on/off with /leafs-settings
+export const NOTIFICATION_TYPES = {
+  goalsFor: 'Goals for',
+  goalsAgainst: 'Goals against',
+  periods: 'Period start/end',
+  penalties: 'Penalties',
+  shootout: 'Shootout attempts',
+  gameStart: 'Game start',
+  delays: 'Delays and postponements',
+  final: 'Final score',
+  previews: 'Pre-game previews'
+};
+
+// Events a live scoreboard shows by editing its message instead of posting
+export const LIVE_SCOREBOARD_EVENTS = ['goalsFor', 'goalsAgainst', 'penalties', 'periods'];
+
+// Settings every guild starts with
+export const DEFAULT_GUILD_SETTINGS = {
+  timeZone: 'America/Toronto',
+  locale: 'en-US', // How dates and times are written, e.g. en-CA, en-GB, fr-CA
+  language: 'en', // Language of the bot's posts and replies (a key of LANGUAGES)
+  previewLeadMinutes: 60, // 0 disables pre-game previews
+  goalRoleId: null, // Role mentioned on goals
+  gameStartRoleId: null, // Role mentioned at puck drop
+  pingOpponentGoals: true, // false = only mention the goal role when the followed team scores
+  liveScoreboard: false, // Keep one pinned, edited scoreboard per game instead of posting every event
+  gameThreads: false, // Post goals, periods and penalties in a thread per game instead of the channel
+  notifications: Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, true]))
+};
+
+/**
+ * Check whether a string is an IANA time zone the runtime understands
+ * @param {string} timeZone - e.g. 'America/Vancouver'
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a string is a locale the runtime can format dates in
+ * @param {string} locale - BCP 47 locale, e.g. 'en-GB'
+ * @returns {boolean} True if supported
+ */
+export function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get a guild's settings, filled in with defaults
+ * @param {string} guildId - Discord server ID
+ * @returns {Object} Guild settings
+ */
+export function getGuildSettings(guildId) {
+  const stored = getStore().get(NAMESPACE, guildId) || {};
+  return {
+    ...DEFAULT_GUILD_SETTINGS,
+    ...stored,
+    notifications: { ...DEFAULT_GUILD_SETTINGS.notifications, ...(stored.notifications || {}) }
+  };
+}
+
+/**
+ * Update some of a guild's settings
+ * @param {string} guildId - Discord server ID
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} The guild's full settings after the update
+ */
+export async function updateGuildSettings(guildId, changes) {
+  const stored = getStore().get(NAMESPACE, guildId) || {};
+  await getStore().set(NAMESPACE, guildId, { ...stored, ...changes });
+  return getGuildSettings(guildId);
+}
+
+/**
+ * Check whether a guild wants a type of notification
+ * @param {string} guildId - Discord server ID
+ * @param {string} type - A key of NOTIFICATION_TYPES
+ * @returns {boolean} True if enabled (unknown types are always enabled)
+ */
+export function isNotificationEnabled(guildId, type) {
+  return getGuildSettings(guildId).notifications[type] !== false;
+}
+
+/**
+ * Turn a type of notification on or off for a guild
+ * @param {string} guildId - Discord server ID
+ * @param {string} type - A key of NOTIFICATION_TYPES
+ * @param {boolean} enabled - Whether to send it
+ * @returns {Promise<Object>} The guild's full settings after the update
+ */
+export async function setNotificationEnabled(guildId, type, enabled) {
+  const { notifications } = getGuildSettings(guildId);
+  return updateGuildSettings(guildId, { notifications: { ...notifications, [type]: enabled } });
+}
+
+/**
+ * Check whether an event should be posted as its own message in a guild:
+ * it has to be enabled, and not already covered by the guild's live scoreboard
+ * @param {string} guildId - Discord server ID
+ * @param {string} type - A key of NOTIFICATION_TYPES
+ * @returns {boolean} True if it should be posted
+ */
+export function shouldPostEvent(guildId, type) {
+  const settings = getGuildSettings(guildId);
+  if (settings.notifications[type] === false) return false;
+  return !(settings.liveScoreboard && LIVE_SCOREBOARD_EVENTS.includes(type));
+}
@@ -0,0 +1,47 @@
+import { getStore } from './store.js';
+
+const NAMESPACE = 'previews';
+
+// Forget previews this long after the game started
+const PREVIEW_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Check whether a preview has already been posted to a channel
+ * @param {string} gameId - NHL API game ID
+ * @param {string} channelId - Discord channel ID
+ * @returns {boolean} True if already posted
+ */
+export function hasPostedPreview(gameId, channelId) {
+  return getStore().get(NAMESPACE, String(gameId))?.channelIds?.includes(channelId) || false;
+}
+
+/**
+ * Record that a preview was posted to a channel
+ * @param {string} gameId - NHL API game ID
+ * @param {string} channelId - Discord channel ID
+ * @param {string} startTimeUTC - Game start time (used for pruning)
+ */
+export async function markPreviewPosted(gameId, channelId, startTimeUTC) {
+  const record = getStore().get(NAMESPACE, String(gameId)) || { startTimeUTC, channelIds: [] };
+  if (!record.channelIds.includes(channelId)) {
+    record.channelIds.push(channelId);
+  }
+  await getStore().set(NAMESPACE, String(gameId), record);
+}
+
+/**
+ * Remove preview records for games that started long ago
+ * @returns {Promise<string[]>} IDs of the removed games
+ */
+export async function prunePreviews() {
+  const cutoff = Date.now() - PREVIEW_RETENTION_MS;
+  const stale = getStore()
+    .entries(NAMESPACE)
+    .filter(([, record]) => !record?.startTimeUTC || new Date(record.startTimeUTC).getTime() < cutoff)
+    .map(([gameId]) => gameId);
+
+  for (const gameId of stale) {
+    await getStore().delete(NAMESPACE, gameId);
+  }
+  return stale;
+}
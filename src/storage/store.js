@@ -0,0 +1,146 @@
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Default location of the on-disk state file. Override with STORAGE_FILE in .env
+// (e.g. point it at a Render persistent disk mount).
+const DEFAULT_STORAGE_FILE = process.env.STORAGE_FILE || './data/bot-state.json';
+
+/**
+ * Backend that keeps state in a single JSON file on disk.
+ * A backend is any object with `load()` and `save(data)`; swap in another one
+ * (SQLite, Redis, ...) by passing it to `createStore()` / `setStore()`.
+ * @param {string} filePath - Path to the JSON file
+ * @returns {{name: string, load: Function, save: Function}} Storage backend
+ */
+export function createJsonFileBackend(filePath = DEFAULT_STORAGE_FILE) {
+  return {
+    name: 'json',
+    async load() {
+      try {
+        const text = await fs.readFile(filePath, 'utf8');
+        return text.trim() ? JSON.parse(text) : {};
+      } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+      }
+    },
+    async save(data) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file first so a crash mid-write never leaves a truncated file
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    }
+  };
+}
+
+/**
+ * Backend that only keeps state in memory (useful for tests)
+ * @param {Object} initial - Initial state
+ * @returns {{name: string, load: Function, save: Function}} Storage backend
+ */
+export function createMemoryBackend(initial = {}) {
+  let data = JSON.parse(JSON.stringify(initial));
+  return {
+    name: 'memory',
+    async load() {
+      return JSON.parse(JSON.stringify(data));
+    },
+    async save(next) {
+      data = JSON.parse(JSON.stringify(next));
+    }
+  };
+}
+
+/**
+ * Create a namespaced key/value store on top of a backend.
+ * Reads are served from memory after `load()`; every write is persisted
+ * through to the backend before the returned promise resolves. Writes are
+ * refused until `load()` succeeds, since each one saves the full state and
+ * would otherwise replace whatever the backend holds with an empty one.
+ * @param {Object} backend - Storage backend (see createJsonFileBackend)
+ * @returns {Object} Store instance
+ */
+export function createStore(backend = createJsonFileBackend()) {
+  let data = {};
+  let loaded = false;
+  let pendingWrite = Promise.resolve();
+
+  function assertLoaded() {
+    if (!loaded) {
+      throw new Error(`Refusing to write to the ${backend.name} store before its state has loaded`);
+    }
+  }
+
+  function persist() {
+    const snapshot = JSON.parse(JSON.stringify(data));
+    // Serialize writes so an older snapshot never overwrites a newer one
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(() => backend.save(snapshot));
+    return pendingWrite;
+  }
+
+  return {
+    backend: backend.name,
+
+    /**
+     * Load persisted state from the backend into memory
+     */
+    async load() {
+      data = (await backend.load()) || {};
+      loaded = true;
+      return data;
+    },
+
+    isLoaded() {
+      return loaded;
+    },
+
+    get(namespace, key) {
+      return data[namespace]?.[key];
+    },
+
+    entries(namespace) {
+      return Object.entries(data[namespace] || {});
+    },
+
+    async set(namespace, key, value) {
+      assertLoaded();
+      if (!data[namespace]) data[namespace] = {};
+      data[namespace][key] = value;
+      await persist();
+      return value;
+    },
+
+    async delete(namespace, key) {
+      assertLoaded();
+      if (!data[namespace] || !(key in data[namespace])) return false;
+      delete data[namespace][key];
+      await persist();
+      return true;
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared store used by the bot (JSON file backend by default)
+ * @returns {Object} Store instance
+ */
+export function getStore() {
+  if (!defaultStore) {
+    defaultStore = createStore(createJsonFileBackend());
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the shared store (e.g. with a different backend or an in-memory one in tests)
+ * @param {Object} store - Store created with createStore()
+ */
+export function setStore(store) {
+  defaultStore = store;
+}
@@ -0,0 +1,80 @@
+import { formatPeriodLabel } from '../embeds/scoreboard.js';
+
+// Announce a late puck drop once the game is this far past its scheduled start
+export const DELAY_THRESHOLD_MS = 15 * 60 * 1000;
+
+/**
+ * Work out which game-state events a poll of the landing endpoint shows:
+ * puck drop, the end of a period, the start of overtime, a delayed start or
+ * suspension, and a postponement. Each event is only returned once; the
+ * tracker remembers what was announced.
+ * @param {Object} tracker - Game tracker (updated in place)
+ * @param {Object} landing - Landing endpoint response for this poll
+ * @param {Object} [options]
+ * @param {string|number} [options.startTime] - Scheduled start, to spot a late puck drop
+ * @param {number} [options.now] - Reference time (ms since epoch)
+ * @returns {Array<Object>} Events in the order they happened, each with a `type` of
+ *   'GAME_START', 'PERIOD_END', 'OVERTIME_START', 'DELAY' or 'POSTPONED'
+ */
+export function detectGameEvents(tracker, landing, { startTime, now = Date.now() } = {}) {
+  const events = [];
+  if (!landing) return events;
+
+  const scheduleState = landing.gameScheduleState;
+  if (scheduleState === 'PPD' || scheduleState === 'CNCL') {
+    if (!tracker.postponed) {
+      tracker.postponed = true;
+      events.push({ type: 'POSTPONED', cancelled: scheduleState === 'CNCL' });
+    }
+    return events;
+  }
+  if (scheduleState === 'SUSP') {
+    if (!tracker.delayPosted) {
+      tracker.delayPosted = true;
+      events.push({ type: 'DELAY', reason: 'suspended' });
+    }
+    return events;
+  }
+
+  const { gameState } = landing;
+  if (gameState === 'FUT' || gameState === 'PRE') {
+    const start = new Date(startTime).getTime();
+    if (!tracker.delayPosted && Number.isFinite(start) && now - start >= DELAY_THRESHOLD_MS) {
+      tracker.delayPosted = true;
+      events.push({ type: 'DELAY', reason: 'late', minutes: Math.round((now - start) / 60000) });
+    }
+    return events;
+  }
+
+  const period = landing.periodDescriptor;
+  if ((gameState !== 'LIVE' && gameState !== 'CRIT') || !period?.number) return events;
+  const inIntermission = Boolean(landing.clock?.inIntermission);
+  if (!tracker.endedPeriods) tracker.endedPeriods = [];
+  if (!tracker.overtimesStarted) tracker.overtimesStarted = [];
+
+  if (!tracker.gameStarted) {
+    tracker.gameStarted = true;
+    // A restart mid-game shouldn't announce a puck drop that happened long ago
+    if (period.number === 1 && !inIntermission) events.push({ type: 'GAME_START' });
+  }
+
+  // A period we watched that ended between polls without an intermission showing (e.g. into regular-season OT)
+  const previous = tracker.livePeriod;
+  if (previous && period.number > previous.number && !tracker.endedPeriods.includes(previous.number)) {
+    tracker.endedPeriods.push(previous.number);
+    events.push({ type: 'PERIOD_END', period: formatPeriodLabel(previous), periodNumber: previous.number });
+  }
+
+  if (inIntermission && !tracker.endedPeriods.includes(period.number)) {
+    tracker.endedPeriods.push(period.number);
+    events.push({ type: 'PERIOD_END', period: formatPeriodLabel(period), periodNumber: period.number });
+  }
+
+  if (period.periodType === 'OT' && !inIntermission && !tracker.overtimesStarted.includes(period.number)) {
+    tracker.overtimesStarted.push(period.number);
+    events.push({ type: 'OVERTIME_START', period: formatPeriodLabel(period) });
+  }
+
+  tracker.livePeriod = { number: period.number, periodType: period.periodType || 'REG' };
+  return events;
+}
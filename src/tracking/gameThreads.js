@@ -0,0 +1,95 @@
+import { formatInTimeZone } from '../embeds/time.js';
+
+// How long a game-day thread stays open after the final
+export const GAME_THREAD_ARCHIVE_DELAY_MS = 3 * 60 * 60 * 1000; // 3 hours
+
+// Discord limit on a thread name
+const THREAD_NAME_LIMIT = 100;
+
+/**
+ * Name a game-day thread for the matchup, e.g. 'TOR @ MTL · Nov 20'
+ * @param {Object} game - Game from the club schedule
+ * @param {string} timeZone - IANA time zone for the date
+ * @param {string} [locale] - Locale for the date
+ * @returns {string} Thread name
+ */
+export function formatThreadName(game, timeZone = 'America/Toronto', locale) {
+  const away = game.awayTeam?.abbrev || 'Away';
+  const home = game.homeTeam?.abbrev || 'Home';
+  const date = formatInTimeZone(game.startTimeUTC || Date.now(), { timeZone, locale }, {
+    month: 'short',
+    day: 'numeric'
+  });
+  return `${away} @ ${home} · ${date}`.slice(0, THREAD_NAME_LIMIT);
+}
+
+/**
+ * Get the thread record for a channel, if one was created (or attempted) this game
+ * @param {Object} tracker - Game tracker
+ * @param {string} channelId - Configured (parent) channel ID
+ * @returns {{guildId: string, channelId: string, threadId: string|null, archiveAt: number|null}|null} Thread record
+ */
+export function getGameThread(tracker, channelId) {
+  return (tracker.threads || []).find(thread => thread.channelId === channelId) || null;
+}
+
+/**
+ * Remember the thread created for a channel. A null threadId records a failed attempt,
+ * so the channel falls back to posting in place instead of retrying every poll.
+ * @param {Object} tracker - Game tracker
+ * @param {Object} thread - Thread record
+ * @param {string} thread.guildId - Discord server ID
+ * @param {string} thread.channelId - Configured (parent) channel ID
+ * @param {string|null} thread.threadId - Created thread's ID
+ */
+export function recordGameThread(tracker, { guildId, channelId, threadId }) {
+  if (!tracker.threads) tracker.threads = [];
+  tracker.threads.push({ guildId, channelId, threadId, archiveAt: null });
+}
+
+/**
+ * Schedule a finished game's threads to be archived
+ * @param {Object} tracker - Game tracker
+ * @param {number} finishedAt - When the game ended (ms since epoch)
+ * @param {number} delayMs - How long to keep the threads open
+ */
+export function scheduleThreadArchive(tracker, finishedAt = Date.now(), delayMs = GAME_THREAD_ARCHIVE_DELAY_MS) {
+  for (const thread of tracker.threads || []) {
+    if (thread.threadId && !thread.archiveAt) thread.archiveAt = finishedAt + delayMs;
+  }
+}
+
+/**
+ * Find threads whose archive time has come
+ * @param {Iterable<[string, Object]>} trackers - [gameId, tracker] pairs
+ * @param {number} now - Reference time (ms since epoch)
+ * @returns {Array<{gameId: string, thread: Object}>} Threads to archive
+ */
+export function findThreadsToArchive(trackers, now = Date.now()) {
+  const due = [];
+  for (const [gameId, tracker] of trackers) {
+    for (const thread of tracker.threads || []) {
+      if (thread.threadId && thread.archiveAt && !thread.archived && thread.archiveAt <= now) {
+        due.push({ gameId, thread });
+      }
+    }
+  }
+  return due;
+}
+
+/**
+ * Get the next time a thread is due to be archived
+ * @param {Iterable<[string, Object]>} trackers - [gameId, tracker] pairs
+ * @returns {number|null} Earliest archive time (ms since epoch), or null if none are pending
+ */
+export function getNextThreadArchiveTime(trackers) {
+  let next = null;
+  for (const [, tracker] of trackers) {
+    for (const thread of tracker.threads || []) {
+      if (thread.threadId && thread.archiveAt && !thread.archived && (next === null || thread.archiveAt < next)) {
+        next = thread.archiveAt;
+      }
+    }
+  }
+  return next;
+}
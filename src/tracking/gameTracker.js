@@ -0,0 +1,219 @@
+import { DEFAULT_LANGUAGE, LANGUAGES, localizedName, t } from '../i18n/messages.js';
+
+/**
+ * Create the per-game state used to detect new events between polls
+ * @returns {Object} Fresh game tracker
+ */
+export function createGameTracker() {
+  return {
+    lastUpdate: Date.now(),
+    lastPeriod: '',
+    lastHomeScore: 0,
+    lastAwayScore: 0,
+    lastTimeRemaining: '',
+    processedGoalIds: [], // eventIds of goals already posted
+    postedGoals: {}, // eventId -> { goalData, messages, missingPolls, overturned }
+    postedPenalties: {}, // eventId -> { penalty, messages, powerPlayOver }
+    scoreboardMessages: [], // [{ guildId, channelId, messageId }] live scoreboards for this game
+    threads: [], // [{ guildId, channelId, threadId, archiveAt }] game-day threads for this game
+    shootoutAttemptIds: [], // eventIds of shootout attempts already posted
+    gameStarted: false, // puck drop seen (announced if we saw it happen)
+    livePeriod: null, // { number, periodType } seen on the last live poll
+    endedPeriods: [], // period numbers whose end was announced
+    overtimesStarted: [], // overtime period numbers whose start was announced
+    delayPosted: false, // late start or suspension announced
+    postponed: false, // postponement announced; nothing more to track
+    game: null, // schedule entry, so the game is polled until its final even if the schedule moves on
+    isFinal: false
+  };
+}
+
+/**
+ * Check whether a game from the schedule needs processing this poll.
+ * A game the schedule already shows as final is only processed if it is
+ * being tracked and its final hasn't been posted: the schedule can flip to
+ * final before the landing data has been seen.
+ * @param {Object} game - Game from the club schedule
+ * @param {Object} [tracker] - The game's tracker, if it is being tracked
+ * @returns {boolean} True if the game should be processed
+ */
+export function shouldProcessScheduledGame(game, tracker) {
+  if (game?.gameState !== 'OFF' && game?.gameState !== 'FINAL') return true;
+  return Boolean(tracker && !tracker.isFinal && !tracker.postponed);
+}
+
+// Stop chasing a missing final this long after puck drop; longer than any multi-overtime playoff game.
+// A suspended game past this point is picked up again from the schedule when the league resumes it.
+const UNFINISHED_GAME_MAX_AGE_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Get the tracked games whose final hasn't been posted and that weren't in
+ * this poll's schedule (e.g. a long overtime past the schedule window).
+ * Games that started more than UNFINISHED_GAME_MAX_AGE_MS ago are left out,
+ * so a suspended game isn't polled until it resumes and its tracker can be pruned.
+ * @param {Iterable<[string, Object]>} trackers - [gameId, tracker] pairs
+ * @param {Set<string>} checkedGameIds - Games already processed this poll
+ * @param {number} now - Reference time (ms since epoch)
+ * @returns {Array<Object>} Schedule entries saved on those trackers
+ */
+export function getUnfinishedTrackedGames(trackers, checkedGameIds, now = Date.now()) {
+  const games = [];
+  for (const [gameId, tracker] of trackers) {
+    if (!tracker?.game || tracker.isFinal || tracker.postponed || checkedGameIds.has(String(gameId))) continue;
+    const startTime = new Date(tracker.game.startTimeUTC).getTime();
+    if (!(now - startTime <= UNFINISHED_GAME_MAX_AGE_MS)) continue;
+    games.push(tracker.game);
+  }
+  return games;
+}
+
+/**
+ * Get the scoring plays that have not been posted yet.
+ * Keyed on the play-by-play eventId so reordered or late-inserted plays
+ * are neither re-posted nor skipped.
+ * @param {Object} tracker - Game tracker
+ * @param {Array<Object>} scoringPlays - Plays with typeDescKey === 'goal'
+ * @returns {Array<Object>} Unprocessed scoring plays, in feed order
+ */
+export function findNewGoals(tracker, scoringPlays) {
+  const processed = new Set((tracker.processedGoalIds || []).map(String));
+  return scoringPlays.filter(play => play.eventId !== undefined && !processed.has(String(play.eventId)));
+}
+
+/**
+ * Record a scoring play as posted
+ * @param {Object} tracker - Game tracker
+ * @param {Object} play - Scoring play
+ */
+export function markGoalProcessed(tracker, play) {
+  if (!tracker.processedGoalIds) tracker.processedGoalIds = [];
+  if (!tracker.processedGoalIds.includes(play.eventId)) {
+    tracker.processedGoalIds.push(play.eventId);
+  }
+}
+
+// A posted goal has to be missing from this many consecutive polls before it
+// is treated as overturned (guards against a briefly incomplete feed)
+export const OVERTURN_CONFIRMATION_POLLS = 2;
+
+/**
+ * Format a play-by-play player as "First Last #00"
+ * @param {Object} player - Player object from the play-by-play feed
+ * @param {string} [language] - Use the feed's name in this language where it has one
+ * @returns {string} Display name, or '' if the player has no name
+ */
+export function formatPlayer(player = {}, language = DEFAULT_LANGUAGE) {
+  const name = `${localizedName(player.firstName, language)} ${localizedName(player.lastName, language)}`.trim();
+  const number = player.sweaterNumber ? `#${player.sweaterNumber}` : '';
+  return name ? `${name} ${number}`.trim() : '';
+}
+
+/**
+ * Get the abbreviation of the team a play belongs to.
+ * The feed identifies it by numeric team id (`details.eventOwnerTeamId`).
+ * @param {Object} play - Play from the play-by-play feed
+ * @param {Object} game - Game with homeTeam/awayTeam `id` and `abbrev`
+ * @returns {string} Team abbreviation, or '' if unknown
+ */
+export function getEventTeamAbbrev(play, game) {
+  const ownerId = play?.details?.eventOwnerTeamId;
+  if (ownerId === undefined || ownerId === null || ownerId === '') return '';
+  // Already an abbreviation (e.g. simulated plays)
+  if (typeof ownerId === 'string' && Number.isNaN(Number(ownerId))) return ownerId;
+
+  if (Number(game?.homeTeam?.id) === Number(ownerId)) return game.homeTeam.abbrev || '';
+  if (Number(game?.awayTeam?.id) === Number(ownerId)) return game.awayTeam.abbrev || '';
+  return '';
+}
+
+/**
+ * Get the scorer and assists credited on a scoring play
+ * @param {Object} play - Scoring play from the play-by-play feed
+ * @param {string} [language] - Language for player names and the 'Unassisted' placeholder
+ * @returns {{scorer: string, assists: string}} Display strings
+ */
+export function getGoalCredits(play, language = DEFAULT_LANGUAGE) {
+  const details = play?.details || {};
+  const scorer = formatPlayer(details.scoringPlayer, language) || t(language, 'common.unknown');
+  const assists = (details.assists || [])
+    .map(player => formatPlayer(player, language))
+    .filter(a => a)
+    .join(', ') || t(language, 'goal.unassisted');
+  return { scorer, assists };
+}
+
+/**
+ * Get the goal credits in every language other than English, for guilds that use them
+ * @param {Object} play - Scoring play from the play-by-play feed
+ * @returns {Object<string, {scorer: string, assists: string}>} Language code -> credits
+ */
+export function getTranslatedCredits(play) {
+  return Object.fromEntries(
+    Object.keys(LANGUAGES)
+      .filter(language => language !== DEFAULT_LANGUAGE)
+      .map(language => [language, getGoalCredits(play, language)])
+  );
+}
+
+/**
+ * Record a posted goal along with the data and messages needed to correct it later
+ * @param {Object} tracker - Game tracker
+ * @param {Object} play - Scoring play
+ * @param {Object} goalData - Data the goal embed was built from
+ * @param {Array<{channelId: string, messageId: string}>} messages - Messages the goal was posted as
+ */
+export function recordPostedGoal(tracker, play, goalData, messages) {
+  markGoalProcessed(tracker, play);
+  if (!tracker.postedGoals) tracker.postedGoals = {};
+  tracker.postedGoals[play.eventId] = { goalData, messages, missingPolls: 0, overturned: false };
+}
+
+/**
+ * Compare the current scoring plays against the goals already posted
+ * @param {Object} tracker - Game tracker
+ * @param {Array<Object>} scoringPlays - Plays with typeDescKey === 'goal'
+ * @returns {{newGoals: Array<Object>, changedGoals: Array<{play: Object, posted: Object, credits: Object}>, missingGoalIds: string[]}}
+ */
+export function diffGoals(tracker, scoringPlays) {
+  const postedGoals = tracker.postedGoals || {};
+  const feedIds = new Set(scoringPlays.map(play => String(play.eventId)));
+
+  const changedGoals = scoringPlays
+    .filter(play => postedGoals[play.eventId] && !postedGoals[play.eventId].overturned)
+    .map(play => ({ play, posted: postedGoals[play.eventId], credits: getGoalCredits(play) }))
+    .filter(({ posted, credits }) =>
+      posted.goalData.scorer !== credits.scorer || posted.goalData.assists !== credits.assists
+    );
+
+  const missingGoalIds = Object.keys(postedGoals)
+    .filter(eventId => !postedGoals[eventId].overturned && !feedIds.has(eventId));
+
+  return { newGoals: findNewGoals(tracker, scoringPlays), changedGoals, missingGoalIds };
+}
+
+/**
+ * Update how long each posted goal has been missing from the feed
+ * @param {Object} tracker - Game tracker
+ * @param {string[]} missingGoalIds - Posted goals absent from the current feed
+ * @returns {string[]} Goals that have now been missing long enough to be treated as overturned
+ */
+export function confirmOverturnedGoals(tracker, missingGoalIds) {
+  const postedGoals = tracker.postedGoals || {};
+  const missing = new Set(missingGoalIds.map(String));
+  const confirmed = [];
+
+  for (const [eventId, posted] of Object.entries(postedGoals)) {
+    if (posted.overturned) continue;
+    if (!missing.has(eventId)) {
+      posted.missingPolls = 0;
+      continue;
+    }
+    posted.missingPolls = (posted.missingPolls || 0) + 1;
+    if (posted.missingPolls >= OVERTURN_CONFIRMATION_POLLS) {
+      posted.overturned = true;
+      confirmed.push(eventId);
+    }
+  }
+
+  return confirmed;
+}
@@ -0,0 +1,262 @@
+import { formatPlayer, getEventTeamAbbrev } from './gameTracker.js';
+import { DEFAULT_LANGUAGE, t, formatPeriod } from '../i18n/messages.js';
+
+// Length of a regulation period (and a playoff overtime) in seconds
+const PERIOD_SECONDS = 20 * 60;
+
+// Penalty types (`details.typeCode`) that never put a team on the power play
+const NO_POWER_PLAY_TYPES = ['MIS', 'GMIS', 'PS'];
+
+// Length of one minor penalty in seconds
+const MINOR_SECONDS = 2 * 60;
+
+/**
+ * Convert a "MM:SS" clock into seconds
+ * @param {string} clock - e.g. '05:12'
+ * @returns {number} Seconds (0 if unparseable)
+ */
+export function parseClock(clock) {
+  const [minutes, seconds] = String(clock || '').split(':').map(Number);
+  if (!Number.isFinite(minutes) || !Number.isFinite(seconds)) return 0;
+  return minutes * 60 + seconds;
+}
+
+/**
+ * Seconds elapsed since opening faceoff at a point in a game
+ * @param {number} period - Period number (4 = first overtime)
+ * @param {string} timeInPeriod - Elapsed time in the period, 'MM:SS'
+ * @returns {number} Game seconds
+ */
+export function getGameSeconds(period, timeInPeriod) {
+  return (Math.max(Number(period) || 1, 1) - 1) * PERIOD_SECONDS + parseClock(timeInPeriod);
+}
+
+/**
+ * Current game clock from the landing endpoint, in game seconds
+ * @param {Object} landing - Game landing data (periodDescriptor, clock, gameType)
+ * @returns {number|null} Game seconds, or null while the clock isn't meaningful (intermission, not started)
+ */
+export function getCurrentGameSeconds(landing) {
+  const clock = landing?.clock;
+  const period = landing?.periodDescriptor?.number;
+  if (!clock || !period || clock.inIntermission) return null;
+
+  // Regular-season overtime is five minutes, playoff overtime a full period
+  const periodLength = landing.periodDescriptor.periodType === 'OT' && landing.gameType !== 3 ? 5 * 60 : PERIOD_SECONDS;
+  const remaining = Number.isFinite(clock.secondsRemaining) ? clock.secondsRemaining : parseClock(clock.timeRemaining);
+  return (period - 1) * PERIOD_SECONDS + Math.max(periodLength - remaining, 0);
+}
+
+/**
+ * Format game seconds the way goals are shown, e.g. 'P2 07:12' or 'OT 01:30'
+ * @param {number} gameSeconds - Seconds since opening faceoff
+ * @param {string} [language] - Language for the period label
+ * @returns {string} Period and elapsed time in that period
+ */
+export function formatGameSeconds(gameSeconds, language = DEFAULT_LANGUAGE) {
+  const period = Math.floor(gameSeconds / PERIOD_SECONDS) + 1;
+  const seconds = gameSeconds % PERIOD_SECONDS;
+  const clock = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+  return `${formatPeriod(period > 3 ? 'OT' : `P${period}`, language)} ${clock}`;
+}
+
+/**
+ * Turn an infraction key like 'delaying-game-puck-over-glass' into 'Delaying game puck over glass'.
+ * Languages other than English use their `infraction.*` message when there is one.
+ * @param {string} descKey - `details.descKey` from a penalty play
+ * @param {string} [language] - Language code
+ * @returns {string} Readable infraction
+ */
+export function formatInfraction(descKey, language = DEFAULT_LANGUAGE) {
+  if (!descKey) return t(language, 'penalty.unknownInfraction');
+  const text = descKey.replace(/-/g, ' ');
+  return t(language, `infraction.${descKey}`, {}, text.charAt(0).toUpperCase() + text.slice(1));
+}
+
+/**
+ * Look up a player on a play by id in the feed's roster, or by an inline player object
+ * @param {Object} details - Play details
+ * @param {string} key - e.g. 'committedBy' for `committedByPlayerId` / `committedByPlayer`
+ * @param {Array<Object>} rosterSpots - `rosterSpots` from the play-by-play feed
+ * @returns {string} Display name, or '' if there is no such player
+ */
+function findPlayer(details, key, rosterSpots = []) {
+  if (details[`${key}Player`]) return formatPlayer(details[`${key}Player`]);
+  const playerId = details[`${key}PlayerId`];
+  if (!playerId) return '';
+  return formatPlayer(rosterSpots.find(spot => spot.playerId === playerId));
+}
+
+/**
+ * Describe a penalty play and the power play it creates
+ * @param {Object} play - Penalty play from the play-by-play feed
+ * @param {Object} game - Game with homeTeam/awayTeam `id` and `abbrev`
+ * @param {Object} [feed] - Rest of the play-by-play feed
+ * @param {Array<Object>} [feed.rosterSpots] - Players dressed for the game
+ * @param {Array<Object>} [feed.penaltyPlays] - Every penalty play, to spot coincidental penalties
+ * @returns {Object} Penalty details
+ */
+export function getPenaltyDetails(play, game, { rosterSpots = [], penaltyPlays = [] } = {}) {
+  const details = play.details || {};
+  const teamAbbrev = getEventTeamAbbrev(play, game);
+  const opponent = [game?.homeTeam?.abbrev, game?.awayTeam?.abbrev].find(abbrev => abbrev && abbrev !== teamAbbrev) || '';
+  const minutes = Number(details.duration) || 0;
+  const period = play.periodDescriptor?.number ?? 1;
+  const timeInPeriod = play.timeInPeriod || '00:00';
+  const startSeconds = getGameSeconds(period, timeInPeriod);
+
+  // Equal penalties to both teams at the same moment cancel out
+  const coincidental = penaltyPlays.some(other =>
+    other.eventId !== play.eventId &&
+    getEventTeamAbbrev(other, game) === opponent &&
+    Number(other.details?.duration) === minutes &&
+    getGameSeconds(other.periodDescriptor?.number ?? 1, other.timeInPeriod) === startSeconds
+  );
+
+  const givesPowerPlay = minutes > 0 && !coincidental && !NO_POWER_PLAY_TYPES.includes(details.typeCode) && Boolean(opponent);
+
+  return {
+    eventId: play.eventId,
+    teamAbbrev,
+    // Empty for a bench penalty with no one named to serve it
+    player: findPlayer(details, 'committedBy', rosterSpots) || findPlayer(details, 'servedBy', rosterSpots),
+    drawnBy: findPlayer(details, 'drawnBy', rosterSpots),
+    infraction: formatInfraction(details.descKey),
+    descKey: details.descKey || '',
+    typeCode: details.typeCode || '',
+    minutes,
+    period: period > 3 ? 'OT' : `P${period}`,
+    timeInPeriod,
+    coincidental,
+    powerPlay: givesPowerPlay
+      ? {
+        team: opponent,
+        startSeconds,
+        endSeconds: startSeconds + minutes * 60,
+        // Minors are wiped out by a power-play goal; a double minor loses one minor per goal
+        endsOnGoal: (minutes === 2 || minutes === 4) && details.typeCode !== 'MAJ'
+      }
+      : null
+  };
+}
+
+/**
+ * Get the penalty plays that have not been posted yet
+ * @param {Object} tracker - Game tracker
+ * @param {Array<Object>} penaltyPlays - Plays with typeDescKey === 'penalty'
+ * @returns {Array<Object>} Unposted penalty plays, in feed order
+ */
+export function findNewPenalties(tracker, penaltyPlays) {
+  const posted = tracker.postedPenalties || {};
+  return penaltyPlays.filter(play => play.eventId !== undefined && !posted[play.eventId]);
+}
+
+/**
+ * Record a penalty as posted so its power play can be followed up on
+ * @param {Object} tracker - Game tracker
+ * @param {Object} penalty - Details from getPenaltyDetails
+ * @param {Array<{guildId: string, channelId: string, messageId: string}>} messages - Messages the penalty was posted as
+ * @param {number|null} [gameSeconds] - Current game clock; a power play that already ran out
+ *   (e.g. the bot started tracking mid-game) gets no follow-up
+ */
+export function recordPostedPenalty(tracker, penalty, messages, gameSeconds = null) {
+  if (!tracker.postedPenalties) tracker.postedPenalties = {};
+  const alreadyOver = gameSeconds !== null && penalty.powerPlay && gameSeconds >= penalty.powerPlay.endSeconds;
+  tracker.postedPenalties[penalty.eventId] = {
+    penalty,
+    messages,
+    powerPlayOver: !penalty.powerPlay || alreadyOver
+  };
+}
+
+/**
+ * Game second a posted penalty's power play ended (or will end)
+ * @param {Object} posted - Posted penalty record
+ * @returns {number} Game seconds
+ */
+function getPowerPlayEnd(posted) {
+  return posted.endedAtSeconds ?? posted.penalty.powerPlay.endSeconds;
+}
+
+/**
+ * Check whether any other power play, for either team, is still running at a point in the game
+ * @param {Object} tracker - Game tracker
+ * @param {Object} posted - Posted penalty whose power play just ended
+ * @param {number} seconds - Game second it ended
+ * @returns {boolean} True if both teams are back to full strength
+ */
+function isFullStrengthAt(tracker, posted, seconds) {
+  return !Object.values(tracker.postedPenalties || {}).some(other =>
+    other !== posted &&
+    other.penalty.powerPlay &&
+    other.penalty.powerPlay.startSeconds <= seconds &&
+    getPowerPlayEnd(other) > seconds
+  );
+}
+
+/**
+ * Find the power plays that are over: a goal by the team on the power play
+ * ends the earliest-expiring minor against the other team (only the first
+ * half of a double minor), anything else runs out its clock. Matching
+ * penalties are marked so they're only reported once.
+ * @param {Object} tracker - Game tracker
+ * @param {Object} state - Current game state
+ * @param {Array<Object>} state.scoringPlays - Plays with typeDescKey === 'goal'
+ * @param {Object} state.game - Game with homeTeam/awayTeam `id` and `abbrev`
+ * @param {number|null} state.gameSeconds - Current game clock in game seconds (null if unknown, e.g. intermission)
+ * @returns {Array<{posted: Object, reason: string, goal?: Object, fullStrength: boolean}>} Finished power plays
+ *   ('goal', 'expired', or 'firstMinor' when a goal ends the first half of a double minor), and whether no
+ *   other power play is running at that point
+ */
+export function findEndedPowerPlays(tracker, { scoringPlays, game, gameSeconds }) {
+  const open = Object.values(tracker.postedPenalties || {})
+    .filter(posted => !posted.powerPlayOver && posted.penalty.powerPlay)
+    .sort((a, b) => getPowerPlayEnd(a) - getPowerPlayEnd(b));
+  const ended = [];
+
+  const goals = scoringPlays
+    .map(play => ({ play, seconds: getGameSeconds(play.periodDescriptor?.number ?? 1, play.timeInPeriod) }))
+    .sort((a, b) => a.seconds - b.seconds);
+
+  for (const { play, seconds } of goals) {
+    const scoringTeam = getEventTeamAbbrev(play, game);
+    const cancelled = open.find(posted => {
+      const { powerPlay } = posted.penalty;
+      return !posted.powerPlayOver &&
+        powerPlay.endsOnGoal &&
+        powerPlay.team === scoringTeam &&
+        // A goal that already ended the first half of a double minor doesn't count twice
+        seconds > (posted.firstMinorGoalSeconds ?? powerPlay.startSeconds) &&
+        seconds < getPowerPlayEnd(posted);
+    });
+    if (!cancelled) continue;
+
+    const { powerPlay } = cancelled.penalty;
+    const doubleMinor = powerPlay.endSeconds - powerPlay.startSeconds === 2 * MINOR_SECONDS;
+    if (doubleMinor && cancelled.firstMinorGoalSeconds === undefined &&
+        seconds < powerPlay.startSeconds + MINOR_SECONDS) {
+      // The second minor starts over from the goal
+      cancelled.firstMinorGoalSeconds = seconds;
+      cancelled.endedAtSeconds = seconds + MINOR_SECONDS;
+      ended.push({ posted: cancelled, reason: 'firstMinor', goal: play, fullStrength: false });
+      continue;
+    }
+
+    cancelled.powerPlayOver = true;
+    cancelled.endedAtSeconds = seconds;
+    ended.push({ posted: cancelled, reason: 'goal', goal: play, fullStrength: isFullStrengthAt(tracker, cancelled, seconds) });
+  }
+
+  if (gameSeconds !== null && gameSeconds !== undefined) {
+    for (const posted of open) {
+      const endSeconds = getPowerPlayEnd(posted);
+      if (!posted.powerPlayOver && gameSeconds >= endSeconds) {
+        posted.powerPlayOver = true;
+        posted.endedAtSeconds = endSeconds;
+        ended.push({ posted, reason: 'expired', fullStrength: isFullStrengthAt(tracker, posted, endSeconds) });
+      }
+    }
+  }
+
+  return ended;
+}
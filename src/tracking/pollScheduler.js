@@ -0,0 +1,56 @@
+// How long to wait between polls in each situation
+export const POLL_INTERVALS = {
+  live: 15 * 1000, // Puck in play: goals should show up within seconds
+  intermission: 2 * 60 * 1000, // Nothing happens for ~18 minutes
+  pregame: 60 * 1000, // Scheduled start has passed but the puck hasn't dropped yet
+  idle: 6 * 60 * 60 * 1000 // Longest sleep, so schedule changes are still picked up
+};
+
+// Keep checking for puck drop this long after the scheduled start (late starts, delays)
+export const PUCK_DROP_GRACE_MS = 90 * 60 * 1000;
+
+/**
+ * Work out how long to sleep before the next poll
+ * @param {Object} state - What the last poll saw
+ * @param {Array<{gameState: string, inIntermission: boolean, isFinal: boolean}>} [state.liveGames] - Games being tracked
+ * @param {Array<{startTime: number, previewLeadMinutes: number}>} [state.upcomingGames] - Next scheduled games,
+ *   with the longest preview lead time of the channels still waiting on a preview (0 if none)
+ * @param {boolean} [state.apiHealthy] - False if NHL API requests have been failing, in which case
+ *   "no game" can't be trusted and polls stay at most a minute apart
+ * @param {number} [state.now] - Reference time in ms (default: now)
+ * @returns {number} Delay in milliseconds
+ */
+export function getNextPollDelay({ liveGames = [], upcomingGames = [], apiHealthy = true, now = Date.now() } = {}) {
+  const inProgress = liveGames.filter(game => game && !game.isFinal);
+  // Games tracked past their start time that are still waiting for puck drop (delayed)
+  const waiting = inProgress.filter(game => game.gameState === 'PRE' || game.gameState === 'FUT');
+  if (inProgress.some(game => !game.inIntermission && !waiting.includes(game))) return POLL_INTERVALS.live;
+  if (waiting.length > 0) return POLL_INTERVALS.pregame;
+  if (inProgress.length > 0) return POLL_INTERVALS.intermission;
+  if (!apiHealthy) return POLL_INTERVALS.pregame;
+
+  const startTimes = upcomingGames.map(game => game.startTime).filter(Number.isFinite);
+  if (startTimes.some(start => start <= now && now - start < PUCK_DROP_GRACE_MS)) {
+    return POLL_INTERVALS.pregame;
+  }
+
+  // Sleep until the next preview window opens or the next puck drop, whichever is first
+  const wakeTimes = upcomingGames
+    .flatMap(game => [game.startTime - (game.previewLeadMinutes || 0) * 60 * 1000, game.startTime])
+    .filter(time => Number.isFinite(time) && time > now);
+  if (wakeTimes.length === 0) return POLL_INTERVALS.idle;
+
+  return Math.min(Math.max(Math.min(...wakeTimes) - now, 1000), POLL_INTERVALS.idle);
+}
+
+/**
+ * Describe a delay for the logs, e.g. '15s', '12m' or '3h 20m'
+ * @param {number} ms - Delay in milliseconds
+ * @returns {string} Short duration
+ */
+export function formatDelay(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+}
@@ -0,0 +1,125 @@
+import { formatPlayer, getEventTeamAbbrev } from './gameTracker.js';
+import { DEFAULT_LANGUAGE } from '../i18n/messages.js';
+
+// Play types that count as a shootout attempt, and how each one ended
+const ATTEMPT_RESULTS = {
+  goal: 'scored',
+  'shot-on-goal': 'saved',
+  'missed-shot': 'missed',
+  'failed-shot-attempt': 'missed'
+};
+
+/**
+ * Check whether a play happened in the shootout
+ * @param {Object} play - Play from the play-by-play feed
+ * @returns {boolean} True for shootout plays
+ */
+export function isShootoutPlay(play) {
+  return play?.periodDescriptor?.periodType === 'SO';
+}
+
+/**
+ * Get the shootout attempts from the play-by-play feed, in shooting order
+ * @param {Array<Object>} plays - Every play in the feed
+ * @returns {Array<Object>} Shootout attempt plays
+ */
+export function getShootoutPlays(plays) {
+  return plays.filter(play => isShootoutPlay(play) && ATTEMPT_RESULTS[play.typeDescKey]);
+}
+
+/**
+ * Look up a player dressed for the game by id
+ * @param {Array<Object>} rosterSpots - `rosterSpots` from the play-by-play feed
+ * @param {number} playerId - Player id
+ * @param {string} language - Language for the name
+ * @returns {string} Display name, or '' if unknown
+ */
+function findRosterPlayer(rosterSpots, playerId, language) {
+  if (!playerId) return '';
+  return formatPlayer(rosterSpots.find(spot => spot.playerId === playerId), language);
+}
+
+/**
+ * Describe a shootout attempt
+ * @param {Object} play - Shootout play from the play-by-play feed
+ * @param {Object} game - Game with homeTeam/awayTeam `id` and `abbrev`
+ * @param {Array<Object>} [rosterSpots] - Players dressed for the game
+ * @param {Array<Object>} [shootoutPlays] - Every attempt so far, to number the round
+ * @param {string} [language] - Language for player names
+ * @returns {{eventId: number, teamAbbrev: string, shooter: string, goalie: string, result: string, round: number}} Attempt
+ */
+export function getShootoutAttempt(play, game, rosterSpots = [], shootoutPlays = [play], language = DEFAULT_LANGUAGE) {
+  const details = play.details || {};
+  const teamAbbrev = getEventTeamAbbrev(play, game);
+  const index = shootoutPlays.findIndex(other => other.eventId === play.eventId);
+  const round = shootoutPlays
+    .slice(0, index === -1 ? shootoutPlays.length : index + 1)
+    .filter(other => getEventTeamAbbrev(other, game) === teamAbbrev)
+    .length;
+
+  return {
+    eventId: play.eventId,
+    teamAbbrev,
+    shooter: findRosterPlayer(rosterSpots, details.scoringPlayerId ?? details.shootingPlayerId, language),
+    goalie: findRosterPlayer(rosterSpots, details.goalieInNetId, language),
+    result: ATTEMPT_RESULTS[play.typeDescKey] || 'missed',
+    round: Math.max(round, 1)
+  };
+}
+
+/**
+ * Count each team's shootout goals and attempts
+ * @param {Array<Object>} shootoutPlays - Shootout attempt plays, in order
+ * @param {Object} game - Game with homeTeam/awayTeam `id` and `abbrev`
+ * @returns {{away: Object, home: Object}} Per team: abbrev, scored, attempts and results in order
+ */
+export function getShootoutTally(shootoutPlays, game) {
+  const side = key => {
+    const abbrev = game?.[`${key}Team`]?.abbrev || '';
+    const results = shootoutPlays
+      .filter(play => getEventTeamAbbrev(play, game) === abbrev)
+      .map(play => ATTEMPT_RESULTS[play.typeDescKey]);
+    return {
+      abbrev: abbrev || (key === 'home' ? 'Home' : 'Away'),
+      scored: results.filter(result => result === 'scored').length,
+      attempts: results.length,
+      results
+    };
+  };
+  return { away: side('away'), home: side('home') };
+}
+
+/**
+ * Format a running shootout tally
+ * @param {{away: Object, home: Object}} tally - Result of getShootoutTally()
+ * @returns {string} e.g. 'MTL ❌✅ 1 – 2 ✅✅ TOR'
+ */
+export function formatShootoutTally({ away, home }) {
+  const marks = results => results.map(result => (result === 'scored' ? '✅' : '❌')).join('');
+  return [away.abbrev, marks(away.results), `${away.scored} – ${home.scored}`, marks(home.results), home.abbrev]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Get the shootout attempts that have not been posted yet
+ * @param {Object} tracker - Game tracker
+ * @param {Array<Object>} shootoutPlays - Shootout attempt plays
+ * @returns {Array<Object>} Unposted attempts, in shooting order
+ */
+export function findNewShootoutAttempts(tracker, shootoutPlays) {
+  const posted = new Set((tracker.shootoutAttemptIds || []).map(String));
+  return shootoutPlays.filter(play => play.eventId !== undefined && !posted.has(String(play.eventId)));
+}
+
+/**
+ * Record a shootout attempt as posted
+ * @param {Object} tracker - Game tracker
+ * @param {Object} play - Shootout attempt play
+ */
+export function markShootoutAttemptPosted(tracker, play) {
+  if (!tracker.shootoutAttemptIds) tracker.shootoutAttemptIds = [];
+  if (!tracker.shootoutAttemptIds.includes(play.eventId)) {
+    tracker.shootoutAttemptIds.push(play.eventId);
+  }
+}
@@ -1,6 +1,6 @@
 import 'dotenv/config';
 import { DiscordRequest } from './utils.js';
-import { getConfiguredChannel } from './leafs-updates.js';
+import { loadConfiguredChannels, getConfiguredChannel } from './leafs-updates.js';
 
 // Get guild ID from command line
 const args = process.argv.slice(2);
@@ -11,7 +11,8 @@ if (!guildId) {
   process.exit(1);
 }
 
-// Get the configured channel for the guild
+// Get the configured channel for the guild (saved by /setup-leafs-updates)
+await loadConfiguredChannels();
 const channelId = getConfiguredChannel(guildId);
 
 if (!channelId) {
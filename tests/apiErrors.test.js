@@ -0,0 +1,106 @@
+import {
+  NhlApiError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  CircuitOpenError,
+  errorFromResponse,
+  parseRetryAfter,
+  getRetryDelay,
+  MAX_RETRY_DELAY_MS
+} from '../src/api/errors.js';
+import { createCircuitBreaker } from '../src/api/circuitBreaker.js';
+
+const response = (status, headers = {}) => ({
+  status,
+  statusText: 'Status',
+  headers: { get: name => headers[name.toLowerCase()] ?? null }
+});
+
+describe('errorFromResponse', () => {
+  test('maps statuses to typed errors', () => {
+    expect(errorFromResponse('u', response(404))).toBeInstanceOf(NotFoundError);
+    expect(errorFromResponse('u', response(503))).toBeInstanceOf(ServerError);
+    expect(errorFromResponse('u', response(400))).toBeInstanceOf(NhlApiError);
+    expect(errorFromResponse('u', response(400)).isTransient).toBe(false);
+
+    const limited = errorFromResponse('u', response(429, { 'retry-after': '7' }));
+    expect(limited).toBeInstanceOf(RateLimitedError);
+    expect(limited.retryAfterMs).toBe(7000);
+    expect(limited.status).toBe(429);
+  });
+
+  test('only outages are transient', () => {
+    expect(new NotFoundError('x').isTransient).toBe(false);
+    expect(new ServerError('x').isTransient).toBe(true);
+    expect(new NetworkError('x').isTransient).toBe(true);
+    expect(new CircuitOpenError('x').isTransient).toBe(true);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('accepts seconds or an HTTP date', () => {
+    const now = Date.parse('2025-01-18T00:00:00Z');
+
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Sat, 18 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('backs off exponentially with jitter, up to a cap', () => {
+    const error = new ServerError('x');
+
+    expect(getRetryDelay(error, 1, () => 0.5)).toBe(250);
+    expect(getRetryDelay(error, 3, () => 0.5)).toBe(1000);
+    expect(getRetryDelay(error, 20, () => 0.999)).toBeLessThanOrEqual(MAX_RETRY_DELAY_MS);
+  });
+
+  test('honors Retry-After unless it is too long to wait', () => {
+    expect(getRetryDelay(new RateLimitedError('x', { retryAfterMs: 2000 }), 1)).toBe(2000);
+    expect(getRetryDelay(new RateLimitedError('x', { retryAfterMs: 5 * 60 * 1000 }), 1)).toBeNull();
+  });
+
+  test('does not retry permanent failures or an open circuit', () => {
+    expect(getRetryDelay(new NotFoundError('x'), 1)).toBeNull();
+    expect(getRetryDelay(new CircuitOpenError('x'), 1)).toBeNull();
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  test('opens after consecutive failures and fails fast until the cooldown ends', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+    breaker.recordFailure(new ServerError('boom'), 0);
+    expect(breaker.canRequest(0)).toBe(true);
+
+    breaker.recordFailure(new ServerError('boom'), 10);
+    expect(breaker.canRequest(500)).toBe(false);
+    expect(breaker.getStatus(500)).toMatchObject({ state: 'open', consecutiveFailures: 2, lastError: 'boom' });
+    expect(breaker.getStatus(500).retryAt).toBe(new Date(1010).toISOString());
+  });
+
+  test('lets one trial request through after the cooldown', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(new ServerError('boom'), 0);
+
+    expect(breaker.canRequest(1000)).toBe(true);
+    expect(breaker.canRequest(1000)).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getStatus(1000)).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    expect(breaker.canRequest(1000)).toBe(true);
+  });
+
+  test('a failed trial re-opens the circuit', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new NetworkError('down'), 0);
+
+    expect(breaker.canRequest(1000)).toBe(true);
+    breaker.recordFailure(new NetworkError('down'), 1000);
+    expect(breaker.canRequest(1500)).toBe(false);
+    expect(breaker.retryAt()).toBe(2000);
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore, createMemoryBackend, createJsonFileBackend, setStore } from '../src/storage/store.js';
+import {
+  loadConfiguredChannels,
+  configureChannel,
+  getConfiguredChannel,
+  getGuildTeam,
+  removeChannelConfig,
+  getConfiguredChannels,
+  getSubscriptions,
+  getFollowedTeams,
+  getSubscriptionsForTeams
+} from '../src/storage/channels.js';
+
+describe('channel storage', () => {
+  beforeEach(async () => {
+    setStore(createStore(createMemoryBackend()));
+    await loadConfiguredChannels();
+  });
+
+  test('configureChannel persists and getConfiguredChannel reads it back', async () => {
+    await configureChannel('guild-1', 'channel-1');
+
+    expect(getConfiguredChannel('guild-1')).toBe('channel-1');
+    expect(getConfiguredChannel('guild-2')).toBeNull();
+    expect(getConfiguredChannels()).toEqual([['guild-1', 'channel-1']]);
+  });
+
+  test('removeChannelConfig reports whether anything was removed', async () => {
+    await configureChannel('guild-1', 'channel-1');
+
+    await expect(removeChannelConfig('guild-1')).resolves.toBe(true);
+    await expect(removeChannelConfig('guild-1')).resolves.toBe(false);
+    expect(getConfiguredChannel('guild-1')).toBeNull();
+  });
+
+  test('configureChannel defaults to following the Leafs', async () => {
+    await configureChannel('guild-1', 'channel-1');
+
+    expect(getGuildTeam('guild-1')).toBe('TOR');
+    expect(getSubscriptions()).toEqual([{ guildId: 'guild-1', channelId: 'channel-1', team: 'TOR' }]);
+  });
+
+  test('channels in the same guild can follow different teams', async () => {
+    await configureChannel('guild-1', 'leafs-chat', 'TOR');
+    await configureChannel('guild-1', 'canucks-chat', 'VAN');
+    await configureChannel('guild-2', 'habs-chat', 'MTL');
+
+    expect(getFollowedTeams().sort()).toEqual(['MTL', 'TOR', 'VAN']);
+    expect(getSubscriptionsForTeams(['VAN', 'MTL'])).toEqual([
+      { guildId: 'guild-1', channelId: 'canucks-chat', team: 'VAN' },
+      { guildId: 'guild-2', channelId: 'habs-chat', team: 'MTL' }
+    ]);
+  });
+
+  test('removeChannelConfig can remove a single channel', async () => {
+    await configureChannel('guild-1', 'leafs-chat', 'TOR');
+    await configureChannel('guild-1', 'canucks-chat', 'VAN');
+
+    await expect(removeChannelConfig('guild-1', 'leafs-chat')).resolves.toBe(true);
+    await expect(removeChannelConfig('guild-1', 'leafs-chat')).resolves.toBe(false);
+    expect(getConfiguredChannel('guild-1')).toBe('canucks-chat');
+
+    await removeChannelConfig('guild-1', 'canucks-chat');
+    expect(getConfiguredChannels()).toEqual([]);
+  });
+
+  test('records saved before per-channel teams are read as Leafs channels', async () => {
+    setStore(createStore(createMemoryBackend({ channels: { 'guild-1': { channelId: 'channel-1' } } })));
+    await loadConfiguredChannels();
+
+    expect(getConfiguredChannel('guild-1')).toBe('channel-1');
+    expect(getGuildTeam('guild-1')).toBe('TOR');
+  });
+
+  test('configured channels survive a reload from the same backend', async () => {
+    const backend = createMemoryBackend();
+    setStore(createStore(backend));
+    await loadConfiguredChannels();
+    await configureChannel('guild-1', 'channel-1');
+
+    // Simulate a restart: fresh store, same backend
+    setStore(createStore(backend));
+    const count = await loadConfiguredChannels();
+
+    expect(count).toBe(1);
+    expect(getConfiguredChannel('guild-1')).toBe('channel-1');
+  });
+
+  test('a store whose state failed to load never saves over it', async () => {
+    const backend = {
+      name: 'broken',
+      load: jest.fn().mockRejectedValue(new Error('Unexpected token in JSON')),
+      save: jest.fn()
+    };
+    const store = createStore(backend);
+    setStore(store);
+
+    await expect(loadConfiguredChannels()).rejects.toThrow('Unexpected token');
+    await expect(configureChannel('guild-1', 'channel-1')).rejects.toThrow('before its state has loaded');
+    await expect(store.delete('channels', 'guild-2')).rejects.toThrow('before its state has loaded');
+    expect(backend.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('createJsonFileBackend', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nhl-bot-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('returns empty state when the file does not exist yet', async () => {
+    const backend = createJsonFileBackend(path.join(dir, 'missing.json'));
+
+    await expect(backend.load()).resolves.toEqual({});
+  });
+
+  test('writes state that a new store can load', async () => {
+    const file = path.join(dir, 'nested', 'state.json');
+    const store = createStore(createJsonFileBackend(file));
+    await store.load();
+    await store.set('channels', 'guild-1', { channelId: 'channel-1' });
+
+    const reloaded = createStore(createJsonFileBackend(file));
+    await reloaded.load();
+
+    expect(reloaded.get('channels', 'guild-1')).toEqual({ channelId: 'channel-1' });
+  });
+});
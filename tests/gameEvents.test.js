@@ -0,0 +1,95 @@
+import { detectGameEvents, DELAY_THRESHOLD_MS } from '../src/tracking/gameEvents.js';
+import { createGameTracker } from '../src/tracking/gameTracker.js';
+
+const startTime = '2025-01-18T00:00:00Z';
+const start = Date.parse(startTime);
+const MINUTE = 60 * 1000;
+
+const landing = (gameState, number = 1, { periodType = 'REG', inIntermission = false, gameScheduleState = 'OK' } = {}) => ({
+  gameState,
+  gameScheduleState,
+  periodDescriptor: { number, periodType },
+  clock: { inIntermission }
+});
+
+const types = events => events.map(event => event.type);
+
+describe('detectGameEvents', () => {
+  test('announces puck drop once', () => {
+    const tracker = createGameTracker();
+
+    expect(types(detectGameEvents(tracker, landing('LIVE', 1)))).toEqual(['GAME_START']);
+    expect(detectGameEvents(tracker, landing('LIVE', 1))).toEqual([]);
+  });
+
+  test('does not announce a puck drop that happened before tracking started', () => {
+    const tracker = createGameTracker();
+
+    expect(detectGameEvents(tracker, landing('LIVE', 2))).toEqual([]);
+    expect(tracker.gameStarted).toBe(true);
+  });
+
+  test('announces the end of each period at the intermission', () => {
+    const tracker = createGameTracker();
+    detectGameEvents(tracker, landing('LIVE', 1));
+
+    expect(detectGameEvents(tracker, landing('LIVE', 1, { inIntermission: true })))
+      .toEqual([{ type: 'PERIOD_END', period: 'P1', periodNumber: 1 }]);
+    expect(detectGameEvents(tracker, landing('LIVE', 1, { inIntermission: true }))).toEqual([]);
+    expect(detectGameEvents(tracker, landing('LIVE', 2))).toEqual([]);
+  });
+
+  test('catches up on a period that ended without an intermission, then announces overtime', () => {
+    const tracker = createGameTracker();
+    detectGameEvents(tracker, landing('LIVE', 3));
+
+    expect(detectGameEvents(tracker, landing('LIVE', 4, { periodType: 'OT' }))).toEqual([
+      { type: 'PERIOD_END', period: 'P3', periodNumber: 3 },
+      { type: 'OVERTIME_START', period: 'OT' }
+    ]);
+    expect(detectGameEvents(tracker, landing('LIVE', 4, { periodType: 'OT' }))).toEqual([]);
+  });
+
+  test('announces each playoff overtime after its intermission', () => {
+    const tracker = createGameTracker();
+    detectGameEvents(tracker, landing('LIVE', 4, { periodType: 'OT' }));
+
+    expect(types(detectGameEvents(tracker, landing('LIVE', 4, { periodType: 'OT', inIntermission: true }))))
+      .toEqual(['PERIOD_END']);
+    expect(detectGameEvents(tracker, landing('LIVE', 5, { periodType: 'OT' })))
+      .toEqual([{ type: 'OVERTIME_START', period: '2OT' }]);
+  });
+
+  test('announces a late puck drop once the delay threshold passes', () => {
+    const tracker = createGameTracker();
+
+    expect(detectGameEvents(tracker, landing('PRE'), { startTime, now: start + 5 * MINUTE })).toEqual([]);
+    expect(detectGameEvents(tracker, landing('PRE'), { startTime, now: start + DELAY_THRESHOLD_MS + MINUTE }))
+      .toEqual([{ type: 'DELAY', reason: 'late', minutes: 16 }]);
+    expect(detectGameEvents(tracker, landing('PRE'), { startTime, now: start + 30 * MINUTE })).toEqual([]);
+    expect(types(detectGameEvents(tracker, landing('LIVE', 1), { startTime, now: start + 35 * MINUTE })))
+      .toEqual(['GAME_START']);
+  });
+
+  test('announces postponements, cancellations and suspensions once', () => {
+    const postponed = createGameTracker();
+    expect(detectGameEvents(postponed, landing('FUT', 1, { gameScheduleState: 'PPD' }), { startTime, now: start }))
+      .toEqual([{ type: 'POSTPONED', cancelled: false }]);
+    expect(detectGameEvents(postponed, landing('FUT', 1, { gameScheduleState: 'PPD' }))).toEqual([]);
+    expect(postponed.postponed).toBe(true);
+
+    expect(detectGameEvents(createGameTracker(), landing('FUT', 1, { gameScheduleState: 'CNCL' })))
+      .toEqual([{ type: 'POSTPONED', cancelled: true }]);
+
+    const suspended = createGameTracker();
+    expect(detectGameEvents(suspended, landing('LIVE', 2, { gameScheduleState: 'SUSP' })))
+      .toEqual([{ type: 'DELAY', reason: 'suspended' }]);
+    expect(detectGameEvents(suspended, landing('LIVE', 2, { gameScheduleState: 'SUSP' }))).toEqual([]);
+  });
+
+  test('works with trackers saved before these events were tracked', () => {
+    const tracker = { lastPeriod: 'P1', isFinal: false };
+
+    expect(types(detectGameEvents(tracker, landing('LIVE', 1, { inIntermission: true })))).toEqual(['PERIOD_END']);
+  });
+});
@@ -0,0 +1,100 @@
+import { buildGameSummary, buildGameSummaryFields } from '../src/embeds/gameSummary.js';
+
+const landing = {
+  awayTeam: { abbrev: 'MTL' },
+  homeTeam: { abbrev: 'TOR' },
+  summary: {
+    threeStars: [
+      { star: 2, name: { default: 'N. Suzuki' }, teamAbbrev: 'MTL', goals: 1, assists: 0 },
+      { star: 1, name: { default: 'A. Matthews' }, teamAbbrev: 'TOR', goals: 2, assists: 1 },
+      { star: 3, name: { default: 'J. Woll' }, teamAbbrev: 'TOR', goals: 0, assists: 0 }
+    ],
+    teamGameStats: [
+      { category: 'sog', awayValue: 27, homeValue: 34 },
+      { category: 'powerPlay', awayValue: '1/4', homeValue: '2/3' },
+      { category: 'faceoffWinningPctg', awayValue: 0.458, homeValue: 0.542 }
+    ]
+  }
+};
+
+const boxscore = {
+  awayTeam: { abbrev: 'MTL', sog: 27 },
+  homeTeam: { abbrev: 'TOR', sog: 34 },
+  playerByGameStats: {
+    awayTeam: {
+      forwards: [
+        { name: { default: 'N. Suzuki' }, goals: 1, assists: 0, points: 1 },
+        { name: { default: 'C. Caufield' }, goals: 0, assists: 0, points: 0 }
+      ],
+      defense: [],
+      goalies: [{ name: { default: 'S. Montembeault' }, saveShotsAgainst: '30/34' }]
+    },
+    homeTeam: {
+      forwards: [
+        { name: { default: 'M. Marner' }, goals: 0, assists: 2, points: 2 },
+        { name: { default: 'A. Matthews' }, goals: 2, assists: 1, points: 3 }
+      ],
+      defense: [{ name: { default: 'M. Rielly' }, goals: 0, assists: 1, points: 1 }],
+      goalies: [
+        { name: { default: 'J. Woll' }, saveShotsAgainst: '26/27' },
+        { name: { default: 'A. Stolarz' }, saveShotsAgainst: '0/0' }
+      ]
+    }
+  }
+};
+
+describe('buildGameSummary', () => {
+  test('orders the three stars', () => {
+    const summary = buildGameSummary(landing, boxscore);
+
+    expect(summary.threeStars.map(s => s.name)).toEqual(['A. Matthews', 'N. Suzuki', 'J. Woll']);
+  });
+
+  test('collects team stats for each side', () => {
+    const { away, home } = buildGameSummary(landing, boxscore);
+
+    expect(away).toMatchObject({ abbrev: 'MTL', sog: 27, powerPlay: '1/4' });
+    expect(home).toMatchObject({ abbrev: 'TOR', sog: 34, powerPlay: '2/3' });
+    expect(home.faceoffPct).toBeCloseTo(54.2);
+  });
+
+  test('only includes goalies who faced shots and players with points', () => {
+    const { home } = buildGameSummary(landing, boxscore);
+
+    expect(home.goalies).toEqual([{ name: 'J. Woll', saves: 26, shotsAgainst: 27 }]);
+    expect(home.topPlayers.map(p => p.name)).toEqual(['A. Matthews', 'M. Marner', 'M. Rielly']);
+  });
+
+  test('returns null without any data', () => {
+    expect(buildGameSummary(null, null)).toBeNull();
+  });
+});
+
+describe('buildGameSummaryFields', () => {
+  test('renders every section', () => {
+    const fields = buildGameSummaryFields(buildGameSummary(landing, boxscore));
+    const byName = Object.fromEntries(fields.map(f => [f.name, f.value]));
+
+    expect(byName['⭐ Three Stars'].split('\n')[0]).toBe('⭐ A. Matthews (TOR) 2G 1A');
+    expect(byName['🎯 Shots on Goal']).toBe('MTL 27 – 34 TOR');
+    expect(byName['⚡ Power Play']).toBe('MTL 1/4\nTOR 2/3');
+    expect(byName['🔄 Faceoffs']).toBe('MTL 45.8%\nTOR 54.2%');
+    expect(byName['🥅 Goaltending']).toBe('MTL: S. Montembeault 30/34 (.882)\nTOR: J. Woll 26/27 (.963)');
+    expect(byName['🏒 TOR Top Players']).toContain('A. Matthews 2G 1A');
+  });
+
+  test('renders field names in French', () => {
+    const fields = buildGameSummaryFields(buildGameSummary(landing, boxscore), 'fr');
+    const byName = Object.fromEntries(fields.map(f => [f.name, f.value]));
+
+    expect(byName['⭐ Trois étoiles'].split('\n')[0]).toBe('⭐ A. Matthews (TOR) 2 B 1 A');
+    expect(byName['🎯 Tirs au but']).toBe('MTL 27 – 34 TOR');
+    expect(byName['🏒 Meilleurs joueurs – TOR']).toContain('A. Matthews 2 B 1 A');
+  });
+
+  test('omits sections the API did not report', () => {
+    const fields = buildGameSummaryFields(buildGameSummary({ summary: {} }, null));
+
+    expect(fields).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  formatThreadName,
+  getGameThread,
+  recordGameThread,
+  scheduleThreadArchive,
+  findThreadsToArchive,
+  getNextThreadArchiveTime,
+  GAME_THREAD_ARCHIVE_DELAY_MS
+} from '../src/tracking/gameThreads.js';
+import { createGameTracker } from '../src/tracking/gameTracker.js';
+
+const game = {
+  startTimeUTC: '2024-11-21T00:00:00Z',
+  awayTeam: { abbrev: 'TOR' },
+  homeTeam: { abbrev: 'MTL' }
+};
+
+describe('formatThreadName', () => {
+  test('names the thread for the matchup on the local date', () => {
+    expect(formatThreadName(game, 'America/Toronto')).toBe('TOR @ MTL · Nov 20');
+    expect(formatThreadName(game, 'Europe/Paris')).toBe('TOR @ MTL · Nov 21');
+  });
+});
+
+describe('game thread records', () => {
+  test('remembers threads per configured channel, including failed attempts', () => {
+    const tracker = createGameTracker();
+    recordGameThread(tracker, { guildId: 'g1', channelId: 'c1', threadId: 't1' });
+    recordGameThread(tracker, { guildId: 'g2', channelId: 'c2', threadId: null });
+
+    expect(getGameThread(tracker, 'c1')).toMatchObject({ threadId: 't1', archiveAt: null });
+    expect(getGameThread(tracker, 'c2')).toMatchObject({ threadId: null });
+    expect(getGameThread(tracker, 'c3')).toBeNull();
+  });
+
+  test('schedules archiving after the final and finds threads that are due', () => {
+    const tracker = createGameTracker();
+    recordGameThread(tracker, { guildId: 'g1', channelId: 'c1', threadId: 't1' });
+    recordGameThread(tracker, { guildId: 'g2', channelId: 'c2', threadId: null });
+    const finishedAt = 1_000_000;
+
+    scheduleThreadArchive(tracker, finishedAt);
+    const trackers = [['2024020300', tracker]];
+
+    expect(getNextThreadArchiveTime(trackers)).toBe(finishedAt + GAME_THREAD_ARCHIVE_DELAY_MS);
+    expect(findThreadsToArchive(trackers, finishedAt + 60 * 1000)).toEqual([]);
+
+    const due = findThreadsToArchive(trackers, finishedAt + GAME_THREAD_ARCHIVE_DELAY_MS);
+    expect(due.map(({ gameId, thread }) => [gameId, thread.threadId])).toEqual([['2024020300', 't1']]);
+
+    due[0].thread.archived = true;
+    expect(findThreadsToArchive(trackers, Infinity)).toEqual([]);
+    expect(getNextThreadArchiveTime(trackers)).toBeNull();
+  });
+
+  test('does nothing for games without threads', () => {
+    const trackers = [['1', createGameTracker()], ['2', {}]];
+
+    expect(findThreadsToArchive(trackers, Infinity)).toEqual([]);
+    expect(getNextThreadArchiveTime(trackers)).toBeNull();
+  });
+});
@@ -0,0 +1,243 @@
+import {
+  createGameTracker,
+  findNewGoals,
+  markGoalProcessed,
+  getGoalCredits,
+  getTranslatedCredits,
+  recordPostedGoal,
+  diffGoals,
+  confirmOverturnedGoals,
+  getEventTeamAbbrev,
+  shouldProcessScheduledGame,
+  getUnfinishedTrackedGames
+} from '../src/tracking/gameTracker.js';
+import { createStore, createMemoryBackend, setStore } from '../src/storage/store.js';
+import { getSavedGameTrackers, saveGameTracker, pruneGameTrackers } from '../src/storage/gameTrackers.js';
+
+const goal = (eventId) => ({ eventId, typeDescKey: 'goal', details: {} });
+
+const player = (first, last, sweaterNumber) => ({
+  firstName: { default: first },
+  lastName: { default: last },
+  sweaterNumber
+});
+
+const creditedGoal = (eventId, scoringPlayer, assists = []) => ({
+  eventId,
+  typeDescKey: 'goal',
+  details: { scoringPlayer, assists }
+});
+
+const postGoal = (tracker, play) => {
+  const credits = getGoalCredits(play);
+  recordPostedGoal(tracker, play, { ...credits, period: 'P1', timeInPeriod: '5:00' }, [
+    { guildId: 'guild-1', channelId: 'channel-1', messageId: `msg-${play.eventId}` }
+  ]);
+};
+
+describe('goal deduplication', () => {
+  test('every goal is new for a fresh tracker', () => {
+    const tracker = createGameTracker();
+    const plays = [goal(10), goal(52)];
+
+    expect(findNewGoals(tracker, plays)).toEqual(plays);
+  });
+
+  test('processed goals are skipped even if the feed is reordered', () => {
+    const tracker = createGameTracker();
+    markGoalProcessed(tracker, goal(10));
+    markGoalProcessed(tracker, goal(52));
+
+    expect(findNewGoals(tracker, [goal(52), goal(10)])).toEqual([]);
+  });
+
+  test('a goal inserted before already-posted goals is still detected', () => {
+    const tracker = createGameTracker();
+    markGoalProcessed(tracker, goal(52));
+
+    // eventId 31 shows up late, ahead of 52 in the feed
+    expect(findNewGoals(tracker, [goal(31), goal(52)])).toEqual([goal(31)]);
+  });
+
+  test('markGoalProcessed does not record the same goal twice', () => {
+    const tracker = createGameTracker();
+    markGoalProcessed(tracker, goal(10));
+    markGoalProcessed(tracker, goal(10));
+
+    expect(tracker.processedGoalIds).toEqual([10]);
+  });
+});
+
+describe('getGoalCredits', () => {
+  test('formats scorer and assists with sweater numbers', () => {
+    const play = creditedGoal(1, player('Auston', 'Matthews', 34), [
+      player('Mitch', 'Marner', 16),
+      player('Morgan', 'Rielly', 44)
+    ]);
+
+    expect(getGoalCredits(play)).toEqual({
+      scorer: 'Auston Matthews #34',
+      assists: 'Mitch Marner #16, Morgan Rielly #44'
+    });
+  });
+
+  test('falls back for missing players', () => {
+    expect(getGoalCredits(goal(1))).toEqual({ scorer: 'Unknown', assists: 'Unassisted' });
+  });
+
+  test('uses French name fields where the feed has them', () => {
+    const play = creditedGoal(1, {
+      firstName: { default: 'Cole', fr: 'Cole' },
+      lastName: { default: 'Caufield' },
+      sweaterNumber: 13
+    });
+
+    expect(getGoalCredits(play, 'fr')).toEqual({ scorer: 'Cole Caufield #13', assists: 'Sans aide' });
+    expect(getTranslatedCredits(goal(1))).toEqual({ fr: { scorer: 'Inconnu', assists: 'Sans aide' } });
+  });
+});
+
+describe('getEventTeamAbbrev', () => {
+  const game = {
+    homeTeam: { id: 10, abbrev: 'TOR' },
+    awayTeam: { id: 8, abbrev: 'MTL' }
+  };
+
+  test('maps the numeric owner team id to an abbreviation', () => {
+    expect(getEventTeamAbbrev({ details: { eventOwnerTeamId: 10 } }, game)).toBe('TOR');
+    expect(getEventTeamAbbrev({ details: { eventOwnerTeamId: 8 } }, game)).toBe('MTL');
+  });
+
+  test('passes abbreviations through and returns empty for unknown teams', () => {
+    expect(getEventTeamAbbrev({ details: { eventOwnerTeamId: 'BOS' } }, game)).toBe('BOS');
+    expect(getEventTeamAbbrev({ details: { eventOwnerTeamId: 99 } }, game)).toBe('');
+    expect(getEventTeamAbbrev({ details: {} }, game)).toBe('');
+  });
+});
+
+describe('scoring changes and overturned goals', () => {
+  const matthews = player('Auston', 'Matthews', 34);
+  const nylander = player('William', 'Nylander', 88);
+
+  test('detects a scorer change on a posted goal', () => {
+    const tracker = createGameTracker();
+    postGoal(tracker, creditedGoal(10, matthews));
+
+    const { newGoals, changedGoals, missingGoalIds } = diffGoals(tracker, [creditedGoal(10, nylander, [matthews])]);
+
+    expect(newGoals).toEqual([]);
+    expect(missingGoalIds).toEqual([]);
+    expect(changedGoals).toHaveLength(1);
+    expect(changedGoals[0].credits).toEqual({ scorer: 'William Nylander #88', assists: 'Auston Matthews #34' });
+    expect(changedGoals[0].posted.messages[0].messageId).toBe('msg-10');
+  });
+
+  test('unchanged goals are not reported as changed', () => {
+    const tracker = createGameTracker();
+    postGoal(tracker, creditedGoal(10, matthews));
+
+    expect(diffGoals(tracker, [creditedGoal(10, matthews)]).changedGoals).toEqual([]);
+  });
+
+  test('a goal must be missing for consecutive polls before it is overturned', () => {
+    const tracker = createGameTracker();
+    postGoal(tracker, creditedGoal(10, matthews));
+    postGoal(tracker, creditedGoal(20, nylander));
+
+    const first = diffGoals(tracker, [creditedGoal(10, matthews)]);
+    expect(first.missingGoalIds).toEqual(['20']);
+    expect(confirmOverturnedGoals(tracker, first.missingGoalIds)).toEqual([]);
+
+    const second = diffGoals(tracker, [creditedGoal(10, matthews)]);
+    expect(confirmOverturnedGoals(tracker, second.missingGoalIds)).toEqual(['20']);
+    expect(tracker.postedGoals[20].overturned).toBe(true);
+
+    // Already overturned goals are not reported again
+    expect(diffGoals(tracker, [creditedGoal(10, matthews)]).missingGoalIds).toEqual([]);
+  });
+
+  test('a goal that reappears resets its missing count', () => {
+    const tracker = createGameTracker();
+    postGoal(tracker, creditedGoal(10, matthews));
+
+    confirmOverturnedGoals(tracker, ['10']);
+    confirmOverturnedGoals(tracker, []);
+    expect(confirmOverturnedGoals(tracker, ['10'])).toEqual([]);
+    expect(tracker.postedGoals[10].overturned).toBe(false);
+  });
+});
+
+describe('game tracker storage', () => {
+  beforeEach(async () => {
+    const store = createStore(createMemoryBackend());
+    await store.load();
+    setStore(store);
+  });
+
+  test('a restored tracker does not re-post goals after a restart', async () => {
+    const backend = createMemoryBackend();
+    let store = createStore(backend);
+    await store.load();
+    setStore(store);
+
+    const tracker = createGameTracker();
+    markGoalProcessed(tracker, goal(10));
+    await saveGameTracker(2024020001, tracker);
+
+    // Simulate a restart
+    store = createStore(backend);
+    await store.load();
+    setStore(store);
+
+    const [[gameId, restored]] = getSavedGameTrackers();
+    expect(gameId).toBe('2024020001');
+    expect(findNewGoals(restored, [goal(10), goal(77)])).toEqual([goal(77)]);
+  });
+
+  test('pruneGameTrackers removes trackers that stopped updating', async () => {
+    const fresh = createGameTracker();
+    const stale = { ...createGameTracker(), lastUpdate: Date.now() - 13 * 60 * 60 * 1000 };
+    await saveGameTracker('1', fresh);
+    await saveGameTracker('2', stale);
+
+    await expect(pruneGameTrackers()).resolves.toEqual(['2']);
+    expect(getSavedGameTrackers().map(([gameId]) => gameId)).toEqual(['1']);
+  });
+});
+
+describe('games to process each poll', () => {
+  const now = Date.parse('2024-11-21T03:00:00Z');
+  const scheduled = (id, gameState, startTimeUTC = '2024-11-21T00:00:00Z') =>
+    ({ id, gameState, startTimeUTC, awayTeam: { abbrev: 'MTL' }, homeTeam: { abbrev: 'TOR' } });
+
+  test('a game the schedule already shows as final is processed only until its tracker posts the final', () => {
+    const tracker = createGameTracker();
+
+    expect(shouldProcessScheduledGame(scheduled(1, 'LIVE'), undefined)).toBe(true);
+    expect(shouldProcessScheduledGame(scheduled(1, 'OFF'), undefined)).toBe(false);
+    expect(shouldProcessScheduledGame(scheduled(1, 'OFF'), tracker)).toBe(true);
+
+    tracker.isFinal = true;
+    expect(shouldProcessScheduledGame(scheduled(1, 'FINAL'), tracker)).toBe(false);
+  });
+
+  test('tracked games still waiting on their final are polled even when the schedule skips them', () => {
+    const waiting = { ...createGameTracker(), game: scheduled(1, 'LIVE') };
+    const checked = { ...createGameTracker(), game: scheduled(2, 'LIVE') };
+    const final = { ...createGameTracker(), game: scheduled(3, 'LIVE'), isFinal: true };
+    const postponed = { ...createGameTracker(), game: scheduled(4, 'FUT'), postponed: true };
+    const restored = createGameTracker();
+    const trackers = [['1', waiting], ['2', checked], ['3', final], ['4', postponed], ['5', restored]];
+
+    expect(getUnfinishedTrackedGames(trackers, new Set(['2']), now)).toEqual([waiting.game]);
+  });
+
+  test('games that started long ago are no longer polled, e.g. a suspension awaiting its resumption', () => {
+    const overtime = { ...createGameTracker(), game: scheduled(1, 'LIVE', '2024-11-20T20:00:00Z') };
+    const suspended = { ...createGameTracker(), game: scheduled(2, 'SUSP', '2024-11-20T18:00:00Z') };
+    const unknownStart = { ...createGameTracker(), game: scheduled(3, 'LIVE', null) };
+    const trackers = [['1', overtime], ['2', suspended], ['3', unknownStart]];
+
+    expect(getUnfinishedTrackedGames(trackers, new Set(), now)).toEqual([overtime.game]);
+  });
+});
@@ -0,0 +1,79 @@
+import { createStore, createMemoryBackend, setStore } from '../src/storage/store.js';
+import {
+  getGuildSettings,
+  updateGuildSettings,
+  isValidTimeZone,
+  isValidLocale,
+  isNotificationEnabled,
+  setNotificationEnabled,
+  shouldPostEvent,
+  DEFAULT_GUILD_SETTINGS
+} from '../src/storage/guildSettings.js';
+
+describe('guild settings', () => {
+  beforeEach(async () => {
+    const store = createStore(createMemoryBackend());
+    await store.load();
+    setStore(store);
+  });
+
+  test('unconfigured guilds get the defaults', () => {
+    expect(getGuildSettings('guild-1')).toEqual(DEFAULT_GUILD_SETTINGS);
+  });
+
+  test('updates only change the given settings', async () => {
+    await updateGuildSettings('guild-1', { timeZone: 'America/Vancouver' });
+    const settings = await updateGuildSettings('guild-1', { previewLeadMinutes: 30 });
+
+    expect(settings.timeZone).toBe('America/Vancouver');
+    expect(settings.previewLeadMinutes).toBe(30);
+    expect(getGuildSettings('guild-2')).toEqual(DEFAULT_GUILD_SETTINGS);
+  });
+
+  test('isValidTimeZone accepts IANA names only', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('isValidLocale accepts locales the runtime can format', () => {
+    expect(isValidLocale('fr-CA')).toBe(true);
+    expect(isValidLocale('en-GB')).toBe(true);
+    expect(isValidLocale('not a locale')).toBe(false);
+    expect(isValidLocale('')).toBe(false);
+  });
+
+  test('every notification type is enabled by default', () => {
+    expect(isNotificationEnabled('guild-1', 'goalsFor')).toBe(true);
+    expect(isNotificationEnabled('guild-1', 'previews')).toBe(true);
+  });
+
+  test('toggling one notification type leaves the others alone', async () => {
+    await setNotificationEnabled('guild-1', 'goalsAgainst', false);
+    await setNotificationEnabled('guild-1', 'periods', false);
+    await setNotificationEnabled('guild-1', 'periods', true);
+
+    expect(isNotificationEnabled('guild-1', 'goalsAgainst')).toBe(false);
+    expect(isNotificationEnabled('guild-1', 'periods')).toBe(true);
+    expect(isNotificationEnabled('guild-1', 'goalsFor')).toBe(true);
+    expect(isNotificationEnabled('guild-2', 'goalsAgainst')).toBe(true);
+  });
+
+  test('notification toggles survive other settings updates', async () => {
+    await setNotificationEnabled('guild-1', 'final', false);
+    await updateGuildSettings('guild-1', { timeZone: 'America/Edmonton' });
+
+    expect(isNotificationEnabled('guild-1', 'final')).toBe(false);
+  });
+
+  test('the live scoreboard replaces in-game posts but not the final or previews', async () => {
+    await updateGuildSettings('guild-1', { liveScoreboard: true });
+    await setNotificationEnabled('guild-1', 'previews', false);
+
+    expect(shouldPostEvent('guild-1', 'goalsFor')).toBe(false);
+    expect(shouldPostEvent('guild-1', 'penalties')).toBe(false);
+    expect(shouldPostEvent('guild-1', 'final')).toBe(true);
+    expect(shouldPostEvent('guild-1', 'previews')).toBe(false);
+    expect(shouldPostEvent('guild-2', 'goalsFor')).toBe(true);
+  });
+});
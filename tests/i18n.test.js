@@ -0,0 +1,64 @@
+import {
+  t,
+  formatPeriod,
+  localizedName,
+  getLocalizedTeamName,
+  getLocalizations
+} from '../src/i18n/messages.js';
+
+describe('t', () => {
+  test('fills in placeholders', () => {
+    expect(t('en', 'goal.title', { away: 'MTL', awayScore: 1, homeScore: 2, home: 'TOR' }))
+      .toBe('🚨 GOAL! MTL 1 – 2 TOR');
+    expect(t('fr', 'goal.title', { away: 'MTL', awayScore: 1, homeScore: 2, home: 'TOR' }))
+      .toBe('🚨 BUT! MTL 1 – 2 TOR');
+  });
+
+  test('falls back to English, then to the given fallback', () => {
+    expect(t('de', 'goal.scorer')).toBe('🏒 Scorer');
+    expect(t('en', 'strength.PP', {}, 'PP')).toBe('PP');
+    expect(t('fr', 'strength.PP', {}, 'PP')).toBe('Avantage numérique');
+  });
+
+  test('leaves placeholders without a value in place', () => {
+    expect(t('en', 'nextGame.title')).toBe('Next {team} Game');
+  });
+});
+
+describe('formatPeriod', () => {
+  test('labels periods in each language', () => {
+    expect(formatPeriod('P2', 'en')).toBe('P2');
+    expect(formatPeriod('P1', 'fr')).toBe('1re');
+    expect(formatPeriod('P3', 'fr')).toBe('3e');
+    expect(formatPeriod('OT', 'fr')).toBe('Prol.');
+    expect(formatPeriod('SO', 'en')).toBe('SO');
+    expect(formatPeriod('2OT', 'fr')).toBe('2OT');
+  });
+});
+
+describe('NHL API name fields', () => {
+  test('localizedName prefers the language, then the default', () => {
+    expect(localizedName({ default: 'Bell Centre', fr: 'Centre Bell' }, 'fr')).toBe('Centre Bell');
+    expect(localizedName({ default: 'Scotiabank Arena' }, 'fr')).toBe('Scotiabank Arena');
+    expect(localizedName(undefined, 'fr')).toBe('');
+  });
+
+  test('getLocalizedTeamName builds French names from the place preposition', () => {
+    const team = {
+      commonName: { default: 'Maple Leafs' },
+      placeNameWithPreposition: { default: 'Toronto', fr: 'de Toronto' }
+    };
+
+    expect(getLocalizedTeamName(team, 'fr')).toBe('Maple Leafs de Toronto');
+    expect(getLocalizedTeamName(team, 'en')).toBe('');
+    expect(getLocalizedTeamName({ name: { default: 'Canadiens', fr: 'Canadiens de Montréal' } }, 'fr'))
+      .toBe('Canadiens de Montréal');
+  });
+});
+
+describe('Discord localizations', () => {
+  test('getLocalizations lists every non-English translation', () => {
+    expect(getLocalizations('notifications.penalties')).toEqual({ fr: 'Pénalités' });
+    expect(getLocalizations('missing.key')).toEqual({});
+  });
+});
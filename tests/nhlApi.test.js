@@ -0,0 +1,407 @@
+import { jest } from '@jest/globals';
+import nock from 'nock';
+import {
+  normalizeTeamAbbrev,
+  getTeamName,
+  formatGameData,
+  getUpcomingGames,
+  getGameStatus,
+  getStandings,
+  getApiHealth,
+  clearResponseCache,
+  getTeamRoster,
+  refreshPlayerIndex,
+  searchPlayers,
+  clearPlayerIndex,
+  getDailyScoreboard,
+  getCurrentGame,
+  getCurrentGames,
+  getCurrentGamesForTeams,
+  getNextGamesForTeams
+} from '../nhl-api.js';
+import { ServerError } from '../src/api/errors.js';
+
+describe('team helpers', () => {
+  test('normalizeTeamAbbrev accepts any case and trims whitespace', () => {
+    expect(normalizeTeamAbbrev('tor')).toBe('TOR');
+    expect(normalizeTeamAbbrev(' van ')).toBe('VAN');
+  });
+
+  test('normalizeTeamAbbrev rejects unknown teams', () => {
+    expect(normalizeTeamAbbrev('XYZ')).toBeNull();
+    expect(normalizeTeamAbbrev('')).toBeNull();
+    expect(normalizeTeamAbbrev(undefined)).toBeNull();
+  });
+
+  test('getTeamName falls back to the abbreviation', () => {
+    expect(getTeamName('MTL')).toBe('Montréal Canadiens');
+    expect(getTeamName('XYZ')).toBe('XYZ');
+  });
+});
+
+describe('formatGameData', () => {
+  const game = {
+    id: 2024020001,
+    gameState: 'FUT',
+    startTimeUTC: '2024-10-09T23:00:00Z',
+    homeTeam: { abbrev: 'MTL' },
+    awayTeam: { abbrev: 'TOR' }
+  };
+
+  test('determines home/away from the followed team abbreviation', () => {
+    expect(formatGameData(game).isFollowedTeamHome).toBe(false);
+    expect(formatGameData(game, 'MTL').isFollowedTeamHome).toBe(true);
+    expect(formatGameData(game, 'MTL').followedTeam).toBe('MTL');
+  });
+
+  test('exposes both team abbreviations', () => {
+    const formatted = formatGameData(game);
+
+    expect(formatted.homeAbbrev).toBe('MTL');
+    expect(formatted.awayAbbrev).toBe('TOR');
+  });
+});
+
+describe('getUpcomingGames', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  test('returns only future games from the season schedule, up to the count', async () => {
+    const past = { id: 1, startTimeUTC: '2000-01-01T00:00:00Z' };
+    const future = [2, 3, 4].map(id => ({ id, startTimeUTC: `2999-01-0${id}T00:00:00Z` }));
+
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule-season/VAN/now')
+      .reply(200, { games: [past, ...future] });
+
+    const games = await getUpcomingGames('VAN', 2);
+
+    expect(games.map(game => game.id)).toEqual([2, 3]);
+  });
+});
+
+describe('getCurrentGame(s)', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  const startedAgo = (id, minutes, gameState, extra = {}) => ({
+    id,
+    gameState,
+    startTimeUTC: new Date(Date.now() - minutes * 60 * 1000).toISOString(),
+    ...extra
+  });
+
+  test('returns a live game, but not one that finished or has yet to start', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule/TOR/week/now')
+      .reply(200, { games: [startedAgo(1, 60 * 24, 'OFF'), startedAgo(2, 45, 'LIVE'), startedAgo(3, -60 * 24, 'FUT')] });
+
+    expect((await getCurrentGame('TOR')).id).toBe(2);
+  });
+
+  test('returns a game past its start time that is delayed or postponed', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule/TOR/week/now')
+      .reply(200, { games: [startedAgo(4, 20, 'FUT', { gameScheduleState: 'PPD' })] });
+
+    expect((await getCurrentGame('TOR')).id).toBe(4);
+  });
+
+  test('returns every game a team is playing at once, e.g. split-squad days', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule/TOR/week/now')
+      .reply(200, { games: [startedAgo(5, 30, 'LIVE'), startedAgo(6, 10, 'CRIT'), startedAgo(7, 60 * 24, 'OFF')] });
+
+    expect((await getCurrentGames('TOR')).map(game => game.id)).toEqual([5, 6]);
+  });
+
+  test('includes games the schedule already shows as final when asked', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule/TOR/week/now')
+      .reply(200, { games: [startedAgo(8, 170, 'OFF'), startedAgo(9, 60 * 24, 'FINAL')] });
+
+    expect((await getCurrentGames('TOR', { includeFinished: true })).map(game => game.id)).toEqual([8]);
+    expect(await getCurrentGames('TOR')).toEqual([]);
+  });
+
+  test('returns no games when the schedule is empty', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/club-schedule/TOR/week/now')
+      .reply(200, { games: [] });
+
+    expect(await getCurrentGames('TOR')).toEqual([]);
+  });
+});
+
+describe('league-wide schedule', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  const game = (id, away, home, minutesAgo, gameState) => ({
+    id,
+    gameState,
+    awayTeam: { abbrev: away },
+    homeTeam: { abbrev: home },
+    startTimeUTC: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+  });
+
+  test('finds the current games of many teams with one request', async () => {
+    const scope = nock('https://api-web.nhle.com')
+      .get('/v1/schedule/now')
+      .once()
+      .reply(200, {
+        gameWeek: [
+          { date: 'today', games: [
+            game(1, 'MTL', 'TOR', 30, 'LIVE'),
+            game(2, 'BOS', 'OTT', 20, 'LIVE'),
+            game(3, 'EDM', 'CGY', 170, 'OFF'),
+            game(4, 'VAN', 'SEA', 10, 'CRIT')
+          ] },
+          { date: 'tomorrow', games: [game(5, 'TOR', 'BUF', -60 * 24, 'FUT')] }
+        ]
+      });
+
+    const teams = ['TOR', 'MTL', 'CGY', 'SEA', 'NJD'];
+    expect((await getCurrentGamesForTeams(teams)).map(entry => entry.id)).toEqual([1, 4]);
+    expect((await getCurrentGamesForTeams(teams, { includeFinished: true })).map(entry => entry.id)).toEqual([1, 3, 4]);
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('finds each team\'s next game from the same week', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/schedule/now')
+      .reply(200, {
+        gameWeek: [
+          { date: 'today', games: [game(1, 'MTL', 'TOR', 30, 'LIVE'), game(2, 'BOS', 'OTT', -60, 'FUT')] },
+          { date: 'tomorrow', games: [game(3, 'TOR', 'BUF', -60 * 24, 'FUT'), game(4, 'MTL', 'BOS', -60 * 25, 'FUT')] }
+        ]
+      });
+
+    const nextGames = await getNextGamesForTeams(['TOR', 'BOS', 'NJD']);
+
+    expect(nextGames.get('TOR').id).toBe(3);
+    expect(nextGames.get('BOS').id).toBe(2);
+    expect(nextGames.has('NJD')).toBe(false);
+  });
+
+  test('makes no request when no team is followed', async () => {
+    await expect(getCurrentGamesForTeams([])).resolves.toEqual([]);
+    await expect(getNextGamesForTeams([])).resolves.toEqual(new Map());
+  });
+});
+
+describe('getDailyScoreboard', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  const games = [
+    { id: 1, awayTeam: { abbrev: 'TOR' }, homeTeam: { abbrev: 'MTL' } },
+    { id: 2, awayTeam: { abbrev: 'VAN' }, homeTeam: { abbrev: 'EDM' } }
+  ];
+
+  test('returns every game of the day, or only one team\'s', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/score/now')
+      .reply(200, { currentDate: '2024-11-20', games });
+
+    const all = await getDailyScoreboard();
+    const leafs = await getDailyScoreboard('now', 'tor');
+
+    expect(all).toEqual({ date: '2024-11-20', games });
+    expect(leafs.games.map(game => game.id)).toEqual([1]);
+  });
+
+  test('rejects unknown teams without calling the API', async () => {
+    await expect(getDailyScoreboard('now', 'XYZ')).resolves.toBeNull();
+  });
+});
+
+describe('rosters and player search', () => {
+  const rosterPlayer = (id, first, last, positionCode, sweaterNumber) => ({
+    id,
+    firstName: { default: first },
+    lastName: { default: last },
+    positionCode,
+    sweaterNumber
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    clearResponseCache();
+    clearPlayerIndex();
+  });
+
+  test('getTeamRoster rejects unknown teams without calling the API', async () => {
+    await expect(getTeamRoster('XYZ')).resolves.toBeNull();
+  });
+
+  test('searchPlayers finds indexed roster players by any part of the name, ignoring accents', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/roster/TOR/current')
+      .reply(200, {
+        forwards: [rosterPlayer(8479318, 'Auston', 'Matthews', 'C', 34)],
+        defensemen: [rosterPlayer(8476853, 'Morgan', 'Rielly', 'D', 44)],
+        goalies: []
+      })
+      .get('/v1/roster/MTL/current')
+      .reply(200, {
+        forwards: [rosterPlayer(8480018, 'Nick', 'Suzuki', 'C', 14)],
+        defensemen: [],
+        goalies: [rosterPlayer(8478470, 'Sam', 'Montembeault', 'G', 35)]
+      });
+
+    await expect(refreshPlayerIndex(['TOR', 'MTL'])).resolves.toBe(4);
+
+    expect(searchPlayers('matt')).toEqual([
+      { id: 8479318, name: 'Auston Matthews', team: 'TOR', position: 'C', sweaterNumber: 34 }
+    ]);
+    expect(searchPlayers('MONTÉ').map(player => player.id)).toEqual([8478470]);
+    // Names that start with the query rank ahead of ones that only contain it
+    expect(searchPlayers('au').map(player => player.name)).toEqual(['Auston Matthews', 'Sam Montembeault']);
+    expect(searchPlayers('', 2)).toHaveLength(2);
+  });
+});
+
+describe('response caching', () => {
+  const landingPath = '/v1/gamecenter/2024020500/landing';
+  let now = Date.now();
+
+  beforeEach(() => {
+    // Drive the clock by hand; jumping ahead also keeps the rate limiter from waiting
+    now += 24 * 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  test('repeat requests within the TTL are served from the cache', async () => {
+    let calls = 0;
+    nock('https://api-web.nhle.com')
+      .get('/v1/standings/2025-01-18')
+      .times(2)
+      .reply(200, () => {
+        calls++;
+        return { standings: [{ teamAbbrev: { default: 'TOR' } }] };
+      });
+
+    await getStandings('2025-01-18');
+    now += 30 * 60 * 1000;
+    const standings = await getStandings('2025-01-18');
+
+    expect(calls).toBe(1);
+    expect(standings[0].teamAbbrev.default).toBe('TOR');
+  });
+
+  test('expired entries are revalidated with their ETag', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(200, { gameState: 'LIVE' }, { ETag: '"v1"' });
+    nock('https://api-web.nhle.com', { reqheaders: { 'if-none-match': '"v1"' } })
+      .get(landingPath)
+      .reply(304);
+
+    await getGameStatus('2024020500');
+    now += 60 * 1000;
+    const landing = await getGameStatus('2024020500');
+
+    expect(landing).toEqual({ gameState: 'LIVE' });
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('serves the last response while the API is failing', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(200, { gameState: 'LIVE' })
+      .get(landingPath)
+      .times(3)
+      .reply(503, 'Service Unavailable');
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    await getGameStatus('2024020500');
+    now += 60 * 1000;
+
+    expect(await getGameStatus('2024020500')).toEqual({ gameState: 'LIVE' });
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('a 404 is not papered over with a cached response', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(200, { gameState: 'LIVE' })
+      .get(landingPath)
+      .reply(404, 'Not Found');
+
+    await getGameStatus('2024020500');
+    now += 60 * 1000;
+
+    expect(await getGameStatus('2024020500')).toBeNull();
+  });
+});
+
+describe('retries and typed errors', () => {
+  const landingPath = '/v1/gamecenter/2024020600/landing';
+
+  beforeEach(() => {
+    // No backoff delay between retries
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  test('a server error is retried', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(503, 'Service Unavailable')
+      .get(landingPath)
+      .reply(200, { gameState: 'LIVE' });
+
+    expect(await getGameStatus('2024020600')).toEqual({ gameState: 'LIVE' });
+    expect(getApiHealth()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('a rate limited request waits for Retry-After and is retried', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(429, 'Too Many Requests', { 'Retry-After': '0' })
+      .get(landingPath)
+      .reply(200, { gameState: 'CRIT' });
+
+    expect(await getGameStatus('2024020600')).toEqual({ gameState: 'CRIT' });
+  });
+
+  test('an outage is thrown as a typed error instead of looking like no data', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .times(3)
+      .reply(500, 'Internal Server Error');
+
+    await expect(getGameStatus('2024020600')).rejects.toBeInstanceOf(ServerError);
+    expect(nock.isDone()).toBe(true);
+    expect(getApiHealth().consecutiveFailures).toBe(1);
+  });
+
+  test('a missing resource is not retried and returns null', async () => {
+    nock('https://api-web.nhle.com')
+      .get(landingPath)
+      .reply(404, 'Not Found');
+
+    expect(await getGameStatus('2024020600')).toBeNull();
+    expect(getApiHealth().consecutiveFailures).toBe(0);
+  });
+});
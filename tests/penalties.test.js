@@ -0,0 +1,216 @@
+import {
+  parseClock,
+  getGameSeconds,
+  formatGameSeconds,
+  formatInfraction,
+  getCurrentGameSeconds,
+  getPenaltyDetails,
+  findNewPenalties,
+  recordPostedPenalty,
+  findEndedPowerPlays
+} from '../src/tracking/penalties.js';
+import { createGameTracker } from '../src/tracking/gameTracker.js';
+
+const game = {
+  homeTeam: { id: 10, abbrev: 'TOR' },
+  awayTeam: { id: 8, abbrev: 'MTL' }
+};
+
+const rosterSpots = [
+  { playerId: 1, teamId: 10, firstName: { default: 'Morgan' }, lastName: { default: 'Rielly' }, sweaterNumber: 44 },
+  { playerId: 2, teamId: 8, firstName: { default: 'Nick' }, lastName: { default: 'Suzuki' }, sweaterNumber: 14 },
+  { playerId: 3, teamId: 8, firstName: { default: 'Cole' }, lastName: { default: 'Caufield' }, sweaterNumber: 22 }
+];
+
+const penalty = (eventId, teamId, { period = 1, time = '05:00', duration = 2, typeCode = 'MIN', descKey = 'tripping', committedBy = 1, drawnBy = 2 } = {}) => ({
+  eventId,
+  typeDescKey: 'penalty',
+  periodDescriptor: { number: period },
+  timeInPeriod: time,
+  details: {
+    eventOwnerTeamId: teamId,
+    typeCode,
+    descKey,
+    duration,
+    committedByPlayerId: committedBy,
+    drawnByPlayerId: drawnBy
+  }
+});
+
+const goal = (eventId, teamId, period, time) => ({
+  eventId,
+  typeDescKey: 'goal',
+  periodDescriptor: { number: period },
+  timeInPeriod: time,
+  details: {
+    eventOwnerTeamId: teamId,
+    scoringPlayer: { firstName: { default: 'Cole' }, lastName: { default: 'Caufield' }, sweaterNumber: 22 }
+  }
+});
+
+describe('game clock helpers', () => {
+  test('converts period clocks to game seconds and back', () => {
+    expect(parseClock('05:12')).toBe(312);
+    expect(getGameSeconds(2, '05:12')).toBe(1512);
+    expect(formatGameSeconds(1512)).toBe('P2 05:12');
+    expect(formatGameSeconds(3690)).toBe('OT 01:30');
+  });
+
+  test('reads the live clock from the landing endpoint', () => {
+    const landing = (periodType, secondsRemaining, extra = {}) => ({
+      gameType: 2,
+      periodDescriptor: { number: periodType === 'OT' ? 4 : 2, periodType },
+      clock: { secondsRemaining, inIntermission: false, ...extra }
+    });
+
+    expect(getCurrentGameSeconds(landing('REG', 1000))).toBe(1400);
+    expect(getCurrentGameSeconds(landing('OT', 240))).toBe(3660);
+    expect(getCurrentGameSeconds(landing('REG', 1000, { inIntermission: true }))).toBeNull();
+  });
+
+  test('formats infraction keys', () => {
+    expect(formatInfraction('delaying-game-puck-over-glass')).toBe('Delaying game puck over glass');
+    expect(formatInfraction(undefined)).toBe('Unknown infraction');
+  });
+
+  test('translates clocks and infractions, keeping the English label for unknown keys', () => {
+    expect(formatGameSeconds(1500, 'fr')).toBe('2e 05:00');
+    expect(formatInfraction('tripping', 'fr')).toBe('Faire trébucher');
+    expect(formatInfraction('slew-footing', 'fr')).toBe('Slew footing');
+  });
+});
+
+describe('getPenaltyDetails', () => {
+  test('names the players and opens a power play for the other team', () => {
+    const details = getPenaltyDetails(penalty(100, 10, { period: 2, time: '19:00' }), game, { rosterSpots });
+
+    expect(details).toMatchObject({
+      teamAbbrev: 'TOR',
+      player: 'Morgan Rielly #44',
+      drawnBy: 'Nick Suzuki #14',
+      infraction: 'Tripping',
+      minutes: 2,
+      period: 'P2',
+      timeInPeriod: '19:00'
+    });
+    expect(details.powerPlay).toEqual({ team: 'MTL', startSeconds: 2340, endSeconds: 2460, endsOnGoal: true });
+    expect(formatGameSeconds(details.powerPlay.endSeconds)).toBe('P3 01:00');
+  });
+
+  test('coincidental penalties and misconducts give no power play', () => {
+    const plays = [penalty(100, 10, { descKey: 'roughing' }), penalty(101, 8, { descKey: 'roughing', committedBy: 2, drawnBy: 1 })];
+    const roughing = getPenaltyDetails(plays[0], game, { rosterSpots, penaltyPlays: plays });
+    const misconduct = getPenaltyDetails(penalty(102, 8, { duration: 10, typeCode: 'MIS', descKey: 'misconduct' }), game, { rosterSpots });
+
+    expect(roughing.coincidental).toBe(true);
+    expect(roughing.powerPlay).toBeNull();
+    expect(misconduct.powerPlay).toBeNull();
+  });
+
+  test('majors run their full length even if the power play scores', () => {
+    const major = getPenaltyDetails(penalty(100, 10, { duration: 5, typeCode: 'MAJ', descKey: 'fighting' }), game, { rosterSpots });
+
+    expect(major.powerPlay.endsOnGoal).toBe(false);
+    expect(major.powerPlay.endSeconds - major.powerPlay.startSeconds).toBe(300);
+  });
+});
+
+describe('power play follow-ups', () => {
+  const postPenalty = (tracker, play, gameSeconds) => {
+    const details = getPenaltyDetails(play, game, { rosterSpots });
+    recordPostedPenalty(tracker, details, [{ guildId: 'guild-1', channelId: 'channel-1', messageId: `msg-${play.eventId}` }], gameSeconds);
+    return details;
+  };
+
+  test('posted penalties are not reported as new again', () => {
+    const tracker = createGameTracker();
+    const plays = [penalty(100, 10), penalty(101, 8)];
+    postPenalty(tracker, plays[0], 300);
+
+    expect(findNewPenalties(tracker, plays)).toEqual([plays[1]]);
+  });
+
+  test('a power-play goal ends the minor once', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00' }), 300);
+    const scoringPlays = [goal(200, 8, 1, '06:10')];
+
+    const ended = findEndedPowerPlays(tracker, { scoringPlays, game, gameSeconds: 375 });
+    expect(ended).toHaveLength(1);
+    expect(ended[0].reason).toBe('goal');
+    expect(ended[0].goal.eventId).toBe(200);
+
+    expect(findEndedPowerPlays(tracker, { scoringPlays, game, gameSeconds: 500 })).toEqual([]);
+  });
+
+  test('a shorthanded goal does not end the power play', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00' }), 300);
+
+    const ended = findEndedPowerPlays(tracker, { scoringPlays: [goal(200, 10, 1, '06:00')], game, gameSeconds: 370 });
+    expect(ended).toEqual([]);
+  });
+
+  test('the power play expires when its time runs out, but not during intermission', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '19:00' }), 1140);
+
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: null })).toEqual([]);
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 1230 })).toEqual([]);
+
+    const ended = findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 1261 });
+    expect(ended).toHaveLength(1);
+    expect(ended[0].reason).toBe('expired');
+  });
+
+  test('a goal ends the first half of a double minor, and a second goal ends the rest', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00', duration: 4, descKey: 'high-sticking-double-minor' }), 300);
+    const firstGoal = goal(200, 8, 1, '06:00');
+
+    const [first] = findEndedPowerPlays(tracker, { scoringPlays: [firstGoal], game, gameSeconds: 365 });
+    expect(first).toMatchObject({ reason: 'firstMinor', fullStrength: false });
+    expect(first.goal.eventId).toBe(200);
+    // The remaining minor runs two full minutes from the goal, and the same goal isn't counted again
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [firstGoal], game, gameSeconds: 470 })).toEqual([]);
+
+    const [second] = findEndedPowerPlays(tracker, { scoringPlays: [firstGoal, goal(201, 8, 1, '07:30')], game, gameSeconds: 455 });
+    expect(second).toMatchObject({ reason: 'goal', fullStrength: true });
+    expect(second.goal.eventId).toBe(201);
+  });
+
+  test('a double minor without a goal expires two minutes after its first goal, or after four', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00', duration: 4 }), 300);
+    findEndedPowerPlays(tracker, { scoringPlays: [goal(200, 8, 1, '06:00')], game, gameSeconds: 365 });
+
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 470 })).toEqual([]);
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 481 })[0].reason).toBe('expired');
+
+    const untouched = createGameTracker();
+    postPenalty(untouched, penalty(101, 10, { time: '05:00', duration: 4 }), 300);
+    expect(findEndedPowerPlays(untouched, { scoringPlays: [], game, gameSeconds: 500 })).toEqual([]);
+    expect(findEndedPowerPlays(untouched, { scoringPlays: [], game, gameSeconds: 540 })[0].reason).toBe('expired');
+  });
+
+  test('only reports full strength once no other power play is running', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00' }), 300);
+    postPenalty(tracker, penalty(101, 8, { time: '06:00', committedBy: 2, drawnBy: 1 }), 360);
+
+    // TOR's minor runs out while MTL's is still being served (4-on-4 back to 5-on-4)
+    const [first] = findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 425 });
+    expect(first).toMatchObject({ reason: 'expired', fullStrength: false });
+    expect(first.posted.penalty.eventId).toBe(100);
+
+    const [second] = findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 485 });
+    expect(second).toMatchObject({ reason: 'expired', fullStrength: true });
+  });
+
+  test('a power play that ran out before the penalty was first seen gets no follow-up', () => {
+    const tracker = createGameTracker();
+    postPenalty(tracker, penalty(100, 10, { time: '05:00' }), 900);
+
+    expect(findEndedPowerPlays(tracker, { scoringPlays: [], game, gameSeconds: 900 })).toEqual([]);
+  });
+});
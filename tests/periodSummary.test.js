@@ -0,0 +1,67 @@
+import { buildPeriodSummary, buildPeriodSummaryFields } from '../src/embeds/periodSummary.js';
+
+const landing = {
+  awayTeam: { abbrev: 'MTL', score: 1, sog: 19 },
+  homeTeam: { abbrev: 'TOR', score: 2, sog: 22 },
+  periodDescriptor: { number: 2, periodType: 'REG' },
+  summary: {
+    scoring: [
+      { periodDescriptor: { number: 1 }, goals: [{ teamAbbrev: { default: 'TOR' } }] },
+      { periodDescriptor: { number: 2 }, goals: [{ teamAbbrev: { default: 'MTL' } }, { teamAbbrev: { default: 'TOR' } }] }
+    ]
+  }
+};
+
+const rightRail = {
+  linescore: {
+    byPeriod: [
+      { periodDescriptor: { number: 1, periodType: 'REG' }, away: 0, home: 1 },
+      { periodDescriptor: { number: 2, periodType: 'REG' }, away: 1, home: 1 }
+    ]
+  },
+  shotsByPeriod: [
+    { periodDescriptor: { number: 1, periodType: 'REG' }, away: 8, home: 12 },
+    { periodDescriptor: { number: 2, periodType: 'REG' }, away: 11, home: 10 }
+  ]
+};
+
+describe('buildPeriodSummary', () => {
+  test('takes goals and shots by period from the right rail', () => {
+    const summary = buildPeriodSummary(landing, rightRail);
+
+    expect(summary.periods).toEqual([
+      { period: 'P1', away: { goals: 0, shots: 8 }, home: { goals: 1, shots: 12 } },
+      { period: 'P2', away: { goals: 1, shots: 11 }, home: { goals: 1, shots: 10 } }
+    ]);
+    expect(summary.away).toEqual({ abbrev: 'MTL', score: 1, sog: 19 });
+  });
+
+  test('counts goals from the landing summary without the right rail', () => {
+    const summary = buildPeriodSummary(landing, null);
+
+    expect(summary.periods.map(({ away, home }) => [away.goals, home.goals])).toEqual([[0, 1], [1, 1]]);
+    expect(summary.periods[0].away.shots).toBeNull();
+  });
+
+  test('leaves the shootout out', () => {
+    const shootout = { ...landing, periodDescriptor: { number: 5, periodType: 'SO' } };
+
+    expect(buildPeriodSummary(shootout, null).periods.map(row => row.period)).toEqual(['P1', 'P2', 'P3', 'OT']);
+  });
+});
+
+describe('buildPeriodSummaryFields', () => {
+  test('lists each period with its shots, then total shots', () => {
+    const fields = buildPeriodSummaryFields(buildPeriodSummary(landing, rightRail));
+
+    expect(fields[0].value).toBe('**P1** MTL 0 – 1 TOR · shots 8 – 12\n**P2** MTL 1 – 1 TOR · shots 11 – 10');
+    expect(fields[1]).toEqual({ name: '🎯 Shots on Goal', value: 'MTL 19 – 22 TOR', inline: true });
+  });
+
+  test('uses French period labels', () => {
+    const [field] = buildPeriodSummaryFields(buildPeriodSummary(landing, null), 'fr');
+
+    expect(field.name).toBe('📋 Période par période');
+    expect(field.value).toBe('**1re** MTL 0 – 1 TOR\n**2e** MTL 1 – 1 TOR');
+  });
+});
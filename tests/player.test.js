@@ -0,0 +1,97 @@
+import {
+  buildPlayerEmbed,
+  formatStatLine,
+  formatLastGames,
+  formatPlusMinus,
+  formatSavePct
+} from '../src/embeds/player.js';
+
+const skater = {
+  playerId: 8479318,
+  firstName: { default: 'Auston' },
+  lastName: { default: 'Matthews' },
+  position: 'C',
+  sweaterNumber: 34,
+  shootsCatches: 'L',
+  currentTeamAbbrev: 'TOR',
+  fullTeamName: { default: 'Toronto Maple Leafs' },
+  headshot: 'https://assets.nhle.com/mugs/nhl/20242025/TOR/8479318.png',
+  featuredStats: {
+    season: 20242025,
+    regularSeason: {
+      subSeason: { gamesPlayed: 20, goals: 12, assists: 9, points: 21, plusMinus: 4 }
+    }
+  },
+  careerTotals: {
+    regularSeason: { gamesPlayed: 600, goals: 380, assists: 300, points: 680, plusMinus: 90, avgToi: '20:15' }
+  },
+  // Traded mid-season: TOI is averaged across both rows, weighted by games
+  seasonTotals: [
+    { season: 20242025, gameTypeId: 2, leagueAbbrev: 'NHL', gamesPlayed: 10, avgToi: '20:00' },
+    { season: 20242025, gameTypeId: 2, leagueAbbrev: 'NHL', gamesPlayed: 10, avgToi: '21:00' },
+    { season: 20242025, gameTypeId: 3, leagueAbbrev: 'NHL', gamesPlayed: 4, avgToi: '25:00' }
+  ],
+  last5Games: [
+    { gameDate: '2024-11-20', opponentAbbrev: 'MTL', homeRoadFlag: 'H', goals: 2, assists: 1, plusMinus: 2, toi: '19:44' },
+    { gameDate: '2024-11-18', opponentAbbrev: 'BOS', homeRoadFlag: 'R', goals: 0, assists: 0, plusMinus: -1, toi: '21:02' }
+  ]
+};
+
+describe('player stat formatting', () => {
+  test('formatPlusMinus signs the value and shows even as E', () => {
+    expect(formatPlusMinus(3)).toBe('+3');
+    expect(formatPlusMinus(-2)).toBe('-2');
+    expect(formatPlusMinus(0)).toBe('E');
+  });
+
+  test('formatSavePct drops the leading zero', () => {
+    expect(formatSavePct(0.9154)).toBe('.915');
+    expect(formatSavePct(1)).toBe('1.000');
+    expect(formatSavePct(undefined)).toBe('N/A');
+  });
+
+  test('goalie lines show record, GAA and SV%', () => {
+    const line = formatStatLine(
+      { gamesPlayed: 15, wins: 9, losses: 4, otLosses: 2, goalsAgainstAvg: 2.456, savePctg: 0.917, shutouts: 1 },
+      true
+    );
+
+    expect(line).toBe('GP 15 · 9-4-2 · GAA 2.46 · SV% .917 · SO 1');
+  });
+
+  test('formatLastGames shows home/road and the skater line', () => {
+    expect(formatLastGames(skater.last5Games, false)).toBe(
+      'Nov 20 vs MTL — 2G 1A, +2, 19:44\nNov 18 @ BOS — 0G 0A, -1, 21:02'
+    );
+    expect(formatLastGames([], false)).toBe('No recent games');
+  });
+
+  test('formatLastGames shows the goalie decision and save percentage', () => {
+    const games = [{ gameDate: '2024-11-20', opponentAbbrev: 'OTT', homeRoadFlag: 'R', decision: 'W', goalsAgainst: 2, savePctg: 0.9333 }];
+
+    expect(formatLastGames(games, true)).toBe('Nov 20 @ OTT — W, 2 GA, .933 SV%');
+  });
+});
+
+describe('buildPlayerEmbed', () => {
+  test('shows number, position, team and the season, career and recent lines', () => {
+    const embed = buildPlayerEmbed(skater).toJSON();
+
+    expect(embed.title).toBe('#34 Auston Matthews');
+    expect(embed.description).toBe('Center · Toronto Maple Leafs · Shoots L');
+    expect(embed.thumbnail.url).toBe(skater.headshot);
+    expect(embed.fields[0]).toMatchObject({
+      name: '📊 2024-25 Season',
+      value: 'GP 20 · G 12 · A 9 · P 21 · +/- +4 · TOI 20:30'
+    });
+    expect(embed.fields[1].value).toBe('GP 600 · G 380 · A 300 · P 680 · +/- +90 · TOI 20:15');
+    expect(embed.fields[2].value).toContain('Nov 20 vs MTL');
+  });
+
+  test('handles players without stats this season', () => {
+    const embed = buildPlayerEmbed({ ...skater, featuredStats: undefined, last5Games: undefined }).toJSON();
+
+    expect(embed.fields[0]).toMatchObject({ name: '📊 This Season', value: 'No NHL games' });
+    expect(embed.fields[2].value).toBe('No recent games');
+  });
+});
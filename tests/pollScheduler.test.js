@@ -0,0 +1,79 @@
+import { getNextPollDelay, formatDelay, POLL_INTERVALS, PUCK_DROP_GRACE_MS } from '../src/tracking/pollScheduler.js';
+
+const now = Date.parse('2025-01-18T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('getNextPollDelay', () => {
+  test('polls fast while the puck is in play', () => {
+    const liveGames = [
+      { gameState: 'LIVE', inIntermission: true, isFinal: false },
+      { gameState: 'CRIT', inIntermission: false, isFinal: false }
+    ];
+
+    expect(getNextPollDelay({ liveGames, now })).toBe(POLL_INTERVALS.live);
+  });
+
+  test('backs off during intermissions', () => {
+    const liveGames = [{ gameState: 'LIVE', inIntermission: true, isFinal: false }];
+
+    expect(getNextPollDelay({ liveGames, now })).toBe(POLL_INTERVALS.intermission);
+  });
+
+  test('checks a delayed game every minute until the puck drops', () => {
+    const delayed = { gameState: 'PRE', inIntermission: false, isFinal: false };
+    const intermission = { gameState: 'LIVE', inIntermission: true, isFinal: false };
+
+    expect(getNextPollDelay({ liveGames: [delayed], now })).toBe(POLL_INTERVALS.pregame);
+    expect(getNextPollDelay({ liveGames: [delayed, intermission], now })).toBe(POLL_INTERVALS.pregame);
+  });
+
+  test('final games no longer keep polling fast', () => {
+    const liveGames = [{ gameState: 'OFF', inIntermission: false, isFinal: true }];
+    const upcomingGames = [{ startTime: now + 2 * 24 * 60 * MINUTE, previewLeadMinutes: 0 }];
+
+    expect(getNextPollDelay({ liveGames, upcomingGames, now })).toBe(POLL_INTERVALS.idle);
+  });
+
+  test('sleeps until the preview window opens, then until puck drop', () => {
+    const upcomingGames = [{ startTime: now + 3 * 60 * MINUTE, previewLeadMinutes: 60 }];
+
+    expect(getNextPollDelay({ upcomingGames, now })).toBe(2 * 60 * MINUTE);
+    expect(getNextPollDelay({ upcomingGames, now: now + 2 * 60 * MINUTE })).toBe(60 * MINUTE);
+  });
+
+  test('uses the earliest of several teams\' games', () => {
+    const upcomingGames = [
+      { startTime: now + 5 * 60 * MINUTE, previewLeadMinutes: 0 },
+      { startTime: now + 90 * MINUTE, previewLeadMinutes: 30 }
+    ];
+
+    expect(getNextPollDelay({ upcomingGames, now })).toBe(60 * MINUTE);
+  });
+
+  test('keeps checking for a late puck drop after the scheduled start', () => {
+    const upcomingGames = [{ startTime: now - 10 * MINUTE, previewLeadMinutes: 0 }];
+
+    expect(getNextPollDelay({ upcomingGames, now })).toBe(POLL_INTERVALS.pregame);
+    expect(getNextPollDelay({ upcomingGames, now: now - 10 * MINUTE + PUCK_DROP_GRACE_MS })).toBe(POLL_INTERVALS.idle);
+  });
+
+  test('keeps checking every minute while the API is failing', () => {
+    const upcomingGames = [{ startTime: now + 3 * 60 * MINUTE, previewLeadMinutes: 0 }];
+
+    expect(getNextPollDelay({ upcomingGames, apiHealthy: false, now })).toBe(POLL_INTERVALS.pregame);
+  });
+
+  test('never sleeps longer than the idle interval', () => {
+    expect(getNextPollDelay({ now })).toBe(POLL_INTERVALS.idle);
+    expect(getNextPollDelay({ upcomingGames: [{ startTime: now + 90 * 24 * 60 * MINUTE }], now })).toBe(POLL_INTERVALS.idle);
+  });
+});
+
+describe('formatDelay', () => {
+  test('formats short and long delays', () => {
+    expect(formatDelay(15 * 1000)).toBe('15s');
+    expect(formatDelay(12 * MINUTE)).toBe('12m');
+    expect(formatDelay(200 * MINUTE)).toBe('3h 20m');
+    expect(formatDelay(6 * 60 * MINUTE)).toBe('6h');
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  isPreviewDue,
+  getTeamRecord,
+  summarizeSeasonSeries,
+  getProjectedGoalies,
+  buildPreviewEmbed
+} from '../src/embeds/preview.js';
+import { createStore, createMemoryBackend, setStore } from '../src/storage/store.js';
+import { hasPostedPreview, markPreviewPosted, prunePreviews } from '../src/storage/previews.js';
+
+const game = {
+  id: 2024020500,
+  gameScheduleState: 'OK',
+  startTimeUTC: '2024-12-14T00:00:00Z',
+  venue: { default: 'Rogers Arena' },
+  homeTeam: { abbrev: 'VAN' },
+  awayTeam: { abbrev: 'TOR' }
+};
+
+const seriesGame = (id, awayScore, homeScore, gameState = 'OFF') => ({
+  id,
+  gameState,
+  awayTeam: { abbrev: 'TOR', score: awayScore },
+  homeTeam: { abbrev: 'VAN', score: homeScore }
+});
+
+describe('isPreviewDue', () => {
+  test('opens the window the configured minutes before puck drop', () => {
+    expect(isPreviewDue(game, 60, new Date('2024-12-13T22:59:00Z'))).toBe(false);
+    expect(isPreviewDue(game, 60, new Date('2024-12-13T23:00:00Z'))).toBe(true);
+    expect(isPreviewDue(game, 60, new Date('2024-12-13T23:59:00Z'))).toBe(true);
+    expect(isPreviewDue(game, 60, new Date('2024-12-14T00:00:00Z'))).toBe(false);
+  });
+
+  test('is never due when previews are disabled or the game is postponed', () => {
+    const now = new Date('2024-12-13T23:30:00Z');
+
+    expect(isPreviewDue(game, 0, now)).toBe(false);
+    expect(isPreviewDue({ ...game, gameScheduleState: 'PPD' }, 60, now)).toBe(false);
+  });
+});
+
+describe('getTeamRecord', () => {
+  test('prefers the landing record and falls back to standings', () => {
+    const standings = [{ teamAbbrev: { default: 'TOR' }, wins: 18, losses: 9, otLosses: 2 }];
+
+    expect(getTeamRecord('VAN', 'home', { homeTeam: { record: '15-8-5' } }, standings)).toBe('15-8-5');
+    expect(getTeamRecord('TOR', 'away', {}, standings)).toBe('18-9-2');
+    expect(getTeamRecord('MTL', 'away', {}, standings)).toBeNull();
+  });
+});
+
+describe('summarizeSeasonSeries', () => {
+  test('reports the first meeting', () => {
+    expect(summarizeSeasonSeries(game, 'TOR', { seasonSeries: [seriesGame(game.id, 0, 0, 'FUT')] })).toBe('First meeting this season');
+    expect(summarizeSeasonSeries(game, 'TOR', { seasonSeries: [seriesGame(game.id, 0, 0, 'FUT')] }, null, 'fr')).toBe('Premier affrontement de la saison');
+  });
+
+  test('reports who leads from the followed team\'s perspective', () => {
+    const rightRail = { seasonSeries: [seriesGame(1, 4, 2), seriesGame(2, 1, 3), seriesGame(3, 5, 1)] };
+
+    expect(summarizeSeasonSeries(game, 'TOR', rightRail)).toBe('TOR leads 2-1');
+    expect(summarizeSeasonSeries(game, 'VAN', rightRail)).toBe('TOR leads 2-1');
+  });
+
+  test('reports a tied series', () => {
+    const rightRail = { seasonSeries: [seriesGame(1, 4, 2), seriesGame(2, 1, 3)] };
+
+    expect(summarizeSeasonSeries(game, 'VAN', rightRail)).toBe('Series tied 1-1');
+  });
+});
+
+describe('getProjectedGoalies', () => {
+  test('picks the goalie with the most games for each side', () => {
+    const landing = {
+      matchup: {
+        goalieComparison: {
+          awayTeam: {
+            leaders: [
+              { name: { default: 'J. Woll' }, gamesPlayed: 12, record: '8-3-1', savePctg: 0.915 },
+              { name: { default: 'A. Stolarz' }, gamesPlayed: 16, record: '10-4-2', savePctg: 0.921 }
+            ]
+          },
+          homeTeam: { leaders: [] }
+        }
+      }
+    };
+
+    expect(getProjectedGoalies(landing)).toEqual({ away: 'A. Stolarz (10-4-2, .921 SV%)', home: null });
+  });
+
+  test('returns null when the API has no goalie data', () => {
+    expect(getProjectedGoalies({})).toBeNull();
+  });
+});
+
+describe('buildPreviewEmbed', () => {
+  test('shows the start time in the guild time zone', () => {
+    const embed = buildPreviewEmbed(game, { team: 'TOR', timeZone: 'America/Vancouver' });
+    const fields = Object.fromEntries(embed.data.fields.map(f => [f.name, f.value]));
+
+    expect(embed.data.title).toBe('🏒 Game Day: TOR @ VAN');
+    expect(fields['🆚 Opponent']).toBe('@ Vancouver Canucks');
+    expect(fields['🏟️ Venue']).toBe('Rogers Arena');
+    expect(fields['🕐 Start Time']).toContain('4:00 PM PST');
+  });
+
+  test('translates the embed for French servers', () => {
+    const embed = buildPreviewEmbed(game, { team: 'TOR', timeZone: 'America/Vancouver', locale: 'fr-CA', language: 'fr' });
+
+    expect(embed.data.title).toBe('🏒 Jour de match : TOR à VAN');
+  });
+
+  test('counts down to puck drop with a Discord timestamp', () => {
+    const embed = buildPreviewEmbed(game, { team: 'TOR', timeZone: 'America/Vancouver', locale: 'fr-CA' });
+    const unix = new Date(game.startTimeUTC).getTime() / 1000;
+
+    expect(embed.data.description).toBe(`Puck drop <t:${unix}:R>!`);
+    expect(embed.data.fields.find(f => f.name === '🕐 Start Time').value).toContain(`<t:${unix}:t>`);
+  });
+});
+
+describe('preview storage', () => {
+  beforeEach(async () => {
+    const store = createStore(createMemoryBackend());
+    await store.load();
+    setStore(store);
+  });
+
+  test('remembers which channels already got a preview', async () => {
+    await markPreviewPosted(game.id, 'channel-1', game.startTimeUTC);
+
+    expect(hasPostedPreview(game.id, 'channel-1')).toBe(true);
+    expect(hasPostedPreview(game.id, 'channel-2')).toBe(false);
+  });
+
+  test('prunes previews for games that started long ago', async () => {
+    await markPreviewPosted(game.id, 'channel-1', '2000-01-01T00:00:00Z');
+
+    await expect(prunePreviews()).resolves.toEqual([String(game.id)]);
+    expect(hasPostedPreview(game.id, 'channel-1')).toBe(false);
+  });
+});
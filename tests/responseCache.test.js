@@ -0,0 +1,49 @@
+import { createResponseCache, getCacheTtl, DEFAULT_TTL_MS, MAX_STALE_MS } from '../src/api/responseCache.js';
+
+const BASE = 'https://api-web.nhle.com/v1';
+
+describe('getCacheTtl', () => {
+  test('picks a TTL per endpoint', () => {
+    expect(getCacheTtl(`${BASE}/gamecenter/2024020500/play-by-play`)).toBe(10 * 1000);
+    expect(getCacheTtl(`${BASE}/gamecenter/2024020500/landing`)).toBe(10 * 1000);
+    expect(getCacheTtl(`${BASE}/club-schedule/TOR/week/now`)).toBe(5 * 60 * 1000);
+    expect(getCacheTtl(`${BASE}/club-schedule-season/TOR/now`)).toBe(5 * 60 * 1000);
+    expect(getCacheTtl(`${BASE}/standings/now`)).toBe(60 * 60 * 1000);
+    expect(getCacheTtl(`${BASE}/something-else`)).toBe(DEFAULT_TTL_MS);
+  });
+});
+
+describe('createResponseCache', () => {
+  const entry = (fetchedAt) => ({ body: '{}', etag: null, lastModified: null, fetchedAt });
+
+  test('entries are fresh for their TTL and usable when stale for longer', () => {
+    const cache = createResponseCache();
+    const cached = cache.set('a', entry(0));
+
+    expect(cache.isFresh(cached, 1000, 999)).toBe(true);
+    expect(cache.isFresh(cached, 1000, 1000)).toBe(false);
+    expect(cache.isUsableWhenStale(cached, MAX_STALE_MS - 1)).toBe(true);
+    expect(cache.isUsableWhenStale(cached, MAX_STALE_MS)).toBe(false);
+    expect(cache.isFresh(undefined, 1000, 0)).toBe(false);
+  });
+
+  test('touch refreshes an entry after a 304', () => {
+    const cache = createResponseCache();
+    cache.set('a', entry(0));
+    cache.touch('a', 5000);
+
+    expect(cache.get('a').fetchedAt).toBe(5000);
+  });
+
+  test('drops the least recently stored entries past the size limit', () => {
+    const cache = createResponseCache({ maxEntries: 2 });
+    cache.set('a', entry(0));
+    cache.set('b', entry(0));
+    cache.set('a', entry(1));
+    cache.set('c', entry(2));
+
+    expect(cache.size).toBe(2);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a').fetchedAt).toBe(1);
+  });
+});
@@ -0,0 +1,34 @@
+import { getRolePing } from '../src/notifications/rolePings.js';
+import { DEFAULT_GUILD_SETTINGS } from '../src/storage/guildSettings.js';
+
+const settings = (overrides) => ({ ...DEFAULT_GUILD_SETTINGS, ...overrides });
+
+describe('getRolePing', () => {
+  test('no role configured means no mention and no pings', () => {
+    expect(getRolePing(settings({}), 'goal')).toEqual({ allowedMentions: { parse: [] } });
+    expect(getRolePing(settings({}), 'gameStart')).toEqual({ allowedMentions: { parse: [] } });
+  });
+
+  test('mentions only the configured role', () => {
+    const ping = getRolePing(settings({ goalRoleId: '123' }), 'goal');
+
+    expect(ping.content).toBe('<@&123>');
+    expect(ping.allowedMentions).toEqual({ parse: [], roles: ['123'] });
+  });
+
+  test('uses the game start role for puck drop', () => {
+    const ping = getRolePing(settings({ goalRoleId: '123', gameStartRoleId: '456' }), 'gameStart');
+
+    expect(ping.content).toBe('<@&456>');
+    expect(ping.allowedMentions.roles).toEqual(['456']);
+  });
+
+  test('opponent goals ping unless limited to the followed team', () => {
+    const everyGoal = settings({ goalRoleId: '123' });
+    const ownGoalsOnly = settings({ goalRoleId: '123', pingOpponentGoals: false });
+
+    expect(getRolePing(everyGoal, 'goal', { followedTeamScored: false }).content).toBe('<@&123>');
+    expect(getRolePing(ownGoalsOnly, 'goal', { followedTeamScored: false }).content).toBeUndefined();
+    expect(getRolePing(ownGoalsOnly, 'goal', { followedTeamScored: true }).content).toBe('<@&123>');
+  });
+});
@@ -0,0 +1,77 @@
+import { buildRosterPages, formatRosterPlayer, getAge } from '../src/embeds/roster.js';
+
+const now = new Date(2024, 10, 20); // Nov 20, 2024
+
+const player = (id, last, positionCode, sweaterNumber, extra = {}) => ({
+  id,
+  firstName: { default: 'Test' },
+  lastName: { default: last },
+  positionCode,
+  sweaterNumber,
+  shootsCatches: 'L',
+  birthDate: '1997-09-17',
+  ...extra
+});
+
+describe('roster formatting', () => {
+  test('getAge counts a birthday only once it has passed', () => {
+    expect(getAge('1997-09-17', now)).toBe(27);
+    expect(getAge('1997-11-21', now)).toBe(26);
+    expect(getAge('1997-11-20', now)).toBe(27);
+    expect(getAge(undefined, now)).toBeNull();
+  });
+
+  test('formatRosterPlayer shows number, position, handedness and age', () => {
+    expect(formatRosterPlayer(player(1, 'Matthews', 'C', 34), now)).toBe('`#34` Test Matthews · C · L · Age 27');
+  });
+
+  test('formatRosterPlayer translates the age', () => {
+    expect(formatRosterPlayer(player(1, 'Matthews', 'C', 34), now, 'fr')).toBe('`#34` Test Matthews · C · L · 27 ans');
+  });
+});
+
+describe('buildRosterPages', () => {
+  test('groups forwards, defense and goalies sorted by number', () => {
+    const roster = {
+      forwards: [player(1, 'Nylander', 'R', 88), player(2, 'Matthews', 'C', 34)],
+      defensemen: [player(3, 'Rielly', 'D', 44)],
+      goalies: [player(4, 'Stolarz', 'G', 41, { shootsCatches: 'R' })]
+    };
+
+    const pages = buildRosterPages(roster, 'TOR', now);
+    const embed = pages[0].toJSON();
+
+    expect(pages).toHaveLength(1);
+    expect(embed.title).toBe('📋 Toronto Maple Leafs Roster');
+    expect(embed.fields.map(field => field.name)).toEqual(['🏒 Forwards (2)', '🛡️ Defense (1)', '🥅 Goalies (1)']);
+    expect(embed.fields[0].value.split('\n')[0]).toContain('Matthews');
+    expect(embed.footer.text).toBe('Data from NHL API');
+  });
+
+  test('splits long groups into fields and pages within Discord limits', () => {
+    const longName = 'X'.repeat(60);
+    const roster = {
+      forwards: Array.from({ length: 120 }, (_, i) => player(i, `${longName}${i}`, 'C', i)),
+      defensemen: [],
+      goalies: []
+    };
+
+    const pages = buildRosterPages(roster, 'TOR', now).map(page => page.toJSON());
+
+    expect(pages.length).toBeGreaterThan(1);
+    for (const page of pages) {
+      expect(page.fields.every(field => field.value.length <= 1024)).toBe(true);
+      expect(page.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0)).toBeLessThan(6000);
+    }
+    expect(pages[0].fields[1].name).toBe('🏒 Forwards (cont.)');
+    expect(pages[0].footer.text).toBe(`Page 1/${pages.length} · Data from NHL API`);
+    const lines = pages.flatMap(page => page.fields.flatMap(field => field.value.split('\n')));
+    expect(lines).toHaveLength(120);
+  });
+
+  test('says so when the roster is empty', () => {
+    const [page] = buildRosterPages({ forwards: [], defensemen: [], goalies: [] }, 'TOR', now);
+
+    expect(page.toJSON().description).toBe('No players on the roster.');
+  });
+});
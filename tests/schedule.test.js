@@ -0,0 +1,96 @@
+import { resolveSeasonMonth, formatScheduleGame, buildSchedulePages, formatBroadcasts, SCHEDULE_PAGE_SIZE } from '../src/embeds/schedule.js';
+
+const makeGame = (overrides = {}) => ({
+  id: 2024020001,
+  gameState: 'FUT',
+  startTimeUTC: '2024-10-12T23:00:00Z',
+  venueTimezone: 'America/Toronto',
+  venue: { default: 'Scotiabank Arena' },
+  homeTeam: { abbrev: 'TOR' },
+  awayTeam: { abbrev: 'MTL' },
+  tvBroadcasts: [
+    { network: 'SN', market: 'N' },
+    { network: 'CBC', market: 'N' }
+  ],
+  ...overrides
+});
+
+describe('resolveSeasonMonth', () => {
+  test('fall months belong to the season start year', () => {
+    expect(resolveSeasonMonth(10, new Date('2024-11-20T12:00:00Z'))).toBe('2024-10');
+    expect(resolveSeasonMonth(10, new Date('2025-02-01T12:00:00Z'))).toBe('2024-10');
+  });
+
+  test('spring months belong to the following year', () => {
+    expect(resolveSeasonMonth(3, new Date('2024-11-20T12:00:00Z'))).toBe('2025-03');
+    expect(resolveSeasonMonth(3, new Date('2025-02-01T12:00:00Z'))).toBe('2025-03');
+  });
+});
+
+describe('formatScheduleGame', () => {
+  test('shows home games as "vs" with venue-local time and broadcasts', () => {
+    const field = formatScheduleGame(makeGame(), 'TOR');
+
+    expect(field.name).toBe('Sat, Oct 12 · vs MTL (Home)');
+    expect(field.value).toContain('7:00 PM EDT');
+    expect(field.value).toContain('Scotiabank Arena');
+    expect(field.value).toContain('SN, CBC');
+  });
+
+  test('translates the opponent line and result for French servers', () => {
+    const home = formatScheduleGame(makeGame(), 'TOR', { language: 'fr', locale: 'fr-CA' });
+    const final = formatScheduleGame(makeGame({
+      gameState: 'OFF',
+      homeTeam: { abbrev: 'TOR', score: 4 },
+      awayTeam: { abbrev: 'MTL', score: 2 }
+    }), 'TOR', { language: 'fr' });
+
+    expect(home.name).toContain('c. MTL (Locaux)');
+    expect(final.value).toContain('🏁 Terminé :');
+  });
+
+  test('uses the guild time zone and locale when given, with a countdown', () => {
+    const field = formatScheduleGame(makeGame(), 'TOR', { timeZone: 'Europe/London', locale: 'en-GB' });
+
+    expect(field.name).toBe('Sun 13 Oct · vs MTL (Home)');
+    expect(field.value).toContain('00:00 BST');
+    expect(field.value).toContain('<t:1728774000:R>');
+  });
+
+  test('shows away games as "@"', () => {
+    expect(formatScheduleGame(makeGame(), 'MTL').name).toContain('@ TOR (Away)');
+  });
+
+  test('shows the final score for completed games', () => {
+    const game = makeGame({
+      gameState: 'OFF',
+      homeTeam: { abbrev: 'TOR', score: 4 },
+      awayTeam: { abbrev: 'MTL', score: 2 }
+    });
+
+    expect(formatScheduleGame(game, 'TOR').value).toContain('Final: MTL 2 – 4 TOR');
+  });
+
+  test('broadcasts default to TBD', () => {
+    expect(formatBroadcasts(makeGame({ tvBroadcasts: [] }))).toBe('TBD');
+  });
+});
+
+describe('buildSchedulePages', () => {
+  test('splits games into pages', () => {
+    const games = Array.from({ length: SCHEDULE_PAGE_SIZE + 2 }, (_, i) => makeGame({ id: i }));
+    const pages = buildSchedulePages(games, 'TOR', 'Toronto Maple Leafs: Next 7 Games');
+
+    expect(pages).toHaveLength(2);
+    expect(pages[0].data.fields).toHaveLength(SCHEDULE_PAGE_SIZE);
+    expect(pages[1].data.fields).toHaveLength(2);
+    expect(pages[1].data.footer.text).toContain('Page 2/2');
+  });
+
+  test('returns a single "no games" page for an empty schedule', () => {
+    const pages = buildSchedulePages([], 'TOR', 'Schedule');
+
+    expect(pages).toHaveLength(1);
+    expect(pages[0].data.description).toBe('No games scheduled.');
+  });
+});
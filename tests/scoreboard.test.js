@@ -0,0 +1,97 @@
+import { buildScoreboard, buildScoreboardEmbed, formatPeriodLabel } from '../src/embeds/scoreboard.js';
+
+const landing = (overrides = {}) => ({
+  gameState: 'LIVE',
+  awayTeam: { abbrev: 'MTL', score: 1, sog: 18 },
+  homeTeam: { abbrev: 'TOR', score: 2, sog: 24 },
+  periodDescriptor: { number: 2, periodType: 'REG' },
+  clock: { timeRemaining: '12:34', inIntermission: false },
+  summary: {
+    scoring: [
+      {
+        periodDescriptor: { number: 1, periodType: 'REG' },
+        goals: [
+          { timeInPeriod: '05:12', teamAbbrev: { default: 'TOR' }, name: { default: 'A. Matthews' }, strength: 'pp' }
+        ]
+      },
+      {
+        periodDescriptor: { number: 2, periodType: 'REG' },
+        goals: [
+          { timeInPeriod: '01:02', teamAbbrev: { default: 'MTL' }, firstName: { default: 'Nick' }, lastName: { default: 'Suzuki' }, strength: 'ev' },
+          { timeInPeriod: '07:26', teamAbbrev: { default: 'TOR' }, name: { default: 'W. Nylander' }, strength: 'ev' }
+        ]
+      }
+    ]
+  },
+  ...overrides
+});
+
+describe('formatPeriodLabel', () => {
+  test('labels regulation, overtime and shootout periods', () => {
+    expect(formatPeriodLabel({ number: 3, periodType: 'REG' })).toBe('P3');
+    expect(formatPeriodLabel({ number: 4, periodType: 'OT' })).toBe('OT');
+    expect(formatPeriodLabel({ number: 6, periodType: 'OT' })).toBe('3OT');
+    expect(formatPeriodLabel({ number: 5, periodType: 'SO' })).toBe('SO');
+    expect(formatPeriodLabel(undefined)).toBe('');
+  });
+});
+
+describe('buildScoreboard', () => {
+  test('collects score, shots, clock and the goal log', () => {
+    const scoreboard = buildScoreboard(landing());
+
+    expect(scoreboard.away).toEqual({ abbrev: 'MTL', score: 1, sog: 18 });
+    expect(scoreboard.home).toEqual({ abbrev: 'TOR', score: 2, sog: 24 });
+    expect(scoreboard).toMatchObject({ period: 'P2', clock: '12:34', inIntermission: false, isFinal: false });
+    expect(scoreboard.goals.map(goal => `${goal.period} ${goal.teamAbbrev} ${goal.scorer}`)).toEqual([
+      'P1 TOR A. Matthews',
+      'P2 MTL Nick Suzuki',
+      'P2 TOR W. Nylander'
+    ]);
+  });
+
+  test('returns null without landing data', () => {
+    expect(buildScoreboard(null)).toBeNull();
+  });
+});
+
+describe('buildScoreboardEmbed', () => {
+  test('shows the live state', () => {
+    const embed = buildScoreboardEmbed(buildScoreboard(landing())).toJSON();
+
+    expect(embed.title).toBe('🔴 LIVE: MTL 1 – 2 TOR');
+    expect(embed.description).toBe('**P2 · 12:34 left**');
+    expect(embed.fields[0].value).toBe('MTL 18 – 24 TOR');
+    expect(embed.fields[1].value.split('\n')[0]).toBe('P1 05:12 **TOR** A. Matthews (PP)');
+  });
+
+  test('shows intermissions and games without goals', () => {
+    const embed = buildScoreboardEmbed(buildScoreboard(landing({
+      clock: { timeRemaining: '17:00', inIntermission: true },
+      summary: {}
+    }))).toJSON();
+
+    expect(embed.description).toBe('**End of P2 (intermission)**');
+    expect(embed.fields[1].value).toBe('No goals yet');
+  });
+
+  test('marks the final, including overtime', () => {
+    const embed = buildScoreboardEmbed(buildScoreboard(landing({
+      gameState: 'OFF',
+      periodDescriptor: { number: 4, periodType: 'OT' }
+    }))).toJSON();
+
+    expect(embed.title).toBe('🏁 MTL 1 – 2 TOR');
+    expect(embed.description).toBe('**Final/OT**');
+    expect(embed.footer.text).toBe('Final score');
+  });
+
+  test('translates the live state for French servers', () => {
+    const live = buildScoreboardEmbed(buildScoreboard(landing()), 'fr').toJSON();
+    const quiet = buildScoreboardEmbed(buildScoreboard(landing({ summary: {} })), 'fr').toJSON();
+
+    expect(live.title).toBe('🔴 EN DIRECT : MTL 1 – 2 TOR');
+    expect(live.fields[1].value.split('\n')[0]).toBe('1re 05:12 **TOR** A. Matthews (AN)');
+    expect(quiet.fields[1].value).toBe('Aucun but pour l\'instant');
+  });
+});
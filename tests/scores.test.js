@@ -0,0 +1,70 @@
+import { buildScoresEmbed, formatGameStatus, formatScoreLine } from '../src/embeds/scores.js';
+
+const game = (extra = {}) => ({
+  id: 2024020300,
+  startTimeUTC: '2024-11-21T00:00:00Z',
+  gameState: 'FUT',
+  gameScheduleState: 'OK',
+  awayTeam: { abbrev: 'TOR', score: 2 },
+  homeTeam: { abbrev: 'MTL', score: 1 },
+  ...extra
+});
+
+describe('formatGameStatus', () => {
+  test('shows the start time for upcoming games in the given time zone', () => {
+    expect(formatGameStatus(game(), 'America/Toronto')).toBe('7:00 PM EST');
+    expect(formatGameStatus(game(), 'America/Vancouver')).toBe('4:00 PM PST');
+  });
+
+  test('shows period and clock, or intermission, for live games', () => {
+    const live = { gameState: 'LIVE', periodDescriptor: { number: 2, periodType: 'REG' } };
+
+    expect(formatGameStatus(game({ ...live, clock: { timeRemaining: '12:34' } }))).toBe('P2 12:34');
+    expect(formatGameStatus(game({ ...live, clock: { inIntermission: true } }))).toBe('P2 Intermission');
+  });
+
+  test('marks overtime and shootout finals', () => {
+    expect(formatGameStatus(game({ gameState: 'OFF', gameOutcome: { lastPeriodType: 'REG' } }))).toBe('Final');
+    expect(formatGameStatus(game({ gameState: 'FINAL', gameOutcome: { lastPeriodType: 'SO' } }))).toBe('Final/SO');
+  });
+
+  test('flags postponed games', () => {
+    expect(formatGameStatus(game({ gameScheduleState: 'PPD' }))).toBe('Postponed');
+  });
+
+  test('translates statuses for French servers', () => {
+    const overtime = game({ gameState: 'OFF', gameOutcome: { lastPeriodType: 'OT' } });
+
+    expect(formatGameStatus(overtime, undefined, undefined, 'fr')).toBe('Terminé (Prol.)');
+    expect(formatScoreLine(overtime, undefined, undefined, 'fr')).toBe('🏁 TOR 2 – 1 MTL · Terminé (Prol.)');
+  });
+});
+
+describe('formatScoreLine', () => {
+  test('bolds live scores and leaves scores off games that have not started', () => {
+    const live = game({ gameState: 'CRIT', periodDescriptor: { number: 4, periodType: 'OT' }, clock: { timeRemaining: '3:10' } });
+
+    expect(formatScoreLine(live)).toBe('🔴 **TOR 2 – 1 MTL** · OT 3:10');
+    expect(formatScoreLine(game())).toBe('🕐 TOR @ MTL · 7:00 PM EST');
+    expect(formatScoreLine(game({ gameScheduleState: 'PPD' }))).toBe('⚠️ TOR @ MTL · Postponed');
+  });
+});
+
+describe('buildScoresEmbed', () => {
+  test('lists every game under the day', () => {
+    const embed = buildScoresEmbed({
+      date: '2024-11-20',
+      games: [game({ gameState: 'OFF' }), game({ awayTeam: { abbrev: 'VAN' }, homeTeam: { abbrev: 'EDM' } })]
+    }).toJSON();
+
+    expect(embed.title).toBe('🏒 NHL Scores — Wed, Nov 20');
+    expect(embed.description).toBe('🏁 TOR 2 – 1 MTL · Final\n🕐 VAN @ EDM · 7:00 PM EST');
+  });
+
+  test('says when a team has no game today', () => {
+    const embed = buildScoresEmbed({ date: '2024-11-20', games: [] }, { team: 'TOR' }).toJSON();
+
+    expect(embed.title).toBe('🏒 TOR Score — Wed, Nov 20');
+    expect(embed.description).toBe('No Toronto Maple Leafs game today.');
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  isShootoutPlay,
+  getShootoutPlays,
+  getShootoutAttempt,
+  getShootoutTally,
+  formatShootoutTally,
+  findNewShootoutAttempts,
+  markShootoutAttemptPosted
+} from '../src/tracking/shootout.js';
+import { createGameTracker } from '../src/tracking/gameTracker.js';
+
+const game = {
+  homeTeam: { id: 10, abbrev: 'TOR' },
+  awayTeam: { id: 8, abbrev: 'MTL' }
+};
+
+const rosterSpots = [
+  { playerId: 1, teamId: 10, firstName: { default: 'Auston' }, lastName: { default: 'Matthews' }, sweaterNumber: 34 },
+  { playerId: 2, teamId: 8, firstName: { default: 'Nick' }, lastName: { default: 'Suzuki' }, sweaterNumber: 14 },
+  { playerId: 3, teamId: 8, firstName: { default: 'Samuel' }, lastName: { default: 'Montembeault' }, sweaterNumber: 35 },
+  { playerId: 4, teamId: 10, firstName: { default: 'Joseph' }, lastName: { default: 'Woll' }, sweaterNumber: 60 }
+];
+
+const attempt = (eventId, teamId, typeDescKey, shooterId, goalieId) => ({
+  eventId,
+  typeDescKey,
+  periodDescriptor: { number: 5, periodType: 'SO' },
+  details: {
+    eventOwnerTeamId: teamId,
+    ...(typeDescKey === 'goal' ? { scoringPlayerId: shooterId } : { shootingPlayerId: shooterId }),
+    goalieInNetId: goalieId
+  }
+});
+
+// MTL saved, TOR scores, MTL misses, TOR scores
+const shootout = [
+  attempt(101, 8, 'shot-on-goal', 2, 4),
+  attempt(102, 10, 'goal', 1, 3),
+  attempt(103, 8, 'missed-shot', 2, 4),
+  attempt(104, 10, 'goal', 1, 3)
+];
+
+describe('shootout plays', () => {
+  test('only attempts in the shootout period count', () => {
+    const overtimeGoal = { eventId: 90, typeDescKey: 'goal', periodDescriptor: { number: 4, periodType: 'OT' } };
+    const stoppage = { eventId: 100, typeDescKey: 'stoppage', periodDescriptor: { number: 5, periodType: 'SO' } };
+
+    expect(isShootoutPlay(overtimeGoal)).toBe(false);
+    expect(isShootoutPlay(shootout[0])).toBe(true);
+    expect(getShootoutPlays([overtimeGoal, stoppage, ...shootout])).toEqual(shootout);
+  });
+
+  test('getShootoutAttempt names the shooter and goalie and numbers the round', () => {
+    expect(getShootoutAttempt(shootout[2], game, rosterSpots, shootout)).toEqual({
+      eventId: 103,
+      teamAbbrev: 'MTL',
+      shooter: 'Nick Suzuki #14',
+      goalie: 'Joseph Woll #60',
+      result: 'missed',
+      round: 2
+    });
+    expect(getShootoutAttempt(shootout[1], game, rosterSpots, shootout)).toMatchObject({
+      shooter: 'Auston Matthews #34',
+      goalie: 'Samuel Montembeault #35',
+      result: 'scored',
+      round: 1
+    });
+  });
+});
+
+describe('shootout tally', () => {
+  test('counts goals and attempts per team', () => {
+    const tally = getShootoutTally(shootout, game);
+
+    expect(tally.away).toEqual({ abbrev: 'MTL', scored: 0, attempts: 2, results: ['saved', 'missed'] });
+    expect(tally.home).toEqual({ abbrev: 'TOR', scored: 2, attempts: 2, results: ['scored', 'scored'] });
+    expect(formatShootoutTally(tally)).toBe('MTL ❌❌ 0 – 2 ✅✅ TOR');
+  });
+
+  test('a tally before any attempts shows just the score', () => {
+    expect(formatShootoutTally(getShootoutTally([], game))).toBe('MTL 0 – 0 TOR');
+  });
+});
+
+describe('shootout deduplication', () => {
+  test('posted attempts are not announced again', () => {
+    const tracker = createGameTracker();
+    markShootoutAttemptPosted(tracker, shootout[0]);
+    markShootoutAttemptPosted(tracker, shootout[0]);
+
+    expect(tracker.shootoutAttemptIds).toEqual([101]);
+    expect(findNewShootoutAttempts(tracker, shootout)).toEqual(shootout.slice(1));
+  });
+});
@@ -0,0 +1,97 @@
+import { groupStandings, formatStandingsTable, buildStandingsEmbed } from '../src/embeds/standings.js';
+
+const entry = (abbrev, division, conference, seq, extra = {}) => ({
+  teamAbbrev: { default: abbrev },
+  divisionName: division,
+  conferenceName: conference,
+  divisionSequence: seq.division,
+  conferenceSequence: seq.conference,
+  leagueSequence: seq.league,
+  wildcardSequence: seq.wildcard,
+  gamesPlayed: 10,
+  wins: 6,
+  losses: 3,
+  otLosses: 1,
+  points: 13,
+  pointPctg: 0.65,
+  streakCode: 'W',
+  streakCount: 2,
+  ...extra
+});
+
+// Two 4-team divisions in one conference, one 1-team division in the other
+const standings = [
+  entry('TOR', 'Atlantic', 'Eastern', { division: 1, conference: 1, league: 1, wildcard: 0 }),
+  entry('BOS', 'Atlantic', 'Eastern', { division: 2, conference: 3, league: 3, wildcard: 0 }),
+  entry('FLA', 'Atlantic', 'Eastern', { division: 3, conference: 5, league: 5, wildcard: 0 }),
+  entry('MTL', 'Atlantic', 'Eastern', { division: 4, conference: 7, league: 7, wildcard: 2 }),
+  entry('NYR', 'Metropolitan', 'Eastern', { division: 1, conference: 2, league: 2, wildcard: 0 }),
+  entry('CAR', 'Metropolitan', 'Eastern', { division: 2, conference: 4, league: 4, wildcard: 0 }),
+  entry('NJD', 'Metropolitan', 'Eastern', { division: 3, conference: 6, league: 6, wildcard: 0 }),
+  entry('PHI', 'Metropolitan', 'Eastern', { division: 4, conference: 8, league: 8, wildcard: 1 }),
+  entry('VAN', 'Pacific', 'Western', { division: 1, conference: 1, league: 9, wildcard: 0 })
+];
+
+describe('groupStandings', () => {
+  test('division view has one table per division in division order', () => {
+    const tables = groupStandings(standings, 'division');
+
+    expect(tables.map(t => t.title)).toEqual(['Atlantic', 'Metropolitan', 'Pacific']);
+    expect(tables[0].rows.map(r => r.teamAbbrev.default)).toEqual(['TOR', 'BOS', 'FLA', 'MTL']);
+  });
+
+  test('conference view sorts by conference position', () => {
+    const [eastern] = groupStandings(standings, 'conference');
+
+    expect(eastern.title).toBe('Eastern Conference');
+    expect(eastern.rows.slice(0, 3).map(r => r.teamAbbrev.default)).toEqual(['TOR', 'NYR', 'BOS']);
+  });
+
+  test('wildcard view shows division leaders then the wild card race', () => {
+    const tables = groupStandings(standings, 'wildcard');
+    const wildcard = tables.find(t => t.title === 'Eastern Wild Card');
+
+    expect(tables[0].rows).toHaveLength(3);
+    expect(wildcard.rows.map(r => r.teamAbbrev.default)).toEqual(['PHI', 'MTL']);
+    expect(wildcard.cutAfter).toBe(2);
+  });
+
+  test('league view is a single table', () => {
+    const tables = groupStandings(standings, 'league');
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].rows[8].teamAbbrev.default).toBe('VAN');
+  });
+});
+
+describe('formatStandingsTable', () => {
+  test('renders stats columns and marks the followed team', () => {
+    const table = formatStandingsTable(standings.slice(0, 2), 'TOR');
+    const lines = table.split('\n');
+
+    expect(lines[1]).toContain('GP   W   L OTL PTS   P%  STRK');
+    expect(lines[2]).toMatch(/^▶ 1 TOR\s+10\s+6\s+3\s+1\s+13\s+\.650\s+W2$/);
+    expect(lines[3].startsWith('  2 BOS')).toBe(true);
+  });
+
+  test('draws a cut line', () => {
+    const table = formatStandingsTable(standings.slice(0, 3), 'TOR', 2);
+
+    expect(table.split('\n')[4]).toMatch(/^-+$/);
+  });
+});
+
+describe('buildStandingsEmbed', () => {
+  test('titles the embed with the view', () => {
+    const embed = buildStandingsEmbed(standings, 'wildcard', 'TOR');
+
+    expect(embed.data.title).toBe('NHL Standings: Wild Card');
+    expect(embed.data.description).toContain('**Eastern Wild Card**');
+  });
+
+  test('translates the title for French servers', () => {
+    const embed = buildStandingsEmbed(standings, 'division', 'TOR', 'fr');
+
+    expect(embed.data.title).toBe('Classement de la LNH : Division');
+  });
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import nock from 'nock';
+import { clearResponseCache, getApiHealth, getStatsApiHealth, getTeamSummaryStats } from '../nhl-api.js';
+import { getTeamSeasonStats, buildTeamSeasonStats, findSummaryRow } from '../src/api/teamStats.js';
+import { buildTeamStatsEmbed, formatSeason } from '../src/embeds/teamStats.js';
+
+const standingsEntry = {
+  teamAbbrev: { default: 'MTL' },
+  teamName: { default: 'Montréal Canadiens' },
+  seasonId: 20242025,
+  gamesPlayed: 20,
+  wins: 10,
+  losses: 8,
+  otLosses: 2,
+  points: 22,
+  goalFor: 60,
+  goalAgainst: 65
+};
+
+const summaryRow = {
+  teamId: 8,
+  teamFullName: 'Montréal Canadiens',
+  seasonId: 20242025,
+  powerPlayPct: 0.2125,
+  penaltyKillPct: 0.795,
+  shotsForPerGame: 28.4,
+  shotsAgainstPerGame: 31.15,
+  faceoffWinPct: 0.4875
+};
+
+const statsTeams = [
+  { id: 8, triCode: 'MTL', fullName: 'Montréal Canadiens' },
+  { id: 10, triCode: 'TOR', fullName: 'Toronto Maple Leafs' }
+];
+
+describe('buildTeamSeasonStats', () => {
+  test('takes goals from standings and rates from the summary row', () => {
+    const stats = buildTeamSeasonStats(standingsEntry, summaryRow);
+
+    expect(stats.team).toBe('MTL');
+    expect(stats.goalsFor).toBe(60);
+    expect(stats.goalsAgainst).toBe(65);
+    expect(stats.goalDifferential).toBe(-5);
+    expect(stats.goalsForPerGame).toBe(3);
+    expect(stats.powerPlayPct).toBeCloseTo(21.25);
+    expect(stats.penaltyKillPct).toBeCloseTo(79.5);
+    expect(stats.shotsForPerGame).toBe(28.4);
+    expect(stats.faceoffWinPct).toBeCloseTo(48.75);
+  });
+
+  test('leaves rates unknown without a summary row', () => {
+    const stats = buildTeamSeasonStats(standingsEntry);
+
+    expect(stats.goalsFor).toBe(60);
+    expect(stats.powerPlayPct).toBeNull();
+    expect(stats.shotsForPerGame).toBeNull();
+  });
+
+  test('findSummaryRow matches rows by team id, not name', () => {
+    const rows = [{ teamId: 10, teamFullName: 'Toronto Maple Leafs' }, summaryRow];
+
+    expect(findSummaryRow(rows, 'MTL', statsTeams)).toBe(summaryRow);
+    expect(findSummaryRow([], 'MTL', statsTeams)).toBeNull();
+    expect(findSummaryRow(rows, 'MTL', [])).toBeNull();
+  });
+
+  test('findSummaryRow survives a rebrand that keeps the abbreviation', () => {
+    const renamed = { teamId: 68, teamFullName: 'Utah Mammoth' };
+    const teams = [
+      { id: 59, triCode: 'UTA', fullName: 'Utah Hockey Club' },
+      { id: 68, triCode: 'UTA', fullName: 'Utah Mammoth' }
+    ];
+
+    expect(findSummaryRow([summaryRow, renamed], 'UTA', teams)).toBe(renamed);
+  });
+});
+
+describe('getTeamSeasonStats', () => {
+  let now = Date.now();
+
+  beforeEach(() => {
+    // Jump the clock ahead so neither the cache nor the rate limiter carries over between tests
+    now += 24 * 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    clearResponseCache();
+  });
+
+  const mockStats = () =>
+    nock('https://api.nhle.com')
+      .get('/stats/rest/en/team/summary')
+      .query({ cayenneExp: 'seasonId=20242025 and gameTypeId=2' });
+
+  test('returns GF/GA, PP%, PK%, shots per game and FO% for a team', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/standings/now')
+      .reply(200, { standings: [standingsEntry] });
+    mockStats().reply(200, { data: [summaryRow], total: 1 });
+    nock('https://api.nhle.com')
+      .get('/stats/rest/en/team')
+      .reply(200, { data: statsTeams, total: statsTeams.length });
+
+    const stats = await getTeamSeasonStats('mtl');
+
+    expect(stats).toMatchObject({ team: 'MTL', goalsFor: 60, goalsAgainst: 65, shotsForPerGame: 28.4 });
+    expect(stats.powerPlayPct).toBeCloseTo(21.25);
+    expect(stats.penaltyKillPct).toBeCloseTo(79.5);
+    expect(stats.faceoffWinPct).toBeCloseTo(48.75);
+  });
+
+  test('still returns goals when the stats API has no data', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/standings/now')
+      .reply(200, { standings: [standingsEntry] });
+    mockStats().reply(404);
+
+    const stats = await getTeamSeasonStats('MTL');
+
+    expect(stats.goalsFor).toBe(60);
+    expect(stats.powerPlayPct).toBeNull();
+  });
+
+  test('stats API failures open its own circuit, not the one live polling uses', async () => {
+    // Advance the clock on every read so the rate limiter never has to wait
+    jest.spyOn(Date, 'now').mockImplementation(() => (now += 2000));
+    nock('https://api.nhle.com')
+      .get('/stats/rest/en/team/summary')
+      .query(true)
+      .times(15)
+      .reply(429, {}, { 'Retry-After': '0' });
+
+    for (let i = 0; i < 5; i++) {
+      await expect(getTeamSummaryStats(20242025)).rejects.toThrow();
+    }
+
+    expect(getStatsApiHealth().state).toBe('open');
+    expect(getApiHealth()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('returns null when the team is not in the standings', async () => {
+    nock('https://api-web.nhle.com')
+      .get('/v1/standings/now')
+      .reply(200, { standings: [standingsEntry] });
+
+    await expect(getTeamSeasonStats('TOR')).resolves.toBeNull();
+  });
+
+  test('rejects unknown team abbreviations without calling the API', async () => {
+    await expect(getTeamSeasonStats('XYZ')).rejects.toThrow('Unknown team: XYZ');
+  });
+});
+
+describe('buildTeamStatsEmbed', () => {
+  test('formats percentages and falls back to N/A', () => {
+    const withRates = buildTeamStatsEmbed(buildTeamSeasonStats(standingsEntry, summaryRow)).toJSON();
+    const withoutRates = buildTeamStatsEmbed(buildTeamSeasonStats(standingsEntry)).toJSON();
+
+    expect(withRates.title).toContain('2024-25');
+    expect(withRates.fields[1].value).toBe('PP: 21.3%\nPK: 79.5%');
+    expect(withoutRates.fields[1].value).toBe('PP: N/A\nPK: N/A');
+    expect(formatSeason(20252026)).toBe('2025-26');
+  });
+
+  test('translates the special teams labels for French servers', () => {
+    const embed = buildTeamStatsEmbed(buildTeamSeasonStats(standingsEntry, summaryRow), 'fr').toJSON();
+
+    expect(embed.fields[1].value).toBe('AN : 21.3%\nDN : 79.5%');
+  });
+});
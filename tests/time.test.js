@@ -0,0 +1,27 @@
+import { discordTimestamp, formatInTimeZone } from '../src/embeds/time.js';
+
+describe('discordTimestamp', () => {
+  test('renders Discord timestamp markup in seconds', () => {
+    expect(discordTimestamp('2024-11-21T00:00:00Z')).toBe('<t:1732147200:F>');
+    expect(discordTimestamp(new Date('2024-11-21T00:00:00.900Z'), 'R')).toBe('<t:1732147200:R>');
+  });
+
+  test('returns an empty string for invalid dates', () => {
+    expect(discordTimestamp('not a date')).toBe('');
+  });
+});
+
+describe('formatInTimeZone', () => {
+  const start = '2024-11-21T00:00:00Z';
+  const options = { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+
+  test('formats in the guild time zone and locale', () => {
+    expect(formatInTimeZone(start, { timeZone: 'America/Vancouver' }, options)).toBe('4:00 PM PST');
+    expect(formatInTimeZone(start, { timeZone: 'Europe/London', locale: 'en-GB' }, options)).toBe('00:00 GMT');
+    expect(formatInTimeZone(start, { timeZone: 'America/Toronto', locale: 'fr-CA' }, { weekday: 'long' })).toBe('mercredi');
+  });
+
+  test('returns an empty string for invalid dates', () => {
+    expect(formatInTimeZone(undefined, { timeZone: 'UTC' }, options)).toBe('');
+  });
+});